@@ -6,19 +6,68 @@ import Bookshelf from './components/Bookshelf'
 import PdfViewer from './components/PdfViewer'
 import RegalpaketViewer from './components/RegalpaketViewer'
 import UploadButton from './components/UploadButton'
+import Settings from './components/Settings'
+import ShareDialog from './components/ShareDialog'
+import SearchResults from './components/SearchResults'
+import DuplicatesView from './components/DuplicatesView'
+import TrashView from './components/TrashView'
+import JobsView from './components/JobsView'
+import RenderProfileDialog from './components/RenderProfileDialog'
+import UploadProgress from './components/UploadProgress'
+import ZipImportDialog from './components/ZipImportDialog'
+import UploadConflictDialog from './components/UploadConflictDialog'
+
+let nextUploadId = 1
+
+// POST a form, reporting the upload's progress (0 to 1) on the way, which
+// fetch() can't. Resolves with the response data, rejects with its error
+// (with the response's `status` and `data`).
+function sendUpload(url, formData, token, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open('POST', url)
+    xhr.setRequestHeader('X-Auth-Token', token)
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress(e.loaded / e.total)
+    }
+    xhr.onload = () => {
+      let data
+      try {
+        data = JSON.parse(xhr.responseText)
+      } catch {
+        data = {}
+      }
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data)
+      } else {
+        reject(Object.assign(new Error(data.error || `Upload failed (${xhr.status})`), { status: xhr.status, data }))
+      }
+    }
+    xhr.onerror = () => reject(new Error('Upload failed, the server could not be reached'))
+    xhr.send(formData)
+  })
+}
 
 function App() {
-  const { isAuthenticated, isLoading, authFetch } = useAuth()
+  const { isAuthenticated, isLoading, authFetch, token, user, hasRole } = useAuth()
   const [files, setFiles] = useState([])
   const [shelves, setShelves] = useState([])
   const [activeShelf, setActiveShelf] = useState(null) // null = "All Music"
-  const [viewingPdf, setViewingPdf] = useState(null)
-  const [uploading, setUploading] = useState(false)
+  const [viewingPdf, setViewingPdf] = useState(null) // the open file, with `page` to open it at
+  const [uploads, setUploads] = useState([]) // { id, name, progress, status, message }
+  const [zipImport, setZipImport] = useState(null) // zip files waiting for the import dialog
+  const [uploadConflict, setUploadConflict] = useState(null) // { name, several, resolve } while asking
   const [annotatedFiles, setAnnotatedFiles] = useState([])
   const [favorites, setFavorites] = useState([])
+  const [metadata, setMetadata] = useState({}) // catalog records by file name
   const [searchQuery, setSearchQuery] = useState('')
-  const [sortBy, setSortBy] = useState('name') // 'name', 'date', 'type'
+  const [sortBy, setSortBy] = useState('name') // 'name', 'title', 'composer', 'difficulty', 'date', 'type'
   const [viewMode, setViewMode] = useState('grid') // 'grid' or 'list'
+  const [showSettings, setShowSettings] = useState(false)
+  const [shareTarget, setShareTarget] = useState(null) // { type, target, name }
+  const [jobs, setJobs] = useState([]) // background jobs, for admins
+  const [renderRequest, setRenderRequest] = useState(null) // { action, file or shelf } waiting for a render profile
+  const [openWhenRendered, setOpenWhenRendered] = useState(null) // ID of the open file's conversion or re-render job
 
   useEffect(() => {
     if (isAuthenticated) {
@@ -26,9 +75,51 @@ function App() {
       fetchShelves()
       fetchAnnotatedFiles()
       fetchFavorites()
+      fetchMetadata()
+      if (hasRole('admin')) fetchJobs()
     }
   }, [isAuthenticated])
 
+  // Live updates: refetch whatever another client (or the library folder) changed
+  useEffect(() => {
+    if (!isAuthenticated || !token) return
+
+    const events = new EventSource(`/api/events?token=${encodeURIComponent(token)}`)
+    let reconnecting = false
+    events.addEventListener('files', () => fetchFiles())
+    events.addEventListener('shelves', () => fetchShelves())
+    events.addEventListener('favorites', () => fetchFavorites())
+    events.addEventListener('annotations', () => fetchAnnotatedFiles())
+    events.addEventListener('metadata', () => fetchMetadata())
+    // Carries the job that changed, or nothing when several did
+    events.addEventListener('jobs', (e) => {
+      const job = JSON.parse(e.data)
+      if (!job.id) {
+        fetchJobs()
+        return
+      }
+      setJobs(prev => prev.some(j => j.id === job.id)
+        ? prev.map(j => j.id === job.id ? job : j)
+        : [job, ...prev])
+    })
+    events.onerror = () => {
+      reconnecting = true
+    }
+    // Changes made while disconnected were missed, so catch up on everything
+    events.onopen = () => {
+      if (reconnecting) {
+        reconnecting = false
+        fetchFiles()
+        fetchShelves()
+        fetchAnnotatedFiles()
+        fetchFavorites()
+        fetchMetadata()
+        if (hasRole('admin')) fetchJobs()
+      }
+    }
+    return () => events.close()
+  }, [isAuthenticated, token])
+
   const fetchAnnotatedFiles = async () => {
     try {
       const res = await authFetch('/api/annotations')
@@ -39,6 +130,86 @@ function App() {
     }
   }
 
+  const fetchJobs = async () => {
+    try {
+      const res = await authFetch('/api/jobs')
+      const data = await res.json()
+      setJobs(data)
+    } catch (err) {
+      console.error('Failed to fetch jobs:', err)
+    }
+  }
+
+  // Open the Regalpaket once the conversion of the open PDF is done, or
+  // reload it once it's rendered again
+  useEffect(() => {
+    const job = jobs.find(j => j.id === openWhenRendered)
+    if (!job || job.status === 'queued' || job.status === 'running') return
+    setOpenWhenRendered(null)
+    if (job.status !== 'done' || viewingPdf?.name !== job.file) return
+    if (job.type === 'rerender') {
+      setViewingPdf(prev => ({ ...prev, rendered: job.finished }))
+      return
+    }
+    fetchFiles()
+    fetchAnnotatedFiles()
+    setViewingPdf({
+      name: job.result.name,
+      path: `/api/regalpaket/${encodeURIComponent(job.result.name)}/page/1`,
+      type: 'regal'
+    })
+  }, [jobs, openWhenRendered])
+
+  // Queue the conversion or re-render of the open file with `profile`, in
+  // the background (see the jobs)
+  const renderFile = async (action, file, profile) => {
+    const url = action === 'rerender'
+      ? `/api/regalpaket/${encodeURIComponent(file.name)}/rerender`
+      : `/api/regalpaket/convert/${encodeURIComponent(file.name)}`
+    try {
+      const res = await authFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ profile })
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        console.error('Failed to render the Regalpaket:', data.error)
+        return
+      }
+      setJobs(prev => prev.some(j => j.id === data.id) ? prev : [data, ...prev])
+      setOpenWhenRendered(data.id)
+    } catch (err) {
+      console.error('Failed to render the Regalpaket:', err)
+    }
+  }
+
+  // Queue conversions of all PDFs on `shelf`, or in the library for null.
+  // PDFs that already have a Regalpaket are left out.
+  const convertShelf = async (shelf, profile) => {
+    try {
+      const res = await authFetch('/api/regalpaket/convert-batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ shelf: shelf?.id, profile })
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        window.alert(data.error || 'Failed to start the conversions')
+        return
+      }
+      await fetchJobs()
+      const skipped = data.skipped.length > 0 ? ` ${data.skipped.length} skipped (${data.skipped.map(f => `${f.file}: ${f.reason}`).join(', ')}).` : ''
+      if (data.queued.length === 0) {
+        window.alert(`Nothing to convert.${skipped}`)
+      } else if (window.confirm(`${data.queued.length} PDFs will be converted.${skipped} Show the jobs?`)) {
+        setActiveShelf('jobs')
+      }
+    } catch (err) {
+      console.error('Failed to start the conversions:', err)
+    }
+  }
+
   const fetchFavorites = async () => {
     try {
       const res = await authFetch('/api/favorites')
@@ -49,6 +220,16 @@ function App() {
     }
   }
 
+  const fetchMetadata = async () => {
+    try {
+      const res = await authFetch('/api/metadata')
+      const data = await res.json()
+      setMetadata(data)
+    } catch (err) {
+      console.error('Failed to fetch metadata:', err)
+    }
+  }
+
   const toggleFavorite = async (fileName) => {
     try {
       if (favorites.includes(fileName)) {
@@ -79,11 +260,11 @@ function App() {
     setShelves(data)
   }
 
-  const createShelf = async (name) => {
+  const createShelf = async (name, isPrivate) => {
     const res = await authFetch('/api/shelves', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name })
+      body: JSON.stringify({ name, private: isPrivate })
     })
     const newShelf = await res.json()
     setShelves([...shelves, newShelf])
@@ -122,20 +303,94 @@ function App() {
     setShelves(shelves.map(s => s.id === shelfId ? updated : s))
   }
 
-  const uploadFile = async (file) => {
-    setUploading(true)
-    const formData = new FormData()
-    formData.append('pdf', file)
-    try {
-      const res = await authFetch('/api/upload', {
-        method: 'POST',
-        body: formData
-      })
-      if (res.ok) {
-        await fetchFiles()
+  // Folder path of the active folder view, null for other views
+  const activeFolder = activeShelf?.startsWith('folder:') ? activeShelf.slice('folder:'.length) : null
+
+  const updateUpload = (id, changes) => {
+    setUploads(prev => prev.map(u => u.id === id ? { ...u, ...changes } : u))
+  }
+
+  // Resolves with { choice, forAll } once the user picked what to do with an
+  // upload whose name is taken: 'keep-both', 'replace' or 'skip'
+  const askUploadConflict = (name, several) => new Promise(resolve => {
+    setUploadConflict({ name, several, resolve })
+  })
+
+  // Upload files one after the other, each as a request of its own so it
+  // gets its own progress bar. PDFs are added as they are, zip files are
+  // unpacked by the server. Uploads go into the folder being viewed. When a
+  // PDF's name is taken the user is asked what to do and it's sent again;
+  // zip files get `conflict` from the start.
+  const sendFiles = async (files, { shelfId = null, conflict: zipConflict = null } = {}) => {
+    const folder = activeFolder
+    const queued = files.map(file => ({ id: nextUploadId++, file, name: file.name, progress: 0, status: 'waiting' }))
+    setUploads(prev => [...prev, ...queued.map(({ file, ...upload }) => upload)])
+
+    const duplicates = []
+    let conflictForAll = null
+    for (const { id, file } of queued) {
+      const isZip = file.name.toLowerCase().endsWith('.zip')
+      let conflict = isZip ? zipConflict : conflictForAll
+      updateUpload(id, { status: 'uploading' })
+      try {
+        let data = null
+        while (!data) {
+          const formData = new FormData()
+          // The server needs the fields before the file
+          if (folder) formData.append('folder', folder)
+          if (shelfId) formData.append('shelf', shelfId)
+          if (conflict) formData.append('conflict', conflict)
+          formData.append(isZip ? 'zip' : 'pdf', file)
+          try {
+            data = await sendUpload(isZip ? '/api/upload/zip' : '/api/upload', formData, token, progress => updateUpload(id, { progress }))
+          } catch (err) {
+            if (err.status !== 409 || conflict) throw err
+            const answer = await askUploadConflict(err.data.conflicts[0], queued.length > 1)
+            if (answer.forAll) conflictForAll = answer.choice
+            if (answer.choice === 'skip') break
+            conflict = answer.choice
+            updateUpload(id, { progress: 0 })
+          }
+        }
+
+        if (!data || (!isZip && data.files.length === 0)) {
+          updateUpload(id, { status: 'skipped', message: 'Already in the library, not uploaded' })
+          continue
+        }
+        const notes = []
+        if (isZip) {
+          notes.push(`${data.files.length} imported`)
+          if (data.skipped.length > 0) notes.push(`${data.skipped.length} already there`)
+          if (data.rejected.length > 0) notes.push(`not added: ${data.rejected.map(f => `${f.name} (${f.error})`).join(', ')}`)
+        } else if (data.files[0].name.split('/').pop() !== file.name) {
+          notes.push(`Added as "${data.files[0].name.split('/').pop()}"`)
+        }
+        updateUpload(id, { status: 'done', progress: 1, message: notes.join(', ') })
+        duplicates.push(...data.files.filter(f => f.duplicates.length > 0))
+      } catch (err) {
+        updateUpload(id, { status: 'error', message: err.message })
+      }
+    }
+
+    await fetchFiles()
+    if (shelfId) await fetchShelves()
+    if (duplicates.length > 0) {
+      const list = duplicates.map(f => `"${f.name}" (as "${f.duplicates.join('", "')}")`).join(', ')
+      if (window.confirm(`Already in the library: ${list}. Show the duplicates?`)) {
+        setActiveShelf('duplicates')
       }
-    } finally {
-      setUploading(false)
+    }
+  }
+
+  // Zip files first go through the import dialog, to pick a shelf
+  const uploadFiles = (files) => {
+    const pdfs = files.filter(f => f.name.toLowerCase().endsWith('.pdf'))
+    const zips = files.filter(f => f.name.toLowerCase().endsWith('.zip'))
+    if (zips.length > 0) {
+      setZipImport(zips)
+    }
+    if (pdfs.length > 0) {
+      sendFiles(pdfs)
     }
   }
 
@@ -159,6 +414,23 @@ function App() {
     }
   }
 
+  // Moves the file to the trash; its shelf entries and favorite go with it
+  const deleteFile = async (fileName) => {
+    try {
+      const res = await authFetch(`/api/files/${encodeURIComponent(fileName)}`, { method: 'DELETE' })
+      if (!res.ok) {
+        const data = await res.json()
+        window.alert(data.error || 'Failed to delete')
+        return
+      }
+      await fetchFiles()
+      await fetchShelves()
+      await fetchFavorites()
+    } catch (err) {
+      console.error('Failed to delete file:', err)
+    }
+  }
+
   const getDisplayedFiles = () => {
     let filtered = files
 
@@ -167,6 +439,9 @@ function App() {
       filtered = filtered.filter(f => favorites.includes(f.name))
     } else if (activeShelf === 'regalpakets') {
       filtered = filtered.filter(f => f.type === 'regal')
+    } else if (activeFolder) {
+      // A folder shows its files and those of its subfolders
+      filtered = filtered.filter(f => f.folder === activeFolder || f.folder?.startsWith(`${activeFolder}/`))
     } else if (activeShelf) {
       const shelf = shelves.find(s => s.id === activeShelf)
       if (shelf) {
@@ -174,12 +449,25 @@ function App() {
       }
     }
 
-    // Apply search filter
+    // Apply search filter: file name and every catalog field
     if (searchQuery.trim()) {
       const query = searchQuery.toLowerCase().trim()
-      filtered = filtered.filter(f =>
-        f.name.toLowerCase().includes(query)
-      )
+      filtered = filtered.filter(f => {
+        const { updated, tags = [], ...fields } = metadata[f.name] || {}
+        return [f.name, ...Object.values(fields), ...tags]
+          .some(value => String(value).toLowerCase().includes(query))
+      })
+    }
+
+    const titleOf = (f) => metadata[f.name]?.title || f.name.split('/').pop()
+    // Files without the field go last
+    const compareField = (a, b, field) => {
+      const valueA = metadata[a.name]?.[field]
+      const valueB = metadata[b.name]?.[field]
+      if (valueA === undefined || valueB === undefined) {
+        return valueA === valueB ? 0 : valueA === undefined ? 1 : -1
+      }
+      return typeof valueA === 'number' ? valueA - valueB : valueA.localeCompare(valueB)
     }
 
     // Apply sorting
@@ -187,6 +475,11 @@ function App() {
       switch (sortBy) {
         case 'name':
           return a.name.localeCompare(b.name)
+        case 'title':
+          return titleOf(a).localeCompare(titleOf(b))
+        case 'composer':
+        case 'difficulty':
+          return compareField(a, b, sortBy) || titleOf(a).localeCompare(titleOf(b))
         case 'date':
           return (b.mtime || 0) - (a.mtime || 0) // Newest first
         case 'type':
@@ -217,22 +510,40 @@ function App() {
     return <Login />
   }
 
+  const isAdmin = hasRole('admin')
+  const isMusician = hasRole('musician')
+
+  // Private shelves belong to their owner, shared ones are managed by admins
+  const canEditShelf = (shelf) => shelf.ownerId ? shelf.ownerId === user?.id : isAdmin
+
   return (
     <div className="app">
       <Sidebar
         shelves={shelves}
+        files={files}
         activeShelf={activeShelf}
         onSelectShelf={setActiveShelf}
         onCreateShelf={createShelf}
         onRenameShelf={renameShelf}
         onDeleteShelf={deleteShelf}
+        onShareShelf={isAdmin ? (shelf) => setShareTarget({ type: 'shelf', target: shelf.id, name: shelf.name }) : undefined}
+        onConvertShelf={isAdmin ? (shelf) => setRenderRequest({ action: 'convert-batch', shelf }) : undefined}
+        showDuplicates={isAdmin}
+        showTrash={isAdmin}
+        showJobs={isAdmin}
+        activeJobs={jobs.filter(j => j.status === 'queued' || j.status === 'running').length}
+        canEditShelf={canEditShelf}
+        canCreateShelf={isMusician}
+        canCreateSharedShelf={isAdmin}
+        userName={user?.username}
+        onOpenSettings={() => setShowSettings(true)}
       />
       <main className="main-content">
         <div className="main-toolbar">
           <div className="search-bar">
             <input
               type="text"
-              placeholder="Search music..."
+              placeholder="Search titles, composers, tags and text..."
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
               className="search-input"
@@ -264,64 +575,138 @@ function App() {
               onChange={(e) => setSortBy(e.target.value)}
             >
               <option value="name">Sort by Name</option>
+              <option value="title">Sort by Title</option>
+              <option value="composer">Sort by Composer</option>
+              <option value="difficulty">Sort by Difficulty</option>
               <option value="date">Sort by Date</option>
               <option value="type">Sort by Type</option>
             </select>
           </div>
-          <UploadButton onUpload={uploadFile} uploading={uploading} />
+          {isAdmin && <UploadButton onUpload={uploadFiles} uploading={uploads.some(u => u.status === 'waiting' || u.status === 'uploading')} />}
         </div>
-        <Bookshelf
-          files={getDisplayedFiles()}
-          shelves={shelves}
-          activeShelf={activeShelf}
-          onOpenPdf={setViewingPdf}
-          onAddToShelf={addToShelf}
-          onRemoveFromShelf={removeFromShelf}
-          onRenameFile={renameFile}
-          annotatedFiles={annotatedFiles}
-          favorites={favorites}
-          onToggleFavorite={toggleFavorite}
-          viewMode={viewMode}
-        />
+        {searchQuery.trim() && (
+          <SearchResults
+            query={searchQuery}
+            files={files}
+            metadata={metadata}
+            onOpenPage={(file, page) => setViewingPdf({ ...file, page })}
+          />
+        )}
+        {activeShelf === 'jobs' ? (
+          <JobsView jobs={jobs} onChanged={fetchJobs} />
+        ) : activeShelf === 'trash' ? (
+          <TrashView
+            files={files}
+            onChanged={() => {
+              fetchFiles()
+              fetchShelves()
+              fetchAnnotatedFiles()
+              fetchFavorites()
+              fetchMetadata()
+            }}
+          />
+        ) : activeShelf === 'duplicates' ? (
+          <DuplicatesView
+            files={files}
+            metadata={metadata}
+            onMerged={() => {
+              fetchFiles()
+              fetchShelves()
+              fetchAnnotatedFiles()
+              fetchFavorites()
+              fetchMetadata()
+            }}
+          />
+        ) : (
+          <Bookshelf
+            files={getDisplayedFiles()}
+            shelves={shelves}
+            activeShelf={activeShelf}
+            onOpenPdf={setViewingPdf}
+            onAddToShelf={addToShelf}
+            onRemoveFromShelf={removeFromShelf}
+            onRenameFile={renameFile}
+            onDeleteFile={isAdmin ? deleteFile : undefined}
+            onDropFiles={isAdmin ? uploadFiles : undefined}
+            onShareFile={isAdmin ? (file) => setShareTarget({ type: 'file', target: file.name, name: file.name.split('/').pop().replace(/\.(pdf|regal)$/i, '') }) : undefined}
+            annotatedFiles={annotatedFiles}
+            favorites={favorites}
+            metadata={metadata}
+            onMetadataChange={fetchMetadata}
+            onToggleFavorite={toggleFavorite}
+            viewMode={viewMode}
+            canEdit={isAdmin}
+            canFavorite={isMusician}
+            canEditShelf={canEditShelf}
+          />
+        )}
       </main>
       {viewingPdf && (
         viewingPdf.type === 'regal' ? (
           <RegalpaketViewer
+            key={viewingPdf.rendered}
             file={viewingPdf}
+            initialPage={viewingPdf.page}
             onClose={() => setViewingPdf(null)}
             onAnnotationsChange={fetchAnnotatedFiles}
+            canAnnotate={isMusician}
+            rendering={jobs.find(j => j.type === 'rerender' && j.file === viewingPdf.name && (j.status === 'queued' || j.status === 'running'))}
+            onRerender={isAdmin ? () => setRenderRequest({ action: 'rerender', file: viewingPdf }) : undefined}
           />
         ) : (
           <PdfViewer
             file={viewingPdf}
+            initialPage={viewingPdf.page}
             onClose={() => setViewingPdf(null)}
             onAnnotationsChange={fetchAnnotatedFiles}
-            onConvertToRegal={async () => {
-              try {
-                const res = await authFetch(`/api/regalpaket/convert/${encodeURIComponent(viewingPdf.name)}`, {
-                  method: 'POST'
-                })
-                if (res.ok) {
-                  const data = await res.json()
-                  await fetchFiles()
-                  await fetchAnnotatedFiles()
-                  // Open the new regal file (server returns 'name' not 'regalFileName')
-                  setViewingPdf({
-                    name: data.name,
-                    path: `/api/regalpaket/${encodeURIComponent(data.name)}/page/1`,
-                    type: 'regal'
-                  })
-                } else {
-                  const errorData = await res.json()
-                  console.error('Failed to convert to Regalpaket:', errorData.error)
-                }
-              } catch (err) {
-                console.error('Failed to convert to Regalpaket:', err)
-              }
-            }}
+            conversion={jobs.find(j => j.type === 'convert' && j.file === viewingPdf.name && (j.status === 'queued' || j.status === 'running'))}
+            onConvertToRegal={isAdmin ? () => setRenderRequest({ action: 'convert', file: viewingPdf }) : undefined}
           />
         )
       )}
+      {showSettings && <Settings onClose={() => setShowSettings(false)} />}
+      {renderRequest && (
+        <RenderProfileDialog
+          {...renderRequest}
+          onSubmit={(profile) => {
+            const { action, file, shelf } = renderRequest
+            setRenderRequest(null)
+            if (action === 'convert-batch') {
+              convertShelf(shelf, profile)
+            } else {
+              renderFile(action, file, profile)
+            }
+          }}
+          onClose={() => setRenderRequest(null)}
+        />
+      )}
+      {shareTarget && <ShareDialog {...shareTarget} onClose={() => setShareTarget(null)} />}
+      {zipImport && (
+        <ZipImportDialog
+          files={zipImport}
+          folder={activeFolder}
+          shelves={shelves.filter(canEditShelf)}
+          onImport={(shelfId, conflict) => {
+            sendFiles(zipImport, { shelfId, conflict })
+            setZipImport(null)
+          }}
+          onClose={() => setZipImport(null)}
+        />
+      )}
+      {uploadConflict && (
+        <UploadConflictDialog
+          name={uploadConflict.name}
+          several={uploadConflict.several}
+          onChoose={(answer) => {
+            uploadConflict.resolve(answer)
+            setUploadConflict(null)
+          }}
+        />
+      )}
+      <UploadProgress
+        uploads={uploads}
+        onDismiss={() => setUploads(prev => prev.filter(u => u.status === 'waiting' || u.status === 'uploading'))}
+      />
     </div>
   )
 }
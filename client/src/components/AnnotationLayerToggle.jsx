@@ -0,0 +1,26 @@
+// Which annotation layers a viewer shows: the user's private layer, the
+// shared layer everybody sees, or both on top of each other
+const LAYERS = [
+  { id: 'mine', label: 'Mine', title: 'Show only my annotations' },
+  { id: 'shared', label: 'Shared', title: 'Show only shared annotations' },
+  { id: 'both', label: 'Both', title: 'Show my and shared annotations' }
+]
+
+function AnnotationLayerToggle({ layer, onChange }) {
+  return (
+    <div className="annotation-layer-toggle">
+      {LAYERS.map(({ id, label, title }) => (
+        <button
+          key={id}
+          className={`pdf-control-btn annotation-layer-btn ${layer === id ? 'pdf-control-active' : ''}`}
+          onClick={() => onChange(id)}
+          title={title}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default AnnotationLayerToggle
@@ -1,10 +1,38 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
+import { useAuth } from '../context/AuthContext'
+import MetadataDialog from './MetadataDialog'
 
-function Bookshelf({ files, shelves, activeShelf, onOpenPdf, onAddToShelf, onRemoveFromShelf, onRenameFile, annotatedFiles = [], favorites = [], onToggleFavorite, viewMode = 'grid' }) {
+// First page of a file as rendered by the server. It covers the 🎼 icon and
+// disappears again when there is no thumbnail (e.g. a broken PDF).
+function Thumbnail({ file, className }) {
+  const { token } = useAuth()
+  const [failed, setFailed] = useState(false)
+
+  useEffect(() => setFailed(false), [file.name, file.mtime])
+
+  if (failed) return null
+  return (
+    <img
+      className={className}
+      src={`/api/thumbnails/${encodeURIComponent(file.name)}?v=${Math.round(file.mtime || 0)}&token=${encodeURIComponent(token)}`}
+      alt=""
+      loading="lazy"
+      draggable={false}
+      onError={() => setFailed(true)}
+    />
+  )
+}
+
+function Bookshelf({ files, shelves, activeShelf, onOpenPdf, onAddToShelf, onRemoveFromShelf, onRenameFile, onDeleteFile, onDropFiles, onShareFile, annotatedFiles = [], favorites = [], metadata = {}, onMetadataChange, onToggleFavorite, viewMode = 'grid', canEdit = true, canFavorite = true, canEditShelf = () => true }) {
   const [contextMenu, setContextMenu] = useState(null)
   const [renameModal, setRenameModal] = useState(null)
   const [renameValue, setRenameValue] = useState('')
   const [renameError, setRenameError] = useState('')
+  const [detailsFile, setDetailsFile] = useState(null)
+  const [dragOver, setDragOver] = useState(false)
+
+  const editableShelves = shelves.filter(canEditShelf)
+  const canEditActiveShelf = editableShelves.some(s => s.id === activeShelf)
 
   const handleContextMenu = (e, file) => {
     e.preventDefault()
@@ -29,12 +57,23 @@ function Bookshelf({ files, shelves, activeShelf, onOpenPdf, onAddToShelf, onRem
     closeContextMenu()
   }
 
+  // The catalog title, else the file name without its folder and extension
   const getDisplayName = (filename) => {
-    return filename.replace(/\.(pdf|regal)$/i, '')
+    return metadata[filename]?.title || filename.split('/').pop().replace(/\.(pdf|regal)$/i, '')
+  }
+
+  // Composer and folder, shown under the title in the list view
+  const getSubtitle = (file) => {
+    return [metadata[file.name]?.composer, file.folder].filter(Boolean).join(' · ')
+  }
+
+  const handleDetailsClick = () => {
+    setDetailsFile(contextMenu.file)
+    closeContextMenu()
   }
 
   const handleRenameClick = () => {
-    const displayName = getDisplayName(contextMenu.file.name)
+    const displayName = contextMenu.file.name.split('/').pop().replace(/\.(pdf|regal)$/i, '')
     setRenameValue(displayName)
     setRenameError('')
     setRenameModal(contextMenu.file)
@@ -57,6 +96,40 @@ function Bookshelf({ files, shelves, activeShelf, onOpenPdf, onAddToShelf, onRem
     }
   }
 
+  const handleDeleteClick = () => {
+    const file = contextMenu.file
+    closeContextMenu()
+    if (window.confirm(`Move "${getDisplayName(file.name)}" to the trash? It can be restored from there.`)) {
+      onDeleteFile(file.name)
+    }
+  }
+
+  // PDFs and zip files dragged from the desktop
+  const isFileDrag = (e) => onDropFiles && e.dataTransfer.types.includes('Files')
+
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'copy'
+    setDragOver(true)
+  }
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setDragOver(false)
+    }
+  }
+
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return
+    e.preventDefault()
+    setDragOver(false)
+    const dropped = [...e.dataTransfer.files].filter(f => /\.(pdf|zip)$/i.test(f.name))
+    if (dropped.length > 0) {
+      onDropFiles(dropped)
+    }
+  }
+
   const closeRenameModal = () => {
     setRenameModal(null)
     setRenameValue('')
@@ -64,7 +137,13 @@ function Bookshelf({ files, shelves, activeShelf, onOpenPdf, onAddToShelf, onRem
   }
 
   return (
-    <div className={`bookshelf ${viewMode === 'list' ? 'bookshelf-list-view' : ''}`} onClick={closeContextMenu}>
+    <div
+      className={`bookshelf ${viewMode === 'list' ? 'bookshelf-list-view' : ''} ${dragOver ? 'bookshelf-drop-target' : ''}`}
+      onClick={closeContextMenu}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
       {viewMode === 'list' ? (
         <div className="list-container">
           {files.length === 0 ? (
@@ -84,8 +163,14 @@ function Bookshelf({ files, shelves, activeShelf, onOpenPdf, onAddToShelf, onRem
                   onClick={() => onOpenPdf(file)}
                   onContextMenu={(e) => handleContextMenu(e, file)}
                 >
-                  <div className="list-item-icon">🎼</div>
-                  <span className="list-item-title">{getDisplayName(file.name)}</span>
+                  <div className="list-item-icon">
+                    🎼
+                    <Thumbnail file={file} className="list-item-thumbnail" />
+                  </div>
+                  <span className="list-item-title">
+                    {getDisplayName(file.name)}
+                    {getSubtitle(file) && <span className="list-item-folder">{getSubtitle(file)}</span>}
+                  </span>
                   <div className="list-item-badges">
                     {isFavorite && <span className="list-badge list-badge-favorite" title="Favorite">★</span>}
                     {isRegalpaket && <span className="list-badge list-badge-regal" title="Regalpaket">R</span>}
@@ -118,6 +203,7 @@ function Bookshelf({ files, shelves, activeShelf, onOpenPdf, onAddToShelf, onRem
                     <div className="book-cover">
                       <div className="book-spine"></div>
                       <div className="book-icon">🎼</div>
+                      <Thumbnail file={file} className="book-thumbnail" />
                       {isRegalpaket && (
                         <div className="book-regal-badge" title="Regalpaket - optimized for fast page turns">
                           <span className="regal-badge-icon">R</span>
@@ -134,7 +220,7 @@ function Bookshelf({ files, shelves, activeShelf, onOpenPdf, onAddToShelf, onRem
                         </div>
                       )}
                     </div>
-                    <span className="book-title">{getDisplayName(file.name)}</span>
+                    <span className="book-title" title={file.name}>{getDisplayName(file.name)}</span>
                   </div>
                 )
               })
@@ -152,32 +238,65 @@ function Bookshelf({ files, shelves, activeShelf, onOpenPdf, onAddToShelf, onRem
         >
           <button
             className="context-menu-item"
-            onClick={handleRenameClick}
-          >
-            Rename
-          </button>
-          <button
-            className="context-menu-item context-menu-favorite"
-            onClick={() => {
-              onToggleFavorite(contextMenu.file.name)
-              closeContextMenu()
-            }}
+            onClick={handleDetailsClick}
           >
-            {favorites.includes(contextMenu.file.name) ? '★ Remove from Favorites' : '☆ Add to Favorites'}
+            {canEdit ? 'Edit Details…' : 'Details…'}
           </button>
-          <div className="context-menu-divider"></div>
-          <div className="context-menu-header">Add to shelf:</div>
-          {shelves.map(shelf => (
+          {canEdit && (
+            <button
+              className="context-menu-item"
+              onClick={handleRenameClick}
+            >
+              Rename
+            </button>
+          )}
+          {canEdit && onDeleteFile && (
+            <button
+              className="context-menu-item context-menu-remove"
+              onClick={handleDeleteClick}
+            >
+              Move to Trash
+            </button>
+          )}
+          {onShareFile && (
             <button
-              key={shelf.id}
               className="context-menu-item"
-              onClick={() => handleAddToShelf(shelf.id)}
+              onClick={() => {
+                onShareFile(contextMenu.file)
+                closeContextMenu()
+              }}
             >
-              {shelf.name}
-              {shelf.files.includes(contextMenu.file.name) && ' ✓'}
+              Share Link…
             </button>
-          ))}
-          {activeShelf && (
+          )}
+          {canFavorite && (
+            <button
+              className="context-menu-item context-menu-favorite"
+              onClick={() => {
+                onToggleFavorite(contextMenu.file.name)
+                closeContextMenu()
+              }}
+            >
+              {favorites.includes(contextMenu.file.name) ? '★ Remove from Favorites' : '☆ Add to Favorites'}
+            </button>
+          )}
+          {editableShelves.length > 0 && (
+            <>
+              <div className="context-menu-divider"></div>
+              <div className="context-menu-header">Add to shelf:</div>
+              {editableShelves.map(shelf => (
+                <button
+                  key={shelf.id}
+                  className="context-menu-item"
+                  onClick={() => handleAddToShelf(shelf.id)}
+                >
+                  {shelf.name}
+                  {shelf.files.includes(contextMenu.file.name) && ' ✓'}
+                </button>
+              ))}
+            </>
+          )}
+          {canEditActiveShelf && (
             <>
               <div className="context-menu-divider"></div>
               <button
@@ -191,6 +310,10 @@ function Bookshelf({ files, shelves, activeShelf, onOpenPdf, onAddToShelf, onRem
         </div>
       )}
 
+      {detailsFile && (
+        <MetadataDialog file={detailsFile} canEdit={canEdit} onClose={() => setDetailsFile(null)} onSaved={onMetadataChange} />
+      )}
+
       {renameModal && (
         <div className="rename-modal-overlay" onClick={closeRenameModal}>
           <div className="rename-modal" onClick={(e) => e.stopPropagation()}>
@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react'
+import { useAuth } from '../context/AuthContext'
+
+// The copy kept by default: a Regalpaket when there is one, as it turns
+// pages faster, otherwise the first by name
+const defaultKeep = (group) => (group.find(f => f.type === 'regal') || group[0]).name
+
+// Groups of identical files in the library. Merging a group keeps one copy
+// and moves the shelf entries, favorites and annotations of the others to it.
+function DuplicatesView({ files, metadata, onMerged }) {
+  const { authFetch } = useAuth()
+  const [groups, setGroups] = useState(null)
+  const [keep, setKeep] = useState({}) // kept file name by group index
+  const [merging, setMerging] = useState(null)
+  const [error, setError] = useState('')
+
+  // Refetched whenever the library changes
+  useEffect(() => {
+    const loadDuplicates = async () => {
+      try {
+        const res = await authFetch('/api/duplicates')
+        const data = await res.json()
+        if (!res.ok) {
+          setError(data.error || 'Failed to load duplicates')
+          return
+        }
+        setGroups(data)
+        setKeep({})
+      } catch (err) {
+        setError(err.message)
+      }
+    }
+    loadDuplicates()
+  }, [files, authFetch])
+
+  const mergeGroup = async (group, index) => {
+    const keepName = keep[index] || defaultKeep(group)
+    const remove = group.map(f => f.name).filter(name => name !== keepName)
+    if (!window.confirm(`Keep "${keepName}" and delete ${remove.length === 1 ? 'its copy' : `its ${remove.length} copies`}? Shelves, favorites and annotations of the copies move to it.`)) {
+      return
+    }
+    setMerging(index)
+    setError('')
+    try {
+      const res = await authFetch('/api/duplicates/merge', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ keep: keepName, remove })
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        setError(data.error || 'Failed to merge')
+        return
+      }
+      onMerged?.()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setMerging(null)
+    }
+  }
+
+  if (!groups) {
+    return error ? <div className="rename-error">{error}</div> : <div className="app-loading-spinner"></div>
+  }
+
+  return (
+    <div className="bookshelf bookshelf-list-view duplicates-view">
+      {error && <div className="rename-error">{error}</div>}
+      {groups.length === 0 ? (
+        <div className="empty-shelf">
+          <p>No duplicates found.</p>
+          <p className="empty-hint">Files with the same content show up here, also a PDF and the Regalpaket made from it.</p>
+        </div>
+      ) : (
+        groups.map((group, index) => (
+          <div key={group.map(f => f.name).join('|')} className="list-container duplicate-group">
+            {group.map(file => (
+              <label key={file.name} className="list-item duplicate-item">
+                <input
+                  type="radio"
+                  name={`keep-${index}`}
+                  checked={(keep[index] || defaultKeep(group)) === file.name}
+                  onChange={() => setKeep(prev => ({ ...prev, [index]: file.name }))}
+                />
+                <span className="list-item-title">
+                  {metadata[file.name]?.title || file.name.split('/').pop().replace(/\.(pdf|regal)$/i, '')}
+                  <span className="list-item-folder">{file.name}</span>
+                </span>
+                <div className="list-item-badges">
+                  {file.type === 'regal' && <span className="list-badge list-badge-regal" title="Regalpaket">R</span>}
+                </div>
+              </label>
+            ))}
+            <div className="duplicate-actions">
+              <button
+                className="rename-submit"
+                onClick={() => mergeGroup(group, index)}
+                disabled={merging !== null}
+              >
+                {merging === index ? 'Merging...' : 'Keep Selected, Merge Others'}
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  )
+}
+
+export default DuplicatesView
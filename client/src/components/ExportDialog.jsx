@@ -0,0 +1,101 @@
+import { useState } from 'react'
+import { useAuth } from '../context/AuthContext'
+
+const LAYER_OPTIONS = [
+  { id: 'both', label: 'Mine and shared' },
+  { id: 'shared', label: 'Only shared' },
+  { id: 'mine', label: 'Only mine' },
+  { id: 'none', label: 'None' }
+]
+
+// Downloads a printable PDF of `file` with annotations burned in, for
+// musicians who play from paper. Starts out with what the viewer shows:
+// its annotation `layer` ('none' when they're hidden) drawn at its `scale`.
+function ExportDialog({ file, currentPage, layer, scale, onClose }) {
+  const { authFetch } = useAuth()
+  const [pageChoice, setPageChoice] = useState('all') // 'all', 'current' or 'range'
+  const [range, setRange] = useState('')
+  const [layers, setLayers] = useState(layer)
+  const [exporting, setExporting] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const pages = pageChoice === 'current' ? String(currentPage) : pageChoice === 'range' ? range : ''
+    const params = new URLSearchParams({ layers, scale: String(scale) })
+    if (pages) params.set('pages', pages)
+
+    setExporting(true)
+    setError('')
+    try {
+      const res = await authFetch(`/api/export/${encodeURIComponent(file.name)}?${params}`)
+      if (!res.ok) {
+        const data = await res.json()
+        setError(data.error || 'Export failed')
+        return
+      }
+      const url = URL.createObjectURL(await res.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${file.name.split('/').pop().replace(/\.(pdf|regal)$/i, '')} (annotated).pdf`
+      link.click()
+      URL.revokeObjectURL(url)
+      onClose()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <div className="rename-modal-overlay" onClick={onClose}>
+      <div className="rename-modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Print "{file.name.split('/').pop().replace(/\.(pdf|regal)$/i, '')}"</h3>
+        <form onSubmit={handleSubmit}>
+          <p className="settings-text">
+            Downloads a PDF with the annotations drawn in, ready to print.
+          </p>
+          {error && <div className="rename-error">{error}</div>}
+          <div className="export-pages">
+            <label>
+              <input type="radio" checked={pageChoice === 'all'} onChange={() => setPageChoice('all')} />
+              All pages
+            </label>
+            <label>
+              <input type="radio" checked={pageChoice === 'current'} onChange={() => setPageChoice('current')} />
+              This page ({currentPage})
+            </label>
+            <label>
+              <input type="radio" checked={pageChoice === 'range'} onChange={() => setPageChoice('range')} />
+              Pages
+              <input
+                type="text"
+                value={range}
+                onChange={(e) => { setRange(e.target.value); setPageChoice('range') }}
+                placeholder="e.g. 1-3, 5"
+                className="rename-input"
+              />
+            </label>
+          </div>
+          <label className="zip-import-shelf">
+            Annotations
+            <select value={layers} onChange={(e) => setLayers(e.target.value)} className="rename-input">
+              {LAYER_OPTIONS.map(({ id, label }) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <div className="rename-buttons">
+            <button type="button" className="rename-cancel" onClick={onClose}>Cancel</button>
+            <button type="submit" className="rename-submit" disabled={exporting || (pageChoice === 'range' && !range.trim())} autoFocus>
+              {exporting ? 'Preparing...' : 'Download PDF'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default ExportDialog
@@ -0,0 +1,77 @@
+import { useState } from 'react'
+
+// Nested folders of the library, built from the files' folder paths
+function buildFolderTree(files) {
+  const root = { children: {} }
+  for (const { folder } of files) {
+    if (!folder) continue
+    let node = root
+    let current = ''
+    for (const part of folder.split('/')) {
+      current = current ? `${current}/${part}` : part
+      node = node.children[part] || (node.children[part] = { name: part, path: current, children: {} })
+    }
+  }
+  return root
+}
+
+// The library's folders as virtual shelves, selected as "folder:<path>"
+function FolderTree({ files, activeShelf, onSelectShelf }) {
+  const [expanded, setExpanded] = useState(() => new Set())
+  const tree = buildFolderTree(files)
+
+  const toggleExpanded = (folderPath) => {
+    setExpanded(prev => {
+      const next = new Set(prev)
+      if (next.has(folderPath)) {
+        next.delete(folderPath)
+      } else {
+        next.add(folderPath)
+      }
+      return next
+    })
+  }
+
+  const renderFolders = (node, depth) => Object.values(node.children)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(folder => {
+      const id = `folder:${folder.path}`
+      const hasSubfolders = Object.keys(folder.children).length > 0
+      const isExpanded = expanded.has(folder.path)
+      return (
+        <div key={folder.path}>
+          <div
+            className={`shelf-item folder-item ${activeShelf === id ? 'active' : ''}`}
+            style={{ paddingLeft: 6 + depth * 16 }}
+          >
+            <button
+              className="folder-toggle"
+              onClick={() => toggleExpanded(folder.path)}
+              disabled={!hasSubfolders}
+              title={isExpanded ? 'Collapse' : 'Expand'}
+            >
+              {hasSubfolders && (isExpanded ? '▾' : '▸')}
+            </button>
+            <button className="shelf-button" onClick={() => onSelectShelf(id)}>
+              <span className="shelf-icon">📁</span>
+              {folder.name}
+            </button>
+          </div>
+          {isExpanded && renderFolders(folder, depth + 1)}
+        </div>
+      )
+    })
+
+  const folders = renderFolders(tree, 0)
+  if (folders.length === 0) return null
+
+  return (
+    <>
+      <div className="shelf-divider"></div>
+      <h2 className="shelf-heading">Folders</h2>
+      <div className="folder-tree">{folders}</div>
+    </>
+  )
+}
+
+export default FolderTree
@@ -0,0 +1,103 @@
+import { useState } from 'react'
+import { useAuth } from '../context/AuthContext'
+
+const JOB_TITLES = {
+  convert: 'Make Regalpaket',
+  rerender: 'Re-render Regalpaket'
+}
+
+const STATUS_LABELS = {
+  queued: 'Waiting',
+  running: 'Running',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+}
+
+const formatTime = (time) => new Date(time).toLocaleString()
+
+// Background jobs like Regalpaket conversions, kept up to date by the
+// server's events. Running jobs can be cancelled, failed ones retried.
+function JobsView({ jobs, onChanged }) {
+  const { authFetch } = useAuth()
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const run = async (url, method) => {
+    setBusy(true)
+    setError('')
+    try {
+      const res = await authFetch(url, { method })
+      const data = await res.json()
+      if (!res.ok) {
+        setError(data.error || 'Something went wrong')
+      }
+      onChanged?.()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const hasFinished = jobs.some(job => job.status !== 'queued' && job.status !== 'running')
+
+  return (
+    <div className="bookshelf bookshelf-list-view jobs-view">
+      {error && <div className="rename-error">{error}</div>}
+      {jobs.length === 0 ? (
+        <div className="empty-shelf">
+          <p>No jobs.</p>
+          <p className="empty-hint">Regalpaket conversions and re-renders run here in the background, one after the other.</p>
+        </div>
+      ) : (
+        <>
+          {hasFinished && (
+            <div className="jobs-actions">
+              <button className="rename-cancel" onClick={() => run('/api/jobs', 'DELETE')} disabled={busy}>
+                Clear Finished
+              </button>
+            </div>
+          )}
+          <div className="list-container">
+            {jobs.map(job => (
+              <div key={job.id} className={`list-item job-item job-${job.status}`}>
+                <span className="list-item-title">
+                  {job.file.split('/').pop().replace(/\.(pdf|regal)$/i, '')}
+                  <span className="list-item-folder">
+                    {JOB_TITLES[job.type] || job.type} · {STATUS_LABELS[job.status]}
+                    {job.status === 'running' && job.progress && ` · page ${job.progress.done} of ${job.progress.total}`}
+                    {job.finished && ` · ${formatTime(job.finished)}`}
+                  </span>
+                  {job.status === 'running' && job.progress && (
+                    <span className="upload-progress-bar">
+                      <span
+                        className="upload-progress-fill"
+                        style={{ width: `${job.progress.total ? Math.round(job.progress.done / job.progress.total * 100) : 0}%` }}
+                      ></span>
+                    </span>
+                  )}
+                  {job.error && <span className="job-error">{job.error}</span>}
+                </span>
+                <div className="job-item-actions">
+                  {(job.status === 'queued' || job.status === 'running') && (
+                    <button className="rename-cancel" onClick={() => run(`/api/jobs/${job.id}/cancel`, 'POST')} disabled={busy}>
+                      Cancel
+                    </button>
+                  )}
+                  {(job.status === 'failed' || job.status === 'cancelled') && (
+                    <button className="rename-submit" onClick={() => run(`/api/jobs/${job.id}/retry`, 'POST')} disabled={busy}>
+                      Retry
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default JobsView
@@ -2,14 +2,30 @@ import { useState, useEffect } from 'react'
 import { useAuth } from '../context/AuthContext'
 
 function Login() {
+  const [username, setUsername] = useState('')
   const [password, setPassword] = useState('')
   const [confirmPassword, setConfirmPassword] = useState('')
   const [error, setError] = useState('')
   const [loading, setLoading] = useState(false)
   const [checkingStatus, setCheckingStatus] = useState(true)
   const [needsSetup, setNeedsSetup] = useState(false)
+  const [throttle, setThrottle] = useState(null) // { until, locked } after too many failed logins
+  const [now, setNow] = useState(Date.now())
   const { login } = useAuth()
 
+  // Count down while logins are throttled
+  useEffect(() => {
+    if (!throttle) return
+    const timer = setInterval(() => {
+      setNow(Date.now())
+      if (Date.now() >= throttle.until) {
+        setThrottle(null)
+        setError('')
+      }
+    }, 1000)
+    return () => clearInterval(timer)
+  }, [throttle])
+
   // Check if password has been set up
   useEffect(() => {
     const checkStatus = async () => {
@@ -28,21 +44,33 @@ function Login() {
 
   const handleLogin = async (e) => {
     e.preventDefault()
+    if (!username.trim()) {
+      setError('Please enter your username')
+      return
+    }
     if (!password.trim()) {
       setError('Please enter a password')
       return
     }
     setLoading(true)
     setError('')
-    const result = await login(password)
+    const result = await login(username.trim(), password)
     if (!result.success) {
       setError(result.error)
+      if (result.retryAfter) {
+        setThrottle({ until: Date.now() + result.retryAfter * 1000, locked: result.locked })
+        setNow(Date.now())
+      }
     }
     setLoading(false)
   }
 
   const handleSetup = async (e) => {
     e.preventDefault()
+    if (!username.trim()) {
+      setError('Please choose a username')
+      return
+    }
     if (!password.trim()) {
       setError('Please enter a password')
       return
@@ -61,7 +89,7 @@ function Login() {
       const res = await fetch('/api/auth/setup', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ password })
+        body: JSON.stringify({ username: username.trim(), password })
       })
       const data = await res.json()
       if (data.success) {
@@ -94,9 +122,21 @@ function Login() {
             <p>Sheet Music Library</p>
           </div>
           <div className="setup-message">
-            <p>Welcome! Please set a password to protect your library.</p>
+            <p>Welcome! Please create the admin account to protect your library.</p>
           </div>
           <form onSubmit={handleSetup} className="login-form">
+            <div className="login-field">
+              <input
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Choose a username"
+                className="login-input"
+                autoComplete="username"
+                autoFocus
+                disabled={loading}
+              />
+            </div>
             <div className="login-field">
               <input
                 type="password"
@@ -104,7 +144,7 @@ function Login() {
                 onChange={(e) => setPassword(e.target.value)}
                 placeholder="Choose a password"
                 className="login-input"
-                autoFocus
+                autoComplete="new-password"
                 disabled={loading}
               />
             </div>
@@ -120,7 +160,7 @@ function Login() {
             </div>
             {error && <div className="login-error">{error}</div>}
             <button type="submit" className="login-button" disabled={loading}>
-              {loading ? 'Setting up...' : 'Set Password'}
+              {loading ? 'Setting up...' : 'Create Account'}
             </button>
           </form>
         </div>
@@ -128,6 +168,11 @@ function Login() {
     )
   }
 
+  const waitSeconds = throttle ? Math.max(Math.ceil((throttle.until - now) / 1000), 0) : 0
+  const waitText = waitSeconds >= 60
+    ? `${Math.floor(waitSeconds / 60)}:${String(waitSeconds % 60).padStart(2, '0')} min`
+    : `${waitSeconds} s`
+
   // Login mode - password already set
   return (
     <div className="login-page">
@@ -137,6 +182,18 @@ function Login() {
           <p>Sheet Music Library</p>
         </div>
         <form onSubmit={handleLogin} className="login-form">
+          <div className="login-field">
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="Username"
+              className="login-input"
+              autoComplete="username"
+              autoFocus
+              disabled={loading}
+            />
+          </div>
           <div className="login-field">
             <input
               type="password"
@@ -144,12 +201,20 @@ function Login() {
               onChange={(e) => setPassword(e.target.value)}
               placeholder="Enter password"
               className="login-input"
-              autoFocus
+              autoComplete="current-password"
               disabled={loading}
             />
           </div>
-          {error && <div className="login-error">{error}</div>}
-          <button type="submit" className="login-button" disabled={loading}>
+          {throttle ? (
+            <div className="login-error">
+              {throttle.locked
+                ? `Too many failed attempts. Login is locked, try again in ${waitText}.`
+                : `Too many failed attempts. Try again in ${waitText}.`}
+            </div>
+          ) : (
+            error && <div className="login-error">{error}</div>
+          )}
+          <button type="submit" className="login-button" disabled={loading || !!throttle}>
             {loading ? 'Signing in...' : 'Enter Library'}
           </button>
         </form>
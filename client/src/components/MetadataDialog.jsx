@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react'
+import { useAuth } from '../context/AuthContext'
+
+const TEXT_FIELDS = [
+  { id: 'title', label: 'Title' },
+  { id: 'composer', label: 'Composer' },
+  { id: 'arranger', label: 'Arranger' },
+  { id: 'instrumentation', label: 'Instrumentation', placeholder: 'e.g. SATB, piano' },
+  { id: 'key', label: 'Key', placeholder: 'e.g. D major' },
+  { id: 'tempo', label: 'Tempo', placeholder: 'e.g. Allegro, ♩ = 120' },
+  { id: 'duration', label: 'Duration', placeholder: 'e.g. 4:30' }
+]
+
+const DIFFICULTIES = ['Very easy', 'Easy', 'Medium', 'Hard', 'Very hard']
+
+// Catalog details of a library file. Admins can edit them; files without
+// details yet start with what the server read from the PDF or Regalpaket.
+function MetadataDialog({ file, canEdit, onClose, onSaved }) {
+  const { authFetch } = useAuth()
+  const [form, setForm] = useState(null)
+  const [suggested, setSuggested] = useState(false)
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    const loadMetadata = async () => {
+      try {
+        const res = await authFetch(`/api/metadata/${encodeURIComponent(file.name)}`)
+        const data = await res.json()
+        if (!res.ok) {
+          setError(data.error || 'Failed to load details')
+          return
+        }
+        const { tags = [], difficulty, ...fields } = data.metadata
+        setForm({ ...fields, difficulty: difficulty ? String(difficulty) : '', tags: tags.join(', ') })
+        setSuggested(data.suggested)
+      } catch (err) {
+        setError(err.message)
+      }
+    }
+    loadMetadata()
+  }, [file.name, authFetch])
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }))
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setError('')
+    try {
+      const res = await authFetch(`/api/metadata/${encodeURIComponent(file.name)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...form, tags: form.tags.split(',') })
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        setError(data.error || 'Failed to save details')
+        return
+      }
+      onSaved?.()
+      onClose()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="rename-modal-overlay" onClick={onClose}>
+      <div className="rename-modal metadata-modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Details</h3>
+        <p className="metadata-file">{file.name}</p>
+        {!form ? (
+          error ? <div className="rename-error">{error}</div> : <div className="app-loading-spinner"></div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            {suggested && canEdit && (
+              <p className="settings-text">Pre-filled from the file. Check the details and save them.</p>
+            )}
+            <fieldset className="metadata-form" disabled={!canEdit}>
+              {TEXT_FIELDS.map(({ id, label, placeholder }) => (
+                <label key={id} className="metadata-field">
+                  {label}
+                  <input
+                    type="text"
+                    value={form[id] || ''}
+                    onChange={(e) => setField(id, e.target.value)}
+                    placeholder={canEdit ? placeholder : ''}
+                    className="rename-input"
+                  />
+                </label>
+              ))}
+              <label className="metadata-field">
+                Difficulty
+                <select
+                  value={form.difficulty}
+                  onChange={(e) => setField('difficulty', e.target.value)}
+                  className="rename-input"
+                >
+                  <option value="">–</option>
+                  {DIFFICULTIES.map((label, i) => (
+                    <option key={label} value={i + 1}>{i + 1} · {label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="metadata-field metadata-field-wide">
+                Tags
+                <input
+                  type="text"
+                  value={form.tags}
+                  onChange={(e) => setField('tags', e.target.value)}
+                  placeholder={canEdit ? 'Comma separated, e.g. Christmas, encore' : ''}
+                  className="rename-input"
+                />
+              </label>
+              <label className="metadata-field metadata-field-wide">
+                Notes
+                <textarea
+                  value={form.notes || ''}
+                  onChange={(e) => setField('notes', e.target.value)}
+                  rows={3}
+                  className="rename-input"
+                />
+              </label>
+            </fieldset>
+            {error && <div className="rename-error">{error}</div>}
+            <div className="rename-buttons">
+              <button type="button" className="rename-cancel" onClick={onClose}>
+                {canEdit ? 'Cancel' : 'Close'}
+              </button>
+              {canEdit && (
+                <button type="submit" className="rename-submit" disabled={saving}>
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+              )}
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default MetadataDialog
@@ -1,20 +1,27 @@
 import { useState, useCallback, useRef, useEffect, useMemo } from 'react'
 import { Document, Page, pdfjs } from 'react-pdf'
 import { useAuth } from '../context/AuthContext'
+import StaticAnnotationLayer from './StaticAnnotationLayer'
+import AnnotationLayerToggle from './AnnotationLayerToggle'
+import ExportDialog from './ExportDialog'
 import 'react-pdf/dist/Page/AnnotationLayer.css'
 import 'react-pdf/dist/Page/TextLayer.css'
 
 // Set up PDF.js worker
 pdfjs.GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@${pdfjs.version}/build/pdf.worker.min.mjs`
 
-function PdfViewer({ file, onClose, onConvertToRegal }) {
-  const { token } = useAuth()
+function PdfViewer({ file, initialPage = 1, onClose, onConvertToRegal, conversion }) {
+  const { token, authFetch } = useAuth()
   const [numPages, setNumPages] = useState(null)
   const [scale, setScale] = useState(null) // null = fit mode
   const [pageSize, setPageSize] = useState(null)
-  const [currentPage, setCurrentPage] = useState(1)
+  const [currentPage, setCurrentPage] = useState(initialPage)
   const [isFullscreen, setIsFullscreen] = useState(false)
-  const [converting, setConverting] = useState(false)
+  const [showExport, setShowExport] = useState(false)
+  const [converting, setConverting] = useState(false) // while the conversion is being queued
+  const [sharedAnnotations, setSharedAnnotations] = useState({})
+  const [myAnnotations, setMyAnnotations] = useState({})
+  const [annotationLayer, setAnnotationLayer] = useState('both') // 'mine', 'shared' or 'both'
   const containerRef = useRef(null)
   const scrollRef = useRef(null)
 
@@ -22,6 +29,24 @@ function PdfViewer({ file, onClose, onConvertToRegal }) {
   const touchStartRef = useRef(null)
   const touchStartTimeRef = useRef(null)
 
+  // Load stored annotations, shared and own
+  useEffect(() => {
+    const loadAnnotations = async () => {
+      try {
+        const annotUrl = `/api/annotations/${encodeURIComponent(file.name)}`
+        const [sharedRes, mineRes] = await Promise.all([
+          authFetch(annotUrl),
+          authFetch(`${annotUrl}?layer=mine`)
+        ])
+        setSharedAnnotations(await sharedRes.json())
+        setMyAnnotations(await mineRes.json())
+      } catch (err) {
+        console.error('Failed to load annotations:', err)
+      }
+    }
+    loadAnnotations()
+  }, [file.name, authFetch])
+
   const calculateFitScale = useCallback(() => {
     if (!scrollRef.current || !pageSize) return 1
     const container = scrollRef.current
@@ -44,6 +69,7 @@ function PdfViewer({ file, onClose, onConvertToRegal }) {
 
   const onDocumentLoadSuccess = useCallback(({ numPages }) => {
     setNumPages(numPages)
+    setCurrentPage(p => Math.min(p, numPages))
   }, [])
 
   const onPageLoadSuccess = useCallback((page) => {
@@ -109,6 +135,8 @@ function PdfViewer({ file, onClose, onConvertToRegal }) {
   // Keyboard navigation
   useEffect(() => {
     const handleKeyDown = (e) => {
+      // Keys belong to the export dialog while it's open
+      if (showExport) return
       if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
         prevPage()
       } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown' || e.key === ' ') {
@@ -120,7 +148,7 @@ function PdfViewer({ file, onClose, onConvertToRegal }) {
     }
     window.addEventListener('keydown', handleKeyDown)
     return () => window.removeEventListener('keydown', handleKeyDown)
-  }, [prevPage, nextPage, onClose])
+  }, [prevPage, nextPage, onClose, showExport])
 
   useEffect(() => {
     const handleFullscreenChange = () => {
@@ -161,6 +189,10 @@ function PdfViewer({ file, onClose, onConvertToRegal }) {
   pagesToRender.push(currentPage)
   if (numPages && currentPage < numPages) pagesToRender.push(currentPage + 1)
 
+  const hasAnnotations = Object.keys(sharedAnnotations).length > 0 || Object.keys(myAnnotations).length > 0
+  const renderedWidth = pageSize ? Math.round(pageSize.width * effectiveScale) : 0
+  const renderedHeight = pageSize ? Math.round(pageSize.height * effectiveScale) : 0
+
   return (
     <div className="pdf-overlay" onClick={onClose}>
       <div
@@ -169,7 +201,7 @@ function PdfViewer({ file, onClose, onConvertToRegal }) {
         onClick={(e) => e.stopPropagation()}
       >
         <div className="pdf-header">
-          <h2 className="pdf-title">{file.name.replace(/\.pdf$/i, '')}</h2>
+          <h2 className="pdf-title">{file.name.split('/').pop().replace(/\.pdf$/i, '')}</h2>
           <div className="pdf-controls">
             <button className="pdf-control-btn" onClick={zoomOut} title="Zoom out">-</button>
             <button
@@ -188,15 +220,30 @@ function PdfViewer({ file, onClose, onConvertToRegal }) {
             <button className="pdf-control-btn" onClick={toggleFullscreen} title={isFullscreen ? 'Exit fullscreen' : 'Fullscreen'}>
               {isFullscreen ? '⤓' : '⤢'}
             </button>
-            <span className="pdf-divider">|</span>
-            <button
-              className="pdf-control-btn regal-convert-btn"
-              onClick={handleConvertToRegal}
-              disabled={converting}
-              title="Convert to Regalpaket for annotations and faster page turns"
-            >
-              {converting ? 'Converting...' : 'Make Regalpaket'}
+            <button className="pdf-control-btn" onClick={() => setShowExport(true)} title="Download a printable PDF">
+              ⎙
             </button>
+            {hasAnnotations && (
+              <>
+                <span className="pdf-divider">|</span>
+                <AnnotationLayerToggle layer={annotationLayer} onChange={setAnnotationLayer} />
+              </>
+            )}
+            {onConvertToRegal && (
+              <>
+                <span className="pdf-divider">|</span>
+                <button
+                  className="pdf-control-btn regal-convert-btn"
+                  onClick={handleConvertToRegal}
+                  disabled={converting || !!conversion}
+                  title="Convert to Regalpaket for annotations and faster page turns"
+                >
+                  {conversion?.progress
+                    ? `Converting page ${conversion.progress.done} of ${conversion.progress.total}`
+                    : conversion || converting ? 'Converting...' : 'Make Regalpaket'}
+                </button>
+              </>
+            )}
           </div>
           <button className="pdf-close" onClick={onClose}>×</button>
         </div>
@@ -232,10 +279,30 @@ function PdfViewer({ file, onClose, onConvertToRegal }) {
                   renderTextLayer={pageNum === currentPage}
                   renderAnnotationLayer={pageNum === currentPage}
                 />
+                {pageNum === currentPage && renderedWidth > 0 && renderedHeight > 0 && (
+                  <>
+                    {annotationLayer !== 'mine' && (
+                      <StaticAnnotationLayer width={renderedWidth} height={renderedHeight} strokes={sharedAnnotations[pageNum] || []} />
+                    )}
+                    {annotationLayer !== 'shared' && (
+                      <StaticAnnotationLayer width={renderedWidth} height={renderedHeight} strokes={myAnnotations[pageNum] || []} />
+                    )}
+                  </>
+                )}
               </div>
             ))}
           </Document>
         </div>
+
+        {showExport && (
+          <ExportDialog
+            file={file}
+            currentPage={currentPage}
+            layer={annotationLayer}
+            scale={effectiveScale}
+            onClose={() => setShowExport(false)}
+          />
+        )}
       </div>
     </div>
   )
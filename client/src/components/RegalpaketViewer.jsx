@@ -3,14 +3,17 @@ import { useAuth } from '../context/AuthContext'
 import AnnotationCanvas from './AnnotationCanvas'
 import AnnotationToolbar from './AnnotationToolbar'
 import StaticAnnotationLayer from './StaticAnnotationLayer'
+import AnnotationLayerToggle from './AnnotationLayerToggle'
+import ExportDialog from './ExportDialog'
 
-function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
+function RegalpaketViewer({ file, initialPage = 1, onClose, onAnnotationsChange, canAnnotate = true, rendering, onRerender }) {
   const { authFetch, token } = useAuth()
   const [manifest, setManifest] = useState(null)
-  const [currentPage, setCurrentPage] = useState(1)
+  const [currentPage, setCurrentPage] = useState(initialPage)
   const [scale, setScale] = useState(null) // null = fit mode
   const [imageSize, setImageSize] = useState(null)
   const [isFullscreen, setIsFullscreen] = useState(false)
+  const [showExport, setShowExport] = useState(false)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [twoPageSpread, setTwoPageSpread] = useState(false)
@@ -18,7 +21,7 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
   // Page turn animation state
   const [isAnimating, setIsAnimating] = useState(false)
   const [animationDirection, setAnimationDirection] = useState(null) // 'next' or 'prev'
-  const [displayPage, setDisplayPage] = useState(1) // The page currently shown during animation
+  const [displayPage, setDisplayPage] = useState(initialPage) // The page currently shown during animation
 
   // Preloaded images
   const imageCache = useRef({})
@@ -34,7 +37,9 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
   const [annotationColor, setAnnotationColor] = useState('#1a1a1a')
   const [annotationLineWidth, setAnnotationLineWidth] = useState(4)
   const [annotationStamp, setAnnotationStamp] = useState('fermata')
-  const [annotations, setAnnotations] = useState({})
+  const [sharedAnnotations, setSharedAnnotations] = useState({})
+  const [myAnnotations, setMyAnnotations] = useState({})
+  const [annotationLayer, setAnnotationLayer] = useState('both') // 'mine', 'shared' or 'both'
   const [showAnnotations, setShowAnnotations] = useState(true)
   const canvasRef = useRef(null)
 
@@ -51,11 +56,16 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
         if (!res.ok) throw new Error('Failed to load manifest')
         const data = await res.json()
         setManifest(data)
+        setCurrentPage(p => Math.min(p, data.pageCount))
 
-        // Load all annotations
-        const annotRes = await authFetch(`/api/regalpaket/${encodeURIComponent(file.name)}/annotations`)
-        const annotData = await annotRes.json()
-        setAnnotations(annotData)
+        // Load all annotations, shared and own
+        const annotUrl = `/api/regalpaket/${encodeURIComponent(file.name)}/annotations`
+        const [sharedRes, mineRes] = await Promise.all([
+          authFetch(annotUrl),
+          authFetch(`${annotUrl}?layer=mine`)
+        ])
+        setSharedAnnotations(await sharedRes.json())
+        setMyAnnotations(await mineRes.json())
 
         setLoading(false)
       } catch (err) {
@@ -66,6 +76,13 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
     loadManifest()
   }, [file.name, authFetch])
 
+  // Size of a page as the manifest has it, so the layout doesn't wait for the
+  // image to load
+  const manifestPageSize = useCallback((pageNum) => {
+    const page = manifest?.pages?.find(p => p.page === pageNum)
+    return page?.width && page?.height ? { width: page.width, height: page.height } : null
+  }, [manifest])
+
   // Preload images
   useEffect(() => {
     if (!manifest || !token) return
@@ -74,13 +91,15 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
       if (imageCache.current[pageNum]) return
 
       const img = new Image()
-      // Add auth token to image URL
-      img.src = `/api/regalpaket/${encodeURIComponent(file.name)}/page/${pageNum}?token=${encodeURIComponent(token)}`
+      // Add auth token to image URL, and the page's checksum so a re-rendered
+      // page isn't taken from the cache
+      const version = manifest.pages?.find(p => p.page === pageNum)?.sha256 || manifest.render?.rendered || ''
+      img.src = `/api/regalpaket/${encodeURIComponent(file.name)}/page/${pageNum}?token=${encodeURIComponent(token)}&v=${encodeURIComponent(version)}`
       img.onload = () => {
         imageCache.current[pageNum] = img
         // If this is the current page, trigger update
         if (pageNum === currentPage) {
-          setImageSize({ width: img.naturalWidth, height: img.naturalHeight })
+          setImageSize(manifestPageSize(pageNum) || { width: img.naturalWidth, height: img.naturalHeight })
           setCurrentImageLoaded(true)
         }
       }
@@ -95,22 +114,23 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
     for (let i = 1; i <= manifest.pageCount; i++) {
       setTimeout(() => preloadImage(i), i * 100)
     }
-  }, [manifest, currentPage, file.name, token])
+  }, [manifest, currentPage, file.name, token, manifestPageSize])
 
   // Update image size when current page changes
   useEffect(() => {
     const cached = imageCache.current[currentPage]
-    if (cached) {
+    const size = manifestPageSize(currentPage)
+    if (size) {
+      setImageSize(size)
+    } else if (cached) {
       setImageSize({ width: cached.naturalWidth, height: cached.naturalHeight })
-      setCurrentImageLoaded(true)
-    } else {
-      setCurrentImageLoaded(false)
     }
+    setCurrentImageLoaded(!!cached)
     // Keep displayPage in sync when not animating
     if (!isAnimating) {
       setDisplayPage(currentPage)
     }
-  }, [currentPage, isAnimating])
+  }, [currentPage, isAnimating, manifestPageSize])
 
   const calculateFitScale = useCallback(() => {
     if (!scrollRef.current || !imageSize) return 1
@@ -134,10 +154,13 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
     return scale
   }, [scale, calculateFitScale])
 
+  // Drawing goes to the shared layer when only that is shown, else to mine
+  const editLayer = annotationLayer === 'shared' ? 'shared' : 'mine'
+
   // Save annotations
-  const saveAnnotations = useCallback(async (pageNumber, strokes) => {
+  const saveAnnotations = useCallback(async (pageNumber, strokes, layer) => {
     try {
-      await authFetch(`/api/regalpaket/${encodeURIComponent(file.name)}/annotations/${pageNumber}`, {
+      await authFetch(`/api/regalpaket/${encodeURIComponent(file.name)}/annotations/${pageNumber}?layer=${layer}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ strokes })
@@ -148,13 +171,24 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
     }
   }, [file.name, onAnnotationsChange, authFetch])
 
+  // Saved annotations are merged into the Regalpaket when it's closed, so
+  // the effect leaves authFetch out of its dependencies
+  useEffect(() => {
+    if (!canAnnotate) return
+    return () => {
+      authFetch(`/api/regalpaket/${encodeURIComponent(file.name)}/close`, { method: 'POST', keepalive: true })
+        .catch(err => console.error('Failed to close the Regalpaket:', err))
+    }
+  }, [file.name, canAnnotate])
+
   const handleStrokesChange = useCallback((strokes) => {
+    const setAnnotations = editLayer === 'mine' ? setMyAnnotations : setSharedAnnotations
     setAnnotations(prev => ({
       ...prev,
       [currentPage]: strokes
     }))
-    saveAnnotations(currentPage, strokes)
-  }, [currentPage, saveAnnotations])
+    saveAnnotations(currentPage, strokes, editLayer)
+  }, [currentPage, editLayer, saveAnnotations])
 
   const handleUndo = useCallback(() => {
     canvasRef.current?.undo()
@@ -250,6 +284,8 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
   // Keyboard navigation
   useEffect(() => {
     const handleKeyDown = (e) => {
+      // Keys belong to the export dialog while it's open
+      if (showExport) return
       if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
         prevPage()
       } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown' || e.key === ' ') {
@@ -261,7 +297,7 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
     }
     window.addEventListener('keydown', handleKeyDown)
     return () => window.removeEventListener('keydown', handleKeyDown)
-  }, [prevPage, nextPage, onClose])
+  }, [prevPage, nextPage, onClose, showExport])
 
   useEffect(() => {
     const handleFullscreenChange = () => {
@@ -289,14 +325,26 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
   const renderedWidth = imageSize ? Math.round(imageSize.width * effectiveScale) : 0
   const renderedHeight = imageSize ? Math.round(imageSize.height * effectiveScale) : 0
 
-  const currentPageStrokes = annotations[currentPage] || []
+  const editAnnotations = editLayer === 'mine' ? myAnnotations : sharedAnnotations
+  const currentPageStrokes = editAnnotations[currentPage] || []
   const hasStrokes = currentPageStrokes.length > 0
 
   const pageCount = manifest?.pageCount || 0
 
   // Calculate the second page for two-page spread (right side)
   const secondPage = twoPageSpread && currentPage < pageCount ? currentPage + 1 : null
-  const secondPageStrokes = secondPage ? (annotations[secondPage] || []) : []
+
+  // Read-only strokes of the shown layers for a page, shared below mine
+  const renderStaticAnnotations = (pageNum) => (
+    <>
+      {annotationLayer !== 'mine' && (
+        <StaticAnnotationLayer width={renderedWidth} height={renderedHeight} strokes={sharedAnnotations[pageNum] || []} />
+      )}
+      {annotationLayer !== 'shared' && (
+        <StaticAnnotationLayer width={renderedWidth} height={renderedHeight} strokes={myAnnotations[pageNum] || []} />
+      )}
+    </>
+  )
 
   if (loading) {
     return (
@@ -328,7 +376,7 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
         <div className="pdf-header">
           <h2 className="pdf-title">
             <span className="regal-badge">R</span>
-            {manifest?.name || file.name.replace(/\.regal$/i, '')}
+            {manifest?.name || file.name.split('/').pop().replace(/\.regal$/i, '')}
           </h2>
           <div className="pdf-controls">
             <button className="pdf-control-btn" onClick={zoomOut} title="Zoom out">-</button>
@@ -347,13 +395,15 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
             </span>
             <button className="pdf-control-btn" onClick={nextPage} disabled={twoPageSpread ? currentPage >= pageCount - 1 : currentPage >= pageCount}>&#8250;</button>
             <span className="pdf-divider">|</span>
-            <button
-              className={`pdf-control-btn ${annotationMode ? 'pdf-control-active' : ''}`}
-              onClick={() => setAnnotationMode(m => !m)}
-              title={annotationMode ? 'Exit annotation mode' : 'Annotate'}
-            >
-              ✏
-            </button>
+            {canAnnotate && (
+              <button
+                className={`pdf-control-btn ${annotationMode ? 'pdf-control-active' : ''}`}
+                onClick={() => setAnnotationMode(m => !m)}
+                title={annotationMode ? 'Exit annotation mode' : 'Annotate'}
+              >
+                ✏
+              </button>
+            )}
             <button
               className={`pdf-control-btn ${showAnnotations ? 'pdf-control-active' : ''}`}
               onClick={() => setShowAnnotations(s => !s)}
@@ -361,6 +411,9 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
             >
               {showAnnotations ? '👁' : '👁‍🗨'}
             </button>
+            {canAnnotate && showAnnotations && (
+              <AnnotationLayerToggle layer={annotationLayer} onChange={setAnnotationLayer} />
+            )}
             <button
               className={`pdf-control-btn ${twoPageSpread ? 'pdf-control-active' : ''}`}
               onClick={() => { setTwoPageSpread(s => !s); setScale(null); }}
@@ -371,6 +424,24 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
             <button className="pdf-control-btn" onClick={toggleFullscreen} title={isFullscreen ? 'Exit fullscreen' : 'Fullscreen'}>
               {isFullscreen ? '⤓' : '⤢'}
             </button>
+            <button className="pdf-control-btn" onClick={() => setShowExport(true)} title="Download a printable PDF">
+              ⎙
+            </button>
+            {onRerender && (
+              <>
+                <span className="pdf-divider">|</span>
+                <button
+                  className="pdf-control-btn regal-convert-btn"
+                  onClick={onRerender}
+                  disabled={!!rendering}
+                  title={manifest?.render ? `Rendered at ${manifest.render.dpi} DPI as ${manifest.render.format.toUpperCase()}` : 'Render the pages again from the original PDF'}
+                >
+                  {rendering?.progress
+                    ? `Rendering page ${rendering.progress.done} of ${rendering.progress.total}`
+                    : rendering ? 'Rendering...' : 'Re-render'}
+                </button>
+              </>
+            )}
           </div>
           <button className="pdf-close" onClick={onClose}>×</button>
         </div>
@@ -415,9 +486,7 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
                         Loading page...
                       </div>
                     )}
-                    {showAnnotations && renderedWidth > 0 && renderedHeight > 0 && (
-                      <StaticAnnotationLayer width={renderedWidth} height={renderedHeight} strokes={currentPageStrokes} />
-                    )}
+                    {showAnnotations && renderedWidth > 0 && renderedHeight > 0 && renderStaticAnnotations(currentPage)}
                   </div>
                 </div>
                 {/* Right page (second) */}
@@ -436,9 +505,7 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
                           Loading page...
                         </div>
                       )}
-                      {showAnnotations && renderedWidth > 0 && renderedHeight > 0 && (
-                        <StaticAnnotationLayer width={renderedWidth} height={renderedHeight} strokes={secondPageStrokes} />
-                      )}
+                      {showAnnotations && renderedWidth > 0 && renderedHeight > 0 && renderStaticAnnotations(secondPage)}
                     </div>
                   </div>
                 )}
@@ -474,13 +541,7 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
                     </div>
                   )}
                   {/* Static annotations for the underneath page during animation */}
-                  {isAnimating && showAnnotations && renderedWidth > 0 && renderedHeight > 0 && (
-                    <StaticAnnotationLayer
-                      width={renderedWidth}
-                      height={renderedHeight}
-                      strokes={annotations[displayPage] || []}
-                    />
-                  )}
+                  {isAnimating && showAnnotations && renderedWidth > 0 && renderedHeight > 0 && renderStaticAnnotations(displayPage)}
                 </div>
 
                 {/* Flipping page overlay (the old page flipping away) */}
@@ -497,13 +558,7 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
                       className="regal-page-image"
                     />
                     {/* Static annotations on the flipping page */}
-                    {showAnnotations && (
-                      <StaticAnnotationLayer
-                        width={renderedWidth}
-                        height={renderedHeight}
-                        strokes={annotations[currentPage] || []}
-                      />
-                    )}
+                    {showAnnotations && renderStaticAnnotations(currentPage)}
                     <div className="regal-page-shadow"></div>
                   </div>
                 )}
@@ -521,21 +576,24 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
                       className="regal-page-image"
                     />
                     {/* Static annotations on the flipping page */}
-                    {showAnnotations && (
-                      <StaticAnnotationLayer
-                        width={renderedWidth}
-                        height={renderedHeight}
-                        strokes={annotations[currentPage - 1] || []}
-                      />
-                    )}
+                    {showAnnotations && renderStaticAnnotations(currentPage - 1)}
                     <div className="regal-page-shadow regal-page-shadow-prev"></div>
                   </div>
                 )}
 
-                {/* Interactive annotation canvas (only when not animating) */}
+                {/* Shared strokes alongside the editable layer when showing both */}
+                {!isAnimating && showAnnotations && annotationLayer === 'both' && renderedWidth > 0 && renderedHeight > 0 && (
+                  <StaticAnnotationLayer
+                    width={renderedWidth}
+                    height={renderedHeight}
+                    strokes={sharedAnnotations[currentPage] || []}
+                  />
+                )}
+
+                {/* Interactive annotation canvas for the edited layer (only when not animating) */}
                 {!isAnimating && showAnnotations && renderedWidth > 0 && renderedHeight > 0 && (
                   <AnnotationCanvas
-                    key={`${file.name}-${currentPage}`}
+                    key={`${file.name}-${currentPage}-${editLayer}`}
                     ref={canvasRef}
                     width={renderedWidth}
                     height={renderedHeight}
@@ -552,6 +610,16 @@ function RegalpaketViewer({ file, onClose, onAnnotationsChange }) {
             )}
           </div>
         </div>
+
+        {showExport && (
+          <ExportDialog
+            file={file}
+            currentPage={currentPage}
+            layer={showAnnotations ? annotationLayer : 'none'}
+            scale={effectiveScale}
+            onClose={() => setShowExport(false)}
+          />
+        )}
       </div>
     </div>
   )
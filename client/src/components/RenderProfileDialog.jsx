@@ -0,0 +1,82 @@
+import { useState, useEffect } from 'react'
+import { useAuth } from '../context/AuthContext'
+
+const COLOR_LABELS = {
+  color: 'in color',
+  gray: 'grayscale',
+  mono: 'black and white'
+}
+
+const describe = (profile) => [
+  `${profile.dpi} DPI ${profile.format.toUpperCase()}`,
+  profile.quality && `quality ${profile.quality}`,
+  COLOR_LABELS[profile.color]
+].filter(Boolean).join(', ')
+
+// Asks which render profile the pages of Regalpakets are made with, for
+// converting `file`, a batch of PDFs on `shelf`, or rendering `file` again
+function RenderProfileDialog({ action, file, shelf, onSubmit, onClose }) {
+  const { authFetch } = useAuth()
+  const [profiles, setProfiles] = useState(null)
+  const [profile, setProfile] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    authFetch('/api/regalpaket/profiles')
+      .then(async res => {
+        const data = await res.json()
+        if (!res.ok) throw new Error(data.error)
+        setProfiles(data.profiles)
+        setProfile(data.default.name in data.profiles ? data.default.name : Object.keys(data.profiles)[0])
+      })
+      .catch(err => setError(err.message || 'Could not load the render profiles'))
+  }, [])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (profile) onSubmit(profile)
+  }
+
+  const name = file?.name.split('/').pop().replace(/\.(pdf|regal)$/i, '')
+  const title = action === 'rerender'
+    ? `Re-render "${name}"`
+    : action === 'convert-batch'
+      ? `Make Regalpakets ${shelf ? `of "${shelf.name}"` : 'of the library'}`
+      : `Make a Regalpaket of "${name}"`
+
+  return (
+    <div className="rename-modal-overlay" onClick={onClose}>
+      <div className="rename-modal" onClick={(e) => e.stopPropagation()}>
+        <h3>{title}</h3>
+        <form onSubmit={handleSubmit}>
+          <p className="settings-text">
+            {action === 'rerender'
+              ? 'The pages are rendered again from the original PDF. Annotations stay where they are.'
+              : action === 'convert-batch'
+                ? 'All PDFs without a Regalpaket are converted in the background, which can take a while.'
+                : 'The PDF is converted in the background and opens as a Regalpaket when it\'s done.'}
+          </p>
+          {error && <div className="rename-error">{error}</div>}
+          {profiles && (
+            <label className="zip-import-shelf">
+              Pages as
+              <select value={profile} onChange={(e) => setProfile(e.target.value)} className="rename-input">
+                {Object.entries(profiles).map(([key, settings]) => (
+                  <option key={key} value={key}>{key}: {describe(settings)}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <div className="rename-buttons">
+            <button type="button" className="rename-cancel" onClick={onClose}>Cancel</button>
+            <button type="submit" className="rename-submit" disabled={!profile} autoFocus>
+              {action === 'rerender' ? 'Re-render' : 'Convert'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default RenderProfileDialog
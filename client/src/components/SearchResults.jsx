@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react'
+import { useAuth } from '../context/AuthContext'
+
+const MIN_QUERY_LENGTH = 2
+const SEARCH_DELAY = 300 // ms after the last keystroke
+
+// Pages whose printed text matches the search, from the server's full-text
+// index. Clicking a hit opens the file at that page.
+function SearchResults({ query, files, metadata, onOpenPage }) {
+  const { authFetch } = useAuth()
+  const [hits, setHits] = useState([])
+  const [searching, setSearching] = useState(false)
+
+  useEffect(() => {
+    const trimmed = query.trim()
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setHits([])
+      return
+    }
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      setSearching(true)
+      try {
+        const res = await authFetch(`/api/search?q=${encodeURIComponent(trimmed)}`)
+        const data = await res.json()
+        if (!cancelled) setHits(res.ok ? data : [])
+      } catch (err) {
+        console.error('Failed to search:', err)
+      } finally {
+        if (!cancelled) setSearching(false)
+      }
+    }, SEARCH_DELAY)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [query, authFetch])
+
+  // Hits of files that were removed since they were indexed are left out
+  const results = hits
+    .map(hit => ({ ...hit, file: files.find(f => f.name === hit.file) }))
+    .filter(hit => hit.file)
+
+  if (results.length === 0) {
+    return searching ? <div className="search-results-status">Searching the music...</div> : null
+  }
+
+  return (
+    <section className="search-results">
+      <h3 className="search-results-title">Found in the music</h3>
+      <div className="search-results-list">
+        {results.map(({ file, page, snippet }) => (
+          <button
+            key={`${file.name}:${page}`}
+            className="search-result"
+            onClick={() => onOpenPage(file, page)}
+          >
+            <span className="search-result-name">
+              {metadata[file.name]?.title || file.name.split('/').pop().replace(/\.(pdf|regal)$/i, '')}
+              <span className="search-result-page">Page {page}</span>
+            </span>
+            <span className="search-result-snippet">
+              {snippet.map((part, i) => part.match ? <mark key={i}>{part.text}</mark> : part.text)}
+            </span>
+          </button>
+        ))}
+      </div>
+    </section>
+  )
+}
+
+export default SearchResults
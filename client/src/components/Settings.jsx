@@ -0,0 +1,422 @@
+import { useState, useEffect } from 'react'
+import { useAuth, ROLES } from '../context/AuthContext'
+
+const ROLE_LABELS = {
+  viewer: 'Viewer (read only)',
+  musician: 'Musician (annotate, favorites)',
+  admin: 'Admin (everything)'
+}
+
+// API key scopes and the role needed to grant them
+const API_KEY_SCOPES = [
+  { id: 'read', label: 'Read library', role: 'viewer' },
+  { id: 'annotate', label: 'Annotate', role: 'musician' },
+  { id: 'upload', label: 'Upload', role: 'admin' },
+  { id: 'admin', label: 'Admin', role: 'admin' }
+]
+
+function Settings({ onClose }) {
+  const { user, hasRole, authFetch, changePassword, logout } = useAuth()
+  const isAdmin = hasRole('admin')
+
+  // Own password
+  const [currentPassword, setCurrentPassword] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [passwordMessage, setPasswordMessage] = useState(null)
+
+  // User management (admins only)
+  const [users, setUsers] = useState([])
+  const [usersError, setUsersError] = useState('')
+  const [newUsername, setNewUsername] = useState('')
+  const [newUserPassword, setNewUserPassword] = useState('')
+  const [newUserRole, setNewUserRole] = useState('musician')
+  const [resettingId, setResettingId] = useState(null)
+  const [resetPassword, setResetPassword] = useState('')
+
+  // Own API keys
+  const [apiKeys, setApiKeys] = useState([])
+  const [keysError, setKeysError] = useState('')
+  const [newKeyName, setNewKeyName] = useState('')
+  const [newKeyScopes, setNewKeyScopes] = useState(['read'])
+  const [createdKey, setCreatedKey] = useState(null)
+
+  // Active share links (admin)
+  const [shares, setShares] = useState([])
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchUsers()
+      fetchShares()
+    }
+  }, [isAdmin])
+
+  useEffect(() => {
+    fetchApiKeys()
+  }, [])
+
+  const fetchApiKeys = async () => {
+    try {
+      const res = await authFetch('/api/keys')
+      const data = await res.json()
+      setApiKeys(data)
+    } catch (err) {
+      console.error('Failed to fetch API keys:', err)
+    }
+  }
+
+  const fetchShares = async () => {
+    try {
+      const res = await authFetch('/api/shares')
+      const data = await res.json()
+      setShares(data)
+    } catch (err) {
+      console.error('Failed to fetch share links:', err)
+    }
+  }
+
+  const fetchUsers = async () => {
+    try {
+      const res = await authFetch('/api/users')
+      const data = await res.json()
+      setUsers(data)
+    } catch (err) {
+      console.error('Failed to fetch users:', err)
+    }
+  }
+
+  // Run a user management request, showing its error if it fails
+  const userRequest = async (url, options) => {
+    setUsersError('')
+    const res = await authFetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' }
+    })
+    const data = await res.json()
+    if (!res.ok) {
+      setUsersError(data.error || 'Request failed')
+      return null
+    }
+    await fetchUsers()
+    return data
+  }
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault()
+    const result = await changePassword(currentPassword, newPassword)
+    if (result.success) {
+      setCurrentPassword('')
+      setNewPassword('')
+      setPasswordMessage({ type: 'success', text: 'Password changed' })
+    } else {
+      setPasswordMessage({ type: 'error', text: result.error })
+    }
+  }
+
+  const handleCreateUser = async (e) => {
+    e.preventDefault()
+    const created = await userRequest('/api/users', {
+      method: 'POST',
+      body: JSON.stringify({ username: newUsername, password: newUserPassword, role: newUserRole })
+    })
+    if (created) {
+      setNewUsername('')
+      setNewUserPassword('')
+    }
+  }
+
+  const handleRoleChange = (id, role) => {
+    userRequest(`/api/users/${id}`, { method: 'PUT', body: JSON.stringify({ role }) })
+  }
+
+  const handleResetPassword = async (e, id) => {
+    e.preventDefault()
+    const updated = await userRequest(`/api/users/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ password: resetPassword })
+    })
+    if (updated) {
+      setResettingId(null)
+      setResetPassword('')
+    }
+  }
+
+  const toggleKeyScope = (scope) => {
+    setNewKeyScopes(scopes => scopes.includes(scope)
+      ? scopes.filter(s => s !== scope)
+      : [...scopes, scope])
+  }
+
+  const handleCreateKey = async (e) => {
+    e.preventDefault()
+    setKeysError('')
+    const res = await authFetch('/api/keys', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: newKeyName, scopes: newKeyScopes })
+    })
+    const data = await res.json()
+    if (!res.ok) {
+      setKeysError(data.error || 'Failed to create API key')
+      return
+    }
+    setCreatedKey(data.key)
+    setNewKeyName('')
+    fetchApiKeys()
+  }
+
+  const handleRevokeKey = async (apiKey) => {
+    if (window.confirm(`Revoke the API key "${apiKey.name}"? Scripts using it will stop working.`)) {
+      await authFetch(`/api/keys/${apiKey.id}`, { method: 'DELETE' })
+      fetchApiKeys()
+    }
+  }
+
+  const handleCopyShare = async (share) => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${share.url}`)
+    } catch (err) {
+      console.error('Failed to copy share link:', err)
+    }
+  }
+
+  const handleRevokeShare = async (share) => {
+    if (window.confirm(`Revoke the share link for "${share.name}"? It will stop working immediately.`)) {
+      await authFetch(`/api/shares/${share.id}`, { method: 'DELETE' })
+      fetchShares()
+    }
+  }
+
+  const handleDeleteUser = (account) => {
+    if (window.confirm(`Delete the account "${account.username}"?`)) {
+      userRequest(`/api/users/${account.id}`, { method: 'DELETE' })
+    }
+  }
+
+  return (
+    <div className="rename-modal-overlay" onClick={onClose}>
+      <div className="rename-modal settings-modal" onClick={(e) => e.stopPropagation()}>
+        <button className="settings-close" onClick={onClose}>×</button>
+        <h3>Settings</h3>
+
+        <section className="settings-section">
+          <h4 className="settings-heading">Account</h4>
+          <p className="settings-text">
+            Signed in as <strong>{user?.username}</strong> ({user?.role})
+          </p>
+          <form onSubmit={handleChangePassword} className="settings-form">
+            <input
+              type="password"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              placeholder="Current password"
+              className="rename-input"
+              autoComplete="current-password"
+            />
+            <input
+              type="password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              placeholder="New password"
+              className="rename-input"
+              autoComplete="new-password"
+            />
+            {passwordMessage && (
+              <div className={passwordMessage.type === 'error' ? 'rename-error' : 'settings-success'}>
+                {passwordMessage.text}
+              </div>
+            )}
+            <div className="rename-buttons">
+              <button type="button" className="rename-cancel" onClick={logout}>
+                Sign out
+              </button>
+              <button type="submit" className="rename-submit">
+                Change Password
+              </button>
+            </div>
+          </form>
+        </section>
+
+        <section className="settings-section">
+          <h4 className="settings-heading">API Keys</h4>
+          <p className="settings-text">
+            Scripts send a key as <code>Authorization: Bearer &lt;key&gt;</code>.
+          </p>
+          {createdKey && (
+            <div className="settings-new-key">
+              Copy the new key now, it won't be shown again:
+              <code>{createdKey}</code>
+            </div>
+          )}
+          {apiKeys.length > 0 && (
+            <div className="settings-list">
+              {apiKeys.map(apiKey => (
+                <div key={apiKey.id} className="settings-list-item">
+                  <span className="settings-list-name">{apiKey.name}</span>
+                  <span className="settings-list-meta">
+                    {apiKey.prefix}… · {apiKey.scopes.join(', ')} · {apiKey.lastUsed
+                      ? `used ${new Date(apiKey.lastUsed).toLocaleDateString()}`
+                      : 'never used'}
+                  </span>
+                  <button
+                    className="settings-action-btn"
+                    onClick={() => handleRevokeKey(apiKey)}
+                    title="Revoke"
+                  >
+                    🗑️
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+          <form onSubmit={handleCreateKey} className="settings-form">
+            <input
+              type="text"
+              value={newKeyName}
+              onChange={(e) => setNewKeyName(e.target.value)}
+              placeholder="Key name, e.g. sync script"
+              className="rename-input"
+              autoComplete="off"
+            />
+            <div className="settings-scopes">
+              {API_KEY_SCOPES.filter(scope => hasRole(scope.role)).map(scope => (
+                <label key={scope.id} className="settings-scope">
+                  <input
+                    type="checkbox"
+                    checked={newKeyScopes.includes(scope.id)}
+                    onChange={() => toggleKeyScope(scope.id)}
+                  />
+                  {scope.label}
+                </label>
+              ))}
+            </div>
+            {keysError && <div className="rename-error">{keysError}</div>}
+            <div className="rename-buttons">
+              <button type="submit" className="rename-submit">Create Key</button>
+            </div>
+          </form>
+        </section>
+
+        {isAdmin && (
+          <section className="settings-section">
+            <h4 className="settings-heading">Share Links</h4>
+            {shares.length === 0 ? (
+              <p className="settings-text">
+                No active links. Share a piece from its context menu or a shelf with 🔗 in the sidebar.
+              </p>
+            ) : (
+              <div className="settings-list">
+                {shares.map(share => (
+                  <div key={share.id} className="settings-list-item">
+                    <span className="settings-list-name">{share.name}</span>
+                    <span className="settings-list-meta">
+                      {share.type === 'shelf' ? 'shelf' : 'piece'} · until {new Date(share.expires).toLocaleDateString()}
+                    </span>
+                    <button
+                      className="settings-action-btn"
+                      onClick={() => handleCopyShare(share)}
+                      title="Copy link"
+                    >
+                      📋
+                    </button>
+                    <button
+                      className="settings-action-btn"
+                      onClick={() => handleRevokeShare(share)}
+                      title="Revoke"
+                    >
+                      🗑️
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
+        )}
+
+        {isAdmin && (
+          <section className="settings-section">
+            <h4 className="settings-heading">Users</h4>
+            <div className="settings-list">
+              {users.map(account => (
+                <div key={account.id} className="settings-list-item">
+                  <span className="settings-list-name">{account.username}</span>
+                  <select
+                    className="settings-select"
+                    value={account.role}
+                    onChange={(e) => handleRoleChange(account.id, e.target.value)}
+                  >
+                    {ROLES.map(role => (
+                      <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                    ))}
+                  </select>
+                  {resettingId === account.id ? (
+                    <form onSubmit={(e) => handleResetPassword(e, account.id)} className="settings-inline-form">
+                      <input
+                        type="password"
+                        value={resetPassword}
+                        onChange={(e) => setResetPassword(e.target.value)}
+                        placeholder="New password"
+                        className="rename-input"
+                        autoComplete="new-password"
+                        autoFocus
+                      />
+                      <button type="submit" className="settings-action-btn" title="Save password">✓</button>
+                      <button type="button" className="settings-action-btn" onClick={() => setResettingId(null)} title="Cancel">×</button>
+                    </form>
+                  ) : (
+                    <button
+                      className="settings-action-btn"
+                      onClick={() => { setResettingId(account.id); setResetPassword('') }}
+                      title="Reset password"
+                    >
+                      🔑
+                    </button>
+                  )}
+                  {account.id !== user?.id && (
+                    <button
+                      className="settings-action-btn"
+                      onClick={() => handleDeleteUser(account)}
+                      title="Delete"
+                    >
+                      🗑️
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+            <form onSubmit={handleCreateUser} className="settings-form settings-add-form">
+              <input
+                type="text"
+                value={newUsername}
+                onChange={(e) => setNewUsername(e.target.value)}
+                placeholder="Username"
+                className="rename-input"
+                autoComplete="off"
+              />
+              <input
+                type="password"
+                value={newUserPassword}
+                onChange={(e) => setNewUserPassword(e.target.value)}
+                placeholder="Password"
+                className="rename-input"
+                autoComplete="new-password"
+              />
+              <select
+                className="settings-select"
+                value={newUserRole}
+                onChange={(e) => setNewUserRole(e.target.value)}
+              >
+                {ROLES.map(role => (
+                  <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                ))}
+              </select>
+              <button type="submit" className="rename-submit">Add User</button>
+            </form>
+            {usersError && <div className="rename-error">{usersError}</div>}
+          </section>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Settings
@@ -0,0 +1,86 @@
+import { useState } from 'react'
+import { useAuth } from '../context/AuthContext'
+
+// Mint a read-only share link for a file or shelf and show it for copying
+function ShareDialog({ type, target, name, onClose }) {
+  const { authFetch } = useAuth()
+  const [days, setDays] = useState('7')
+  const [link, setLink] = useState(null)
+  const [error, setError] = useState('')
+  const [copied, setCopied] = useState(false)
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setError('')
+    try {
+      const res = await authFetch('/api/shares', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type, target, days: Number(days) })
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        setError(data.error || 'Failed to create share link')
+        return
+      }
+      setLink({ url: `${window.location.origin}${data.url}`, expires: data.expires })
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link.url)
+      setCopied(true)
+    } catch (err) {
+      console.error('Failed to copy share link:', err)
+    }
+  }
+
+  return (
+    <div className="rename-modal-overlay" onClick={onClose}>
+      <div className="rename-modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Share "{name}"</h3>
+        {link ? (
+          <>
+            <p className="settings-text">
+              Anyone with this link can view {type === 'shelf' ? 'the shelf' : 'the piece'} until {new Date(link.expires).toLocaleString()}.
+            </p>
+            <input type="text" value={link.url} readOnly className="rename-input" onFocus={(e) => e.target.select()} autoFocus />
+            <div className="rename-buttons">
+              <button type="button" className="rename-cancel" onClick={onClose}>Close</button>
+              <button type="button" className="rename-submit" onClick={handleCopy}>
+                {copied ? 'Copied' : 'Copy Link'}
+              </button>
+            </div>
+          </>
+        ) : (
+          <form onSubmit={handleCreate}>
+            <p className="settings-text">Create a read-only link that works without an account.</p>
+            <label className="share-days">
+              Valid for
+              <input
+                type="number"
+                min="1"
+                max="365"
+                value={days}
+                onChange={(e) => setDays(e.target.value)}
+                className="rename-input"
+                autoFocus
+              />
+              days
+            </label>
+            {error && <div className="rename-error">{error}</div>}
+            <div className="rename-buttons">
+              <button type="button" className="rename-cancel" onClick={onClose}>Cancel</button>
+              <button type="submit" className="rename-submit">Create Link</button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ShareDialog
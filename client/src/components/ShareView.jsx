@@ -0,0 +1,79 @@
+import { useState, useEffect } from 'react'
+import { useAuth } from '../context/AuthContext'
+import PdfViewer from './PdfViewer'
+import RegalpaketViewer from './RegalpaketViewer'
+
+// Read-only page behind a share link: the shared files and a viewer,
+// without the library, uploads or annotation editing
+function ShareView() {
+  const { authFetch } = useAuth()
+  const [share, setShare] = useState(null)
+  const [error, setError] = useState('')
+  const [viewing, setViewing] = useState(null)
+
+  useEffect(() => {
+    const loadShare = async () => {
+      try {
+        const res = await authFetch('/api/share')
+        const data = await res.json()
+        if (!res.ok) {
+          setError(data.error || 'Failed to open the link')
+          return
+        }
+        setShare(data)
+        // A single shared piece opens right away
+        if (data.type === 'file' && data.files.length === 1) {
+          setViewing(data.files[0])
+        }
+      } catch (err) {
+        setError(err.message)
+      }
+    }
+    loadShare()
+  }, [authFetch])
+
+  if (!share && !error) {
+    return (
+      <div className="login-page">
+        <div className="app-loading-spinner"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="login-page">
+      <div className="login-container share-container">
+        <div className="login-header">
+          <h1>Notenregal</h1>
+          <p>{share ? share.name : 'Shared Music'}</p>
+        </div>
+        {error ? (
+          <div className="login-error">{error}</div>
+        ) : (
+          <>
+            <div className="share-files">
+              {share.files.map(file => (
+                <button key={file.name} className="share-file" onClick={() => setViewing(file)}>
+                  {file.type === 'regal' && <span className="regal-badge">R</span>}
+                  {file.name.split('/').pop().replace(/\.(pdf|regal)$/i, '')}
+                </button>
+              ))}
+              {share.files.length === 0 && <p className="share-empty">Nothing is shared here anymore.</p>}
+            </div>
+            <p className="share-expires">Shared until {new Date(share.expires).toLocaleString()}</p>
+          </>
+        )}
+      </div>
+
+      {viewing && (
+        viewing.type === 'regal' ? (
+          <RegalpaketViewer file={viewing} onClose={() => setViewing(null)} canAnnotate={false} />
+        ) : (
+          <PdfViewer file={viewing} onClose={() => setViewing(null)} />
+        )
+      )}
+    </div>
+  )
+}
+
+export default ShareView
@@ -1,6 +1,7 @@
 import { useState } from 'react'
+import FolderTree from './FolderTree'
 
-function Sidebar({ shelves, activeShelf, onSelectShelf, onCreateShelf, onRenameShelf, onDeleteShelf }) {
+function Sidebar({ shelves, files = [], activeShelf, onSelectShelf, onCreateShelf, onRenameShelf, onDeleteShelf, onShareShelf, onConvertShelf, showDuplicates = false, showTrash = false, showJobs = false, activeJobs = 0, canEditShelf = () => true, canCreateShelf = true, canCreateSharedShelf = true, userName, onOpenSettings }) {
   const [editingId, setEditingId] = useState(null)
   const [editName, setEditName] = useState('')
 
@@ -44,13 +45,59 @@ function Sidebar({ shelves, activeShelf, onSelectShelf, onCreateShelf, onRenameS
           Favorites
         </button>
 
-        <button
-          className={`shelf-item shelf-item-regal ${activeShelf === 'regalpakets' ? 'active' : ''}`}
-          onClick={() => onSelectShelf('regalpakets')}
-        >
-          <span className="shelf-icon regal-icon">R</span>
-          All Regalpakets
-        </button>
+        <div className={`shelf-item shelf-item-regal ${activeShelf === 'regalpakets' ? 'active' : ''}`}>
+          <button
+            className="shelf-button"
+            onClick={() => onSelectShelf('regalpakets')}
+          >
+            <span className="shelf-icon regal-icon">R</span>
+            All Regalpakets
+          </button>
+          {onConvertShelf && (
+            <div className="shelf-actions">
+              <button
+                className="shelf-action-btn"
+                onClick={() => onConvertShelf(null)}
+                title="Make Regalpakets of all PDFs in the library"
+              >
+                ⟳
+              </button>
+            </div>
+          )}
+        </div>
+
+        {showDuplicates && (
+          <button
+            className={`shelf-item ${activeShelf === 'duplicates' ? 'active' : ''}`}
+            onClick={() => onSelectShelf('duplicates')}
+          >
+            <span className="shelf-icon">⧉</span>
+            Duplicates
+          </button>
+        )}
+
+        {showTrash && (
+          <button
+            className={`shelf-item ${activeShelf === 'trash' ? 'active' : ''}`}
+            onClick={() => onSelectShelf('trash')}
+          >
+            <span className="shelf-icon">🗑</span>
+            Trash
+          </button>
+        )}
+
+        {showJobs && (
+          <button
+            className={`shelf-item ${activeShelf === 'jobs' ? 'active' : ''}`}
+            onClick={() => onSelectShelf('jobs')}
+          >
+            <span className="shelf-icon">⚙</span>
+            Jobs
+            {activeJobs > 0 && <span className="shelf-item-badge">{activeJobs}</span>}
+          </button>
+        )}
+
+        <FolderTree files={files} activeShelf={activeShelf} onSelectShelf={onSelectShelf} />
 
         <div className="shelf-divider"></div>
         <h2 className="shelf-heading">Shelves</h2>
@@ -73,37 +120,79 @@ function Sidebar({ shelves, activeShelf, onSelectShelf, onCreateShelf, onRenameS
                   className="shelf-button"
                   onClick={() => onSelectShelf(shelf.id)}
                 >
-                  <span className="shelf-icon">&#9834;</span>
+                  <span className="shelf-icon">{shelf.ownerId ? '🔒' : <>&#9834;</>}</span>
                   {shelf.name}
                 </button>
-                <div className="shelf-actions">
-                  <button
-                    className="shelf-action-btn"
-                    onClick={() => handleStartEdit(shelf)}
-                    title="Rename"
-                  >
-                    ✏️
-                  </button>
-                  <button
-                    className="shelf-action-btn"
-                    onClick={() => onDeleteShelf(shelf.id)}
-                    title="Delete"
-                  >
-                    🗑️
-                  </button>
-                </div>
+                {(canEditShelf(shelf) || onShareShelf || onConvertShelf) && (
+                  <div className="shelf-actions">
+                    {onConvertShelf && (
+                      <button
+                        className="shelf-action-btn"
+                        onClick={() => onConvertShelf(shelf)}
+                        title="Make Regalpakets of its PDFs"
+                      >
+                        ⟳
+                      </button>
+                    )}
+                    {onShareShelf && (
+                      <button
+                        className="shelf-action-btn"
+                        onClick={() => onShareShelf(shelf)}
+                        title="Share link"
+                      >
+                        🔗
+                      </button>
+                    )}
+                    {canEditShelf(shelf) && (
+                      <>
+                        <button
+                          className="shelf-action-btn"
+                          onClick={() => handleStartEdit(shelf)}
+                          title="Rename"
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          className="shelf-action-btn"
+                          onClick={() => onDeleteShelf(shelf.id)}
+                          title="Delete"
+                        >
+                          🗑️
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
               </>
             )}
           </div>
         ))}
 
-        <button
-          className="add-shelf-btn"
-          onClick={() => onCreateShelf('New Shelf')}
-        >
-          + Add Shelf
-        </button>
+        {canCreateSharedShelf && (
+          <button
+            className="add-shelf-btn"
+            onClick={() => onCreateShelf('New Shelf', false)}
+          >
+            + Add Shelf
+          </button>
+        )}
+        {canCreateShelf && (
+          <button
+            className="add-shelf-btn"
+            onClick={() => onCreateShelf('My Shelf', true)}
+            title="Only visible to you"
+          >
+            + Add Private Shelf
+          </button>
+        )}
       </nav>
+
+      <div className="sidebar-footer">
+        <button className="sidebar-user-btn" onClick={onOpenSettings} title="Settings">
+          <span className="shelf-icon">⚙</span>
+          {userName}
+        </button>
+      </div>
     </aside>
   )
 }
@@ -0,0 +1,114 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../context/AuthContext'
+
+const formatDate = (time) => new Date(time).toLocaleDateString()
+
+// Deleted files, which can be restored with their shelf entries, favorites
+// and annotations until they are purged
+function TrashView({ files, onChanged }) {
+  const { authFetch } = useAuth()
+  const [items, setItems] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const loadTrash = useCallback(async () => {
+    try {
+      const res = await authFetch('/api/trash')
+      const data = await res.json()
+      if (!res.ok) {
+        setError(data.error || 'Failed to load the trash')
+        return
+      }
+      setItems(data)
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [authFetch])
+
+  // Refetched whenever the library changes
+  useEffect(() => {
+    loadTrash()
+  }, [files, loadTrash])
+
+  const run = async (url, method) => {
+    setBusy(true)
+    setError('')
+    try {
+      const res = await authFetch(url, { method })
+      const data = await res.json()
+      if (!res.ok) {
+        setError(data.error || 'Something went wrong')
+      }
+      await loadTrash()
+      onChanged?.()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const restore = (item) => run(`/api/trash/${item.id}/restore`, 'POST')
+
+  const purge = (item) => {
+    if (window.confirm(`Delete "${item.name}" for good? Its annotations are lost too.`)) {
+      run(`/api/trash/${item.id}`, 'DELETE')
+    }
+  }
+
+  const emptyTrash = () => {
+    if (window.confirm(`Delete all ${items.length} files in the trash for good?`)) {
+      run('/api/trash', 'DELETE')
+    }
+  }
+
+  if (!items) {
+    return error ? <div className="rename-error">{error}</div> : <div className="app-loading-spinner"></div>
+  }
+
+  return (
+    <div className="bookshelf bookshelf-list-view trash-view">
+      {error && <div className="rename-error">{error}</div>}
+      {items.length === 0 ? (
+        <div className="empty-shelf">
+          <p>The trash is empty.</p>
+          <p className="empty-hint">Deleted files wait here and can be restored until they are purged.</p>
+        </div>
+      ) : (
+        <>
+          <div className="trash-actions">
+            <button className="rename-cancel" onClick={emptyTrash} disabled={busy}>
+              Empty Trash
+            </button>
+          </div>
+          <div className="list-container">
+            {items.map(item => (
+              <div key={item.id} className="list-item trash-item">
+                <span className="list-item-title">
+                  {item.name.split('/').pop().replace(/\.(pdf|regal)$/i, '')}
+                  <span className="list-item-folder">
+                    {item.name} · deleted {formatDate(item.trashed)}
+                    {item.expires && ` · purged ${formatDate(item.expires)}`}
+                  </span>
+                </span>
+                <div className="list-item-badges">
+                  {item.type === 'regal' && <span className="list-badge list-badge-regal" title="Regalpaket">R</span>}
+                </div>
+                <div className="trash-item-actions">
+                  <button className="rename-submit" onClick={() => restore(item)} disabled={busy}>
+                    Restore
+                  </button>
+                  <button className="rename-cancel" onClick={() => purge(item)} disabled={busy}>
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default TrashView
@@ -1,5 +1,6 @@
 import { useRef } from 'react'
 
+// Picks PDFs to upload and zip files to import, several at once
 function UploadButton({ onUpload, uploading }) {
   const inputRef = useRef(null)
 
@@ -8,9 +9,9 @@ function UploadButton({ onUpload, uploading }) {
   }
 
   const handleChange = (e) => {
-    const file = e.target.files?.[0]
-    if (file) {
-      onUpload(file)
+    const files = [...(e.target.files || [])]
+    if (files.length > 0) {
+      onUpload(files)
       e.target.value = ''
     }
   }
@@ -20,14 +21,15 @@ function UploadButton({ onUpload, uploading }) {
       <input
         ref={inputRef}
         type="file"
-        accept=".pdf,application/pdf"
+        accept=".pdf,application/pdf,.zip,application/zip"
+        multiple
         onChange={handleChange}
         style={{ display: 'none' }}
       />
       <button
         className="upload-btn"
         onClick={handleClick}
-        disabled={uploading}
+        title="PDFs, or zip files of them"
       >
         {uploading ? 'Uploading...' : '+ Upload PDF'}
       </button>
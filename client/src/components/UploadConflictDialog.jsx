@@ -0,0 +1,33 @@
+import { useState } from 'react'
+
+// Asks what to do with an upload whose name is already taken in the library.
+// With `several` files being uploaded the answer can go for the rest too.
+function UploadConflictDialog({ name, several, onChoose }) {
+  const [forAll, setForAll] = useState(false)
+
+  const choose = (choice) => onChoose({ choice, forAll })
+
+  return (
+    <div className="rename-modal-overlay" onClick={() => choose('skip')}>
+      <div className="rename-modal" onClick={(e) => e.stopPropagation()}>
+        <h3>"{name}" already exists</h3>
+        <p className="settings-text">
+          Keep both adds the upload under a new name. Replace moves the file in the library to the trash, and the upload takes its place on shelves with its favorites, annotations and details.
+        </p>
+        {several && (
+          <label className="upload-conflict-all">
+            <input type="checkbox" checked={forAll} onChange={(e) => setForAll(e.target.checked)} />
+            Do the same for the other files
+          </label>
+        )}
+        <div className="rename-buttons">
+          <button type="button" className="rename-cancel" onClick={() => choose('skip')}>Cancel</button>
+          <button type="button" className="rename-cancel" onClick={() => choose('replace')}>Replace</button>
+          <button type="button" className="rename-submit" onClick={() => choose('keep-both')} autoFocus>Keep Both</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default UploadConflictDialog
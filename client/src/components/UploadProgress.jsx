@@ -0,0 +1,34 @@
+// Progress of the running and finished uploads, one bar per file
+function UploadProgress({ uploads, onDismiss }) {
+  if (uploads.length === 0) {
+    return null
+  }
+
+  const finished = uploads.filter(u => u.status === 'done' || u.status === 'skipped' || u.status === 'error').length
+
+  return (
+    <div className="upload-progress">
+      <div className="upload-progress-header">
+        <span>
+          {finished === uploads.length ? 'Uploads finished' : `Uploading ${finished + 1} of ${uploads.length}`}
+        </span>
+        {finished === uploads.length && (
+          <button className="upload-progress-close" onClick={onDismiss} title="Close">✕</button>
+        )}
+      </div>
+      <ul className="upload-progress-list">
+        {uploads.map(upload => (
+          <li key={upload.id} className={`upload-progress-item upload-progress-${upload.status}`}>
+            <span className="upload-progress-name" title={upload.name}>{upload.name}</span>
+            <div className="upload-progress-bar">
+              <div className="upload-progress-fill" style={{ width: `${Math.round(upload.progress * 100)}%` }}></div>
+            </div>
+            {upload.message && <span className="upload-progress-message">{upload.message}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default UploadProgress
@@ -0,0 +1,54 @@
+import { useState } from 'react'
+
+// Asks where the PDFs of zip files go before importing them: the folder
+// being viewed, optionally a shelf to put them all on, and what to do with
+// files that are already there
+function ZipImportDialog({ files, folder, shelves, onImport, onClose }) {
+  const [shelfId, setShelfId] = useState('')
+  const [conflict, setConflict] = useState('skip')
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onImport(shelfId || null, conflict)
+  }
+
+  const names = files.map(f => f.name).join('", "')
+
+  return (
+    <div className="rename-modal-overlay" onClick={onClose}>
+      <div className="rename-modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Import "{names}"</h3>
+        <form onSubmit={handleSubmit}>
+          <p className="settings-text">
+            The PDFs are unpacked into {folder ? `the folder "${folder}"` : 'the library'}, keeping the folders inside the zip.
+          </p>
+          {shelves.length > 0 && (
+            <label className="zip-import-shelf">
+              Add them to
+              <select value={shelfId} onChange={(e) => setShelfId(e.target.value)} className="rename-input">
+                <option value="">No shelf</option>
+                {shelves.map(shelf => (
+                  <option key={shelf.id} value={shelf.id}>{shelf.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label className="zip-import-shelf">
+            Files already there
+            <select value={conflict} onChange={(e) => setConflict(e.target.value)} className="rename-input">
+              <option value="skip">Skip them</option>
+              <option value="keep-both">Keep both</option>
+              <option value="replace">Replace them</option>
+            </select>
+          </label>
+          <div className="rename-buttons">
+            <button type="button" className="rename-cancel" onClick={onClose}>Cancel</button>
+            <button type="submit" className="rename-submit" autoFocus>Import</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default ZipImportDialog
@@ -1,10 +1,14 @@
-import { createContext, useContext, useState, useEffect } from 'react'
+import { createContext, useContext, useState, useEffect, useMemo } from 'react'
 
 const AuthContext = createContext(null)
 
+// Roles in increasing order of rights (must match the server)
+const ROLES = ['viewer', 'musician', 'admin']
+
 export function AuthProvider({ children }) {
   const [token, setToken] = useState(() => localStorage.getItem('auth_token'))
   const [isAuthenticated, setIsAuthenticated] = useState(false)
+  const [user, setUser] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
 
   // Check if token is valid on mount
@@ -20,6 +24,7 @@ export function AuthProvider({ children }) {
         })
         const data = await res.json()
         setIsAuthenticated(data.authenticated)
+        setUser(data.user)
         if (!data.authenticated) {
           localStorage.removeItem('auth_token')
           setToken(null)
@@ -34,21 +39,23 @@ export function AuthProvider({ children }) {
     checkAuth()
   }, [token])
 
-  const login = async (password) => {
+  const login = async (username, password) => {
     try {
       const res = await fetch('/api/auth/login', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ password })
+        body: JSON.stringify({ username, password })
       })
       const data = await res.json()
       if (data.success && data.token) {
         localStorage.setItem('auth_token', data.token)
         setToken(data.token)
+        setUser(data.user)
         setIsAuthenticated(true)
         return { success: true }
       }
-      return { success: false, error: data.error || 'Login failed' }
+      // retryAfter (seconds) is set when failed attempts throttled the login
+      return { success: false, error: data.error || 'Login failed', retryAfter: data.retryAfter, locked: data.locked }
     } catch (err) {
       return { success: false, error: err.message }
     }
@@ -65,9 +72,15 @@ export function AuthProvider({ children }) {
     }
     localStorage.removeItem('auth_token')
     setToken(null)
+    setUser(null)
     setIsAuthenticated(false)
   }
 
+  // Whether the logged-in user has at least the given role
+  const hasRole = (role) => {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role)
+  }
+
   const changePassword = async (currentPassword, newPassword) => {
     try {
       const res = await fetch('/api/auth/change-password', {
@@ -100,6 +113,8 @@ export function AuthProvider({ children }) {
   return (
     <AuthContext.Provider value={{
       token,
+      user,
+      hasRole,
       isAuthenticated,
       isLoading,
       login,
@@ -112,6 +127,30 @@ export function AuthProvider({ children }) {
   )
 }
 
+// Stands in for AuthProvider on share link pages: requests carry the share
+// token instead of a session, and there is no user to log in or out
+export function ShareAuthProvider({ token, children }) {
+  const value = useMemo(() => ({
+    token,
+    user: null,
+    hasRole: () => false,
+    isAuthenticated: true,
+    isLoading: false,
+    authFetch: (url, options = {}) => fetch(url, {
+      ...options,
+      headers: { ...options.headers, 'X-Share-Token': token }
+    })
+  }), [token])
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  )
+}
+
+export { ROLES }
+
 export function useAuth() {
   const context = useContext(AuthContext)
   if (!context) {
@@ -1,13 +1,23 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import { AuthProvider } from './context/AuthContext'
+import { AuthProvider, ShareAuthProvider } from './context/AuthContext'
 import App from './App'
+import ShareView from './components/ShareView'
 import './styles/index.css'
 
+// Share links (/share/<token>) open a read-only view without logging in
+const shareMatch = window.location.pathname.match(/^\/share\/([^/]+)$/)
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <AuthProvider>
-      <App />
-    </AuthProvider>
+    {shareMatch ? (
+      <ShareAuthProvider token={decodeURIComponent(shareMatch[1])}>
+        <ShareView />
+      </ShareAuthProvider>
+    ) : (
+      <AuthProvider>
+        <App />
+      </AuthProvider>
+    )}
   </React.StrictMode>,
 )
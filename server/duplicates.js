@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const { readLibraryPdf } = require('./pdf');
+
+// SHA-256 of the PDF of a library file, null when it has none. A Regalpaket
+// hashes like the PDF it was converted from: its original.pdf is a
+// byte-for-byte copy.
+async function hashLibraryFile(filePath) {
+  const pdfData = await readLibraryPdf(filePath);
+  return pdfData ? crypto.createHash('sha256').update(pdfData).digest('hex') : null;
+}
+
+// Groups of file names with the same content, from { <fileName>: hash }.
+// Only groups of two or more, each sorted by name.
+function groupDuplicates(hashes) {
+  const groups = new Map();
+  for (const [fileName, hash] of Object.entries(hashes)) {
+    if (hash) {
+      groups.set(hash, [...(groups.get(hash) || []), fileName]);
+    }
+  }
+  return [...groups.values()]
+    .filter(files => files.length > 1)
+    .map(files => files.sort((a, b) => a.localeCompare(b)));
+}
+
+// Strokes of two copies of a page. Strokes both copies have (like those of
+// a file that was copied after annotating it) are kept once.
+function mergeStrokes(strokes, moreStrokes) {
+  const seen = new Set(strokes.map(stroke => JSON.stringify(stroke)));
+  return [...strokes, ...moreStrokes.filter(stroke => !seen.has(JSON.stringify(stroke)))];
+}
+
+module.exports = { hashLibraryFile, groupDuplicates, mergeStrokes };
@@ -0,0 +1,54 @@
+// Server-Sent Events to the open clients. Each connection belongs to a user,
+// so events can be limited to the users allowed to see them.
+function createEventHub({ heartbeatInterval = 30 * 1000 } = {}) {
+  const clients = new Set();
+
+  // A comment line now and then keeps proxies from closing idle streams
+  setInterval(() => {
+    for (const client of clients) {
+      client.res.write(': ping\n\n');
+    }
+  }, heartbeatInterval).unref();
+
+  return {
+    // Keep `res` open as an event stream for `user` until the client leaves.
+    // `session` is the hash of the session token, null for API keys.
+    connect(req, res, user, session = null) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.write('retry: 5000\n\n');
+
+      const client = { res, user, session };
+      clients.add(client);
+      req.on('close', () => clients.delete(client));
+    },
+
+    // End the streams whose user and session pass `filter`, after a logout or
+    // a change to the account. Clients connect again, checked anew.
+    disconnect(filter) {
+      for (const client of clients) {
+        if (filter(client.user, client.session)) {
+          clients.delete(client);
+          client.res.end();
+        }
+      }
+    },
+
+    // Send an event to every client, or only to those whose user passes `filter`
+    broadcast(type, data = {}, filter = () => true) {
+      const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+      for (const client of clients) {
+        if (filter(client.user)) {
+          client.res.write(message);
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createEventHub };
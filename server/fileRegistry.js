@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { scanLibrary } = require('./library');
+const { hashLibraryFile } = require('./duplicates');
+
+// Library files have IDs that don't change when a file is renamed or moved,
+// in the app or outside of it, so shelves, favorites, annotations, the
+// catalog and share links keep pointing at it. A file found on a scan is
+// matched to a known one by name, then by inode (moved on the same
+// filesystem), then by content hash (copied over and the old one deleted,
+// but not trashed). Files that are gone are kept as missing until they turn
+// up again.
+//
+// Scans, renames and hashing run one at a time. The store keeps the entries,
+// see store.libraryFiles; the registry works on a copy in memory.
+function createFileRegistry({ root, store }) {
+  const entries = new Map(); // id -> { id, name, inode, size, mtime, hash, missing }
+  const ids = new Map(); // name -> id, of the files in the library
+  const unhashable = new Set(); // `${id}:${mtime}` of files that couldn't be hashed
+  let queue = Promise.resolve();
+  let pendingScan = null;
+
+  const enqueue = (task) => {
+    const job = queue.then(task);
+    queue = job.catch(() => {});
+    return job;
+  };
+
+  const newId = () => `file-${crypto.randomBytes(8).toString('hex')}`;
+  const filePathOf = name => path.join(root, ...name.split('/'));
+
+  const save = async (entry) => {
+    const known = entries.get(entry.id);
+    entries.set(entry.id, entry);
+    if (!known || Object.keys(entry).some(key => entry[key] !== known[key])) {
+      await store.libraryFiles.save(entry);
+    }
+  };
+
+  const hashOf = async (name) => {
+    try {
+      return await hashLibraryFile(filePathOf(name));
+    } catch (err) {
+      console.warn(`Could not hash ${name}: ${err.message}`);
+      return null;
+    }
+  };
+
+  // Record `file` (a scan result) as the present file of `id`
+  const record = async (id, { name, stats }, hash) => {
+    ids.set(name, id);
+    await save({ id, name, inode: stats.ino, size: stats.size, mtime: stats.mtimeMs, hash, missing: false });
+  };
+
+  const scan = async () => {
+    const found = [];
+    for (const name of scanLibrary(root)) {
+      const stats = fs.statSync(filePathOf(name), { throwIfNoEntry: false });
+      if (stats) {
+        found.push({ name, stats });
+      }
+    }
+
+    // Files still under their name. A changed file is hashed again later.
+    const unmatched = [];
+    const claimed = new Set();
+    for (const file of found) {
+      const entry = entries.get(ids.get(file.name));
+      if (entry) {
+        claimed.add(entry.id);
+        const unchanged = entry.size === file.stats.size && entry.mtime === file.stats.mtimeMs;
+        await record(entry.id, file, unchanged ? entry.hash : null);
+      } else {
+        unmatched.push(file);
+      }
+    }
+
+    // Known files not found under their name may have moved
+    const candidates = [...entries.values()].filter(e => !claimed.has(e.id));
+    const claim = (entry) => candidates.splice(candidates.indexOf(entry), 1);
+
+    for (const file of [...unmatched]) {
+      const { ino, size, mtimeMs } = file.stats;
+      const entry = candidates.find(e => e.inode === ino && e.size === size && e.mtime === mtimeMs);
+      if (entry) {
+        claim(entry);
+        unmatched.splice(unmatched.indexOf(file), 1);
+        await record(entry.id, file, entry.hash);
+      }
+    }
+
+    // A trashed file keeps its ID for when it's restored, so a copy of it
+    // added meanwhile is a new file
+    const trashed = new Set((await store.trash.list()).map(item => item.fileId));
+    const copiedFrom = candidates.filter(e => e.hash && !trashed.has(e.id));
+    for (const file of unmatched) {
+      // Only hashed now if there is something to compare with
+      const hash = copiedFrom.length > 0 ? await hashOf(file.name) : null;
+      const entry = hash && (copiedFrom.find(e => e.hash === hash && e.name === file.name) || copiedFrom.find(e => e.hash === hash));
+      if (entry) {
+        claim(entry);
+        copiedFrom.splice(copiedFrom.indexOf(entry), 1);
+      }
+      await record(entry ? entry.id : newId(), file, hash);
+    }
+
+    for (const entry of candidates) {
+      if (ids.get(entry.name) === entry.id) {
+        ids.delete(entry.name);
+      }
+      await save({ ...entry, missing: true });
+    }
+
+    enqueue(hashMissing).catch(err => console.error('Failed to hash the library files:', err));
+  };
+
+  // Hash the files that are new or changed since they were hashed
+  const hashMissing = async () => {
+    for (const entry of entries.values()) {
+      const key = `${entry.id}:${entry.mtime}`;
+      if (entry.missing || entry.hash || unhashable.has(key)) {
+        continue;
+      }
+      const hash = await hashOf(entry.name);
+      if (hash) {
+        await save({ ...entry, hash });
+      } else {
+        unhashable.add(key);
+      }
+    }
+  };
+
+  // Name of the file with `id`, null when it's not in the library
+  const nameOf = (id) => {
+    const entry = entries.get(id);
+    return entry && !entry.missing ? entry.name : null;
+  };
+
+  return {
+    async load() {
+      for (const entry of await store.libraryFiles.list()) {
+        entries.set(entry.id, entry);
+        if (!entry.missing) {
+          ids.set(entry.name, entry.id);
+        }
+      }
+    },
+
+    // Bring the registry up to date with the library. Resolves after a scan
+    // that started after the call.
+    sync() {
+      if (!pendingScan) {
+        pendingScan = enqueue(() => {
+          pendingScan = null;
+          return scan();
+        }).catch(err => console.error('Failed to scan the library files:', err));
+      }
+      return pendingScan;
+    },
+
+    // Follow a rename made through the app. Returns the file's ID.
+    rename(oldName, newName) {
+      return enqueue(async () => {
+        const entry = entries.get(ids.get(oldName));
+        if (!entry) {
+          return null;
+        }
+        ids.delete(oldName);
+        ids.set(newName, entry.id);
+        await save({ ...entry, name: newName });
+        return entry.id;
+      });
+    },
+
+    // Drop a missing file for good, so a file turning up later isn't taken
+    // for it. Files in the library are kept.
+    forget(id) {
+      return enqueue(async () => {
+        if (entries.get(id)?.missing) {
+          entries.delete(id);
+          await store.libraryFiles.remove(id);
+        }
+      });
+    },
+
+    // ID of a file in the library, undefined for names it doesn't know
+    idOf(name) {
+      return ids.get(name);
+    },
+
+    nameOf,
+
+    // Names of the files with `fileIds` that are in the library, in order
+    namesOf(fileIds) {
+      return fileIds.map(nameOf).filter(Boolean);
+    },
+
+    // { <fileName>: hash } of the library files, once all are hashed
+    hashes() {
+      return enqueue(async () => {
+        await hashMissing();
+        return Object.fromEntries([...ids].map(([name, id]) => [name, entries.get(id).hash]));
+      });
+    }
+  };
+}
+
+module.exports = { createFileRegistry };
@@ -1,11 +1,31 @@
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { pipeline } = require('stream/promises');
 const multer = require('multer');
 const archiver = require('archiver');
 const unzipper = require('unzipper');
 const crypto = require('crypto');
+const util = require('util');
+const { serialize } = require('./storage');
+const { createStore } = require('./store');
+const { createAttemptCounter } = require('./loginThrottle');
+const { isLibraryFile, resolveLibraryPath, sanitizeFileName, scanLibrary, watchLibrary } = require('./library');
+const { createEventHub } = require('./events');
+const { normalizeMetadata, suggestMetadata } = require('./metadata');
+const { createTextIndexer } = require('./textIndex');
+const { createThumbnailCache } = require('./thumbnails');
+const { isPdfFile } = require('./pdf');
+const { hashLibraryFile, groupDuplicates, mergeStrokes } = require('./duplicates');
+const { createFileRegistry } = require('./fileRegistry');
+const { createJobQueue, FINISHED } = require('./jobs');
+const { RENDER_PROFILES, PAGE_EXTENSIONS, resolveRenderProfile, pageMimeType, renderPages } = require('./regalRender');
+const { exportFlattenedPdf } = require('./pdfExport');
+const { createRegalEditStore, applyRegalEdits } = require('./regalEdits');
+const { createArchiveCache, entryTag } = require('./regalArchive');
+const { MANIFEST_VERSION, validateManifest, readManifest, archiveSource, folderSource } = require('./regalManifest');
 
 const app = express();
 
@@ -13,82 +33,389 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 const DATA_PATH = process.env.DATA_PATH || path.join(__dirname, '..');
 const LIBRARY_PATH = process.env.LIBRARY_PATH || path.join(DATA_PATH, 'library');
+const STORAGE = process.env.STORAGE || 'json';
+// Scan the library for changes every LIBRARY_POLL_SECONDS, for mounts that
+// don't report them to the filesystem watcher (0 = only watch)
+const LIBRARY_POLL_INTERVAL = (Number(process.env.LIBRARY_POLL_SECONDS) || 0) * 1000;
+// Deleted files are purged from the trash after TRASH_RETENTION_DAYS (0 =
+// only when the trash is emptied)
+const TRASH_RETENTION = Number(process.env.TRASH_RETENTION_DAYS ?? 30) * 24 * 60 * 60 * 1000;
+// Largest file that can be uploaded, zip files and the PDFs in them included
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB) || 200;
+const UPLOAD_MAX_BYTES = UPLOAD_MAX_MB * 1024 * 1024;
+// How Regalpaket pages are rendered unless a conversion asks otherwise, one
+// of RENDER_PROFILES
+const DEFAULT_RENDER_PROFILE = resolveRenderProfile(process.env.REGAL_PROFILE || 'standard');
+
+// Users, sessions, shelves, favorites, annotations, the catalog and the text
+// index, stored in DATA_PATH
+const store = createStore(STORAGE, DATA_PATH);
+
+// Live updates for the open clients, see /api/events
+const events = createEventHub();
+
+// IDs of the library files, which the data store refers to them by. The API
+// speaks in file names; routes translate between the two.
+const registry = createFileRegistry({ root: LIBRARY_PATH, store });
+
+// Full-text index of the library's PDF text, see /api/search
+const textIndexer = createTextIndexer({ root: LIBRARY_PATH, store, registry });
+
+// The text index goes by file ID, so it's brought up to date once the
+// registry knows the files
+async function updateLibraryIndexes() {
+  await registry.sync();
+  textIndexer.run();
+}
+
+// Regalpaket conversions and other long work, see /api/jobs. Admins follow
+// them live.
+const jobs = createJobQueue({
+  handlers: { convert: convertToRegalpaket, rerender: rerenderRegalpaket },
+  onChange: job => events.broadcast('jobs', publicJob(job), user => hasRole(user, 'admin'))
+});
+
+// First-page thumbnails for the book covers, see /api/thumbnails
+const thumbnails = createThumbnailCache(path.join(DATA_PATH, 'thumbnails'));
 
-// Data files stored in DATA_PATH
-const SHELVES_FILE = path.join(DATA_PATH, 'shelves.json');
-const ANNOTATIONS_FILE = path.join(DATA_PATH, 'annotations.json');
-const AUTH_FILE = path.join(DATA_PATH, 'auth.json');
-const FAVORITES_FILE = path.join(DATA_PATH, 'favorites.json');
+// Opened Regalpaket archives, and optionally their page images, for serving
+// pages without opening the archive every time
+const regalArchives = createArchiveCache({
+  maxArchives: Number(process.env.REGAL_ARCHIVE_CACHE) || 32,
+  maxPageBytes: (Number(process.env.REGAL_PAGE_CACHE_MB) || 0) * 1024 * 1024
+});
+
+// Annotation edits of Regalpakets waiting to be merged into their archives
+const regalEdits = createRegalEditStore(path.join(DATA_PATH, 'regal-edits'));
+const REGAL_EDITS_MERGE_DELAY = 2 * 60 * 1000; // after the last edit
 
-// Session store (in-memory, will reset on server restart)
+// Session store: persisted in the data store, cached in memory by token hash.
+// Sessions expire after SESSION_IDLE_DAYS without use (sliding expiry).
 const sessions = new Map();
-const SESSION_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+const SESSION_IDLE_TIMEOUT = (Number(process.env.SESSION_IDLE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const SESSION_TOUCH_INTERVAL = 60 * 60 * 1000; // persist last use at most hourly
+const SESSION_PRUNE_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Password hashing. Hashes made before the iteration count was recorded used
+// 10000 iterations; they are upgraded on the next successful login.
+const PBKDF2_ITERATIONS = 210000;
+const LEGACY_PBKDF2_ITERATIONS = 10000;
+const pbkdf2 = util.promisify(crypto.pbkdf2);
+
+// Login throttling: per client address after LOGIN_MAX_ATTEMPTS failures a
+// lockout of LOGIN_LOCKOUT_MINUTES, exponential backoff before that. A global
+// counter also slows down attempts spread over many addresses; it forgets a
+// failure every 30 seconds, so a few mistyped passwords around the building
+// don't slow everybody down for good.
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+const LOGIN_LOCKOUT = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const ipAttempts = createAttemptCounter({
+  freeAttempts: 3,
+  baseDelay: 1000,
+  maxDelay: 60 * 1000,
+  lockoutAfter: LOGIN_MAX_ATTEMPTS,
+  lockoutDuration: LOGIN_LOCKOUT,
+  resetAfter: LOGIN_LOCKOUT
+});
+const globalAttempts = createAttemptCounter({
+  freeAttempts: 20,
+  baseDelay: 500,
+  maxDelay: 30 * 1000,
+  resetAfter: LOGIN_LOCKOUT,
+  decayAfter: 30 * 1000
+});
 
-// Check if password has been set
-function isPasswordSet() {
-  return fs.existsSync(AUTH_FILE);
+// Share links are signed with a secret kept in DATA_PATH, created on first start
+const SHARE_SECRET_FILE = path.join(DATA_PATH, 'share-secret');
+const SHARE_MAX_DAYS = 365;
+let shareSecret = null;
+
+// Roles in increasing order of rights: viewers read, musicians also annotate
+// and keep favorites, admins also manage users and the library.
+const ROLES = ['viewer', 'musician', 'admin'];
+
+function hasRole(user, role) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
 }
 
-// Set initial password (only works if no password exists)
-function setInitialPassword(password) {
-  if (isPasswordSet()) {
-    return false;
-  }
+// API keys let scripts use the API without logging in. A key belongs to a
+// user and is limited to scopes, each of which needs at least this role.
+// The admin scope includes all others.
+const API_KEY_SCOPES = { read: 'viewer', annotate: 'musician', upload: 'admin', admin: 'admin' };
+
+// The scope a key needs for routes requiring `role`, unless a route names one
+const ROLE_SCOPES = { viewer: 'read', musician: 'annotate', admin: 'admin' };
+
+// The user as sent to clients, without credentials
+function publicUser(user) {
+  return { id: user.id, username: user.username, role: user.role, created: user.created };
+}
+
+// Check if the first account has been set up
+async function isPasswordSet() {
+  return (await store.users.list()).length > 0;
+}
+
+async function hashPassword(password) {
   const salt = crypto.randomBytes(16).toString('hex');
-  const hash = crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
-  fs.writeFileSync(AUTH_FILE, JSON.stringify({ salt, hash }, null, 2));
-  return true;
+  const hash = (await pbkdf2(password, salt, PBKDF2_ITERATIONS, 64, 'sha512')).toString('hex');
+  return { salt, hash, iterations: PBKDF2_ITERATIONS };
+}
+
+async function verifyPassword(user, password) {
+  const iterations = user.iterations || LEGACY_PBKDF2_ITERATIONS;
+  const hash = await pbkdf2(password, user.salt, iterations, 64, 'sha512');
+  return crypto.timingSafeEqual(hash, Buffer.from(user.hash, 'hex'));
+}
+
+// Checked instead of an account when a login names nobody, so the answer
+// takes as long and doesn't give away which usernames exist
+const NO_USER = { salt: crypto.randomBytes(16).toString('hex'), hash: '00'.repeat(64), iterations: PBKDF2_ITERATIONS };
+
+async function createUser(username, password, role) {
+  const user = {
+    id: `user-${Date.now()}`,
+    username,
+    role,
+    ...(await hashPassword(password)),
+    created: Date.now()
+  };
+  return store.users.create(user);
+}
+
+async function countAdmins() {
+  return (await store.users.list()).filter(u => u.role === 'admin').length;
+}
+
+// Only a hash of each token is stored, so the data files can't be used to log in
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function loadSessions() {
+  for (const session of await store.sessions.list()) {
+    // Sessions from before user accounts belong to nobody
+    if (!session.userId) {
+      await store.sessions.remove(session.tokenHash);
+      continue;
+    }
+    sessions.set(session.tokenHash, session);
+  }
+  await pruneSessions();
 }
 
-function verifyPassword(password) {
-  const auth = JSON.parse(fs.readFileSync(AUTH_FILE, 'utf8'));
-  const hash = crypto.pbkdf2Sync(password, auth.salt, 10000, 64, 'sha512').toString('hex');
-  return hash === auth.hash;
+async function pruneSessions() {
+  const cutoff = Date.now() - SESSION_IDLE_TIMEOUT;
+  for (const [tokenHash, session] of sessions) {
+    if (session.lastSeen < cutoff) {
+      sessions.delete(tokenHash);
+    }
+  }
+  events.disconnect((user, session) => session && !sessions.has(session));
+  await store.sessions.removeIdle(cutoff);
 }
 
-function createSession() {
+async function createSession(userId) {
   const token = crypto.randomBytes(32).toString('hex');
-  sessions.set(token, { created: Date.now() });
+  const now = Date.now();
+  const session = { tokenHash: hashToken(token), userId, created: now, lastSeen: now };
+  sessions.set(session.tokenHash, session);
+  await store.sessions.save(session);
   return token;
 }
 
-function isValidSession(token) {
-  if (!token) return false;
-  const session = sessions.get(token);
-  if (!session) return false;
-  if (Date.now() - session.created > SESSION_DURATION) {
-    sessions.delete(token);
-    return false;
+async function deleteSession(token) {
+  const tokenHash = hashToken(token);
+  sessions.delete(tokenHash);
+  events.disconnect((user, session) => session === tokenHash);
+  await store.sessions.remove(tokenHash);
+}
+
+async function deleteUserSessions(userId) {
+  for (const [tokenHash, session] of sessions) {
+    if (session.userId === userId) {
+      sessions.delete(tokenHash);
+    }
   }
-  return true;
+  events.disconnect(user => user.id === userId);
+  await store.sessions.removeForUser(userId);
 }
 
-// Auth middleware
-function requireAuth(req, res, next) {
-  const token = req.headers['x-auth-token'] || req.query.token;
-  if (isValidSession(token)) {
-    return next();
+// Look up the user behind a session token, or null if the session is invalid
+async function getSessionUser(token) {
+  if (!token) return null;
+  const session = sessions.get(hashToken(token));
+  if (!session) return null;
+  const now = Date.now();
+  if (now - session.lastSeen > SESSION_IDLE_TIMEOUT) {
+    await deleteSession(token);
+    return null;
+  }
+  const user = await store.users.get(session.userId);
+  if (!user) {
+    await deleteSession(token);
+    return null;
+  }
+  // Slide the expiry forward, writing it through only now and then
+  if (now - session.lastSeen > SESSION_TOUCH_INTERVAL) {
+    session.lastSeen = now;
+    store.sessions.save(session).catch(err => console.error('Failed to save session:', err));
+  }
+  return user;
+}
+
+// The API key as sent to clients, without its hash
+function publicApiKey(apiKey) {
+  const { keyHash, ...rest } = apiKey;
+  return rest;
+}
+
+// Resolve the user of an `Authorization: Bearer <key>` header. Sends the
+// error response and returns null when the key is unknown or lacks `scope`.
+async function getApiKeyUser(req, res, scope) {
+  const apiKey = await store.apiKeys.findByHash(hashToken(req.headers.authorization.slice(7).trim()));
+  const user = apiKey && await store.users.get(apiKey.userId);
+  if (!user) {
+    res.status(401).json({ error: 'Invalid API key' });
+    return null;
+  }
+  if (!scope) {
+    res.status(403).json({ error: 'Not allowed with an API key' });
+    return null;
+  }
+  if (!apiKey.scopes.includes(scope) && !apiKey.scopes.includes('admin')) {
+    res.status(403).json({ error: `API key lacks the "${scope}" scope` });
+    return null;
+  }
+  const now = Date.now();
+  if (!apiKey.lastUsed || now - apiKey.lastUsed > SESSION_TOUCH_INTERVAL) {
+    store.apiKeys.touch(apiKey.id, now).catch(err => console.error('Failed to save API key:', err));
+  }
+  return user;
+}
+
+// Auth middleware: requires a session or an API key whose user has at least
+// `role`. API keys also need `scope`; pass null to allow sessions only.
+function requireAuth(role = 'viewer', scope = ROLE_SCOPES[role]) {
+  return async (req, res, next) => {
+    try {
+      let user;
+      if (req.headers.authorization?.startsWith('Bearer ')) {
+        user = await getApiKeyUser(req, res, scope);
+        if (!user) {
+          return;
+        }
+      } else {
+        user = await getSessionUser(req.headers['x-auth-token'] || req.query.token);
+        if (!user) {
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+      }
+      if (!hasRole(user, role)) {
+        return res.status(403).json({ error: 'Not allowed for your role' });
+      }
+      req.user = user;
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+function loadShareSecret() {
+  if (!fs.existsSync(SHARE_SECRET_FILE)) {
+    fs.writeFileSync(SHARE_SECRET_FILE, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+  }
+  shareSecret = fs.readFileSync(SHARE_SECRET_FILE, 'utf8').trim();
+}
+
+// A share link token: "<id>.<expires>.<signature>"
+function signShare(share) {
+  const payload = `${share.id}.${share.expires}`;
+  const signature = crypto.createHmac('sha256', shareSecret).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+// The share of a token, or null when it is forged, expired or revoked
+async function getShare(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+  const [id, expires] = parts;
+  const expected = Buffer.from(signShare({ id, expires }));
+  const given = Buffer.from(token);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  if (Number(expires) <= Date.now()) return null;
+  const share = await store.shares.get(id);
+  return share && String(share.expires) === expires ? share : null;
+}
+
+// Names of the files a share gives access to. A shelf share follows the
+// shelf's current contents.
+async function getShareFiles(share) {
+  if (share.type === 'file') {
+    return registry.namesOf([share.target]);
+  }
+  const shelf = (await store.shelves.list()).find(s => s.id === share.target);
+  return shelf ? registry.namesOf(shelf.files) : [];
+}
+
+// Read-only access to one file through a share link token, sent as
+// X-Share-Token or ?token=. Requests without one need a session or API key.
+function requireAuthOrShare() {
+  const requireSession = requireAuth();
+  return async (req, res, next) => {
+    try {
+      const share = await getShare(req.headers['x-share-token'] || req.query.token);
+      if (!share) {
+        return requireSession(req, res, next);
+      }
+      const files = await getShareFiles(share);
+      if (!files.includes(req.params.fileName)) {
+        return res.status(403).json({ error: 'This file is not part of the share' });
+      }
+      // A guest without a private annotation layer of its own
+      req.user = { id: `share:${share.id}`, username: 'guest', role: 'viewer' };
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+// Absolute path of a library file or folder, null for names that would
+// leave the library
+function libraryPath(fileName) {
+  return resolveLibraryPath(LIBRARY_PATH, fileName);
+}
+
+// ID of a library file, undefined when there is no such file. A file the
+// registry hasn't seen yet (added moments ago) is looked for with a scan.
+async function fileIdOf(fileName) {
+  if (!registry.idOf(fileName) && typeof fileName === 'string' && isLibraryFile(fileName) &&
+      libraryPath(fileName) && fs.existsSync(libraryPath(fileName))) {
+    await registry.sync();
   }
-  res.status(401).json({ error: 'Unauthorized' });
+  return registry.idOf(fileName);
 }
 
-// Configure multer for PDF uploads
+// Uploads are received into a hidden folder of the library, so they can be
+// checked before they're moved into place (same filesystem, no copying)
+const UPLOAD_PATH = path.join(LIBRARY_PATH, '.uploads');
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    if (!fs.existsSync(LIBRARY_PATH)) {
-      fs.mkdirSync(LIBRARY_PATH, { recursive: true });
-    }
-    cb(null, LIBRARY_PATH);
-  },
-  filename: (req, file, cb) => {
-    cb(null, file.originalname);
+    fs.mkdirSync(UPLOAD_PATH, { recursive: true });
+    cb(null, UPLOAD_PATH);
   }
 });
 
+// The declared type is only a first check, the content is checked once the
+// file is in
 const upload = multer({
   storage,
+  limits: { fileSize: UPLOAD_MAX_BYTES },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (file.mimetype === 'application/pdf' || file.originalname.toLowerCase().endsWith('.pdf')) {
       cb(null, true);
     } else {
       cb(new Error('Only PDF files are allowed'), false);
@@ -96,6 +423,39 @@ const upload = multer({
   }
 });
 
+// Files per upload request
+const MAX_UPLOAD_FILES = 100;
+
+// Zip files to import are kept in the temp folder until they're unpacked
+const zipUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: UPLOAD_MAX_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.zip')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only zip files can be imported'), false);
+    }
+  }
+});
+
+// Run a multer middleware, sending its errors (a file too large, of the
+// wrong type...) as JSON like all API errors
+function receiveUpload(middleware) {
+  return (req, res, next) => middleware(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Files can be at most ${UPLOAD_MAX_MB} MB` });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'pdf') {
+      return res.status(400).json({ error: `At most ${MAX_UPLOAD_FILES} files can be uploaded at once` });
+    }
+    res.status(400).json({ error: err.message });
+  });
+}
+
 app.use(cors());
 app.use(express.json());
 
@@ -103,46 +463,85 @@ app.use(express.json());
 // AUTH ENDPOINTS (no auth required)
 // ========================================
 
-// Check if password has been set up
-app.get('/api/auth/status', (req, res) => {
-  res.json({ passwordSet: isPasswordSet() });
+// Check if the first account has been set up
+app.get('/api/auth/status', async (req, res) => {
+  try {
+    res.json({ passwordSet: await isPasswordSet() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Set initial password (only works if no password exists yet)
-app.post('/api/auth/setup', (req, res) => {
+// Create the first admin account (only works if no account exists yet)
+app.post('/api/auth/setup', async (req, res) => {
   try {
-    const { password } = req.body;
-    if (!password) {
-      return res.status(400).json({ error: 'Password required' });
+    const { username, password } = req.body;
+    if (!username || !username.trim() || !password) {
+      return res.status(400).json({ error: 'Username and password required' });
     }
     if (password.length < 4) {
       return res.status(400).json({ error: 'Password must be at least 4 characters' });
     }
-    if (isPasswordSet()) {
+    if (await isPasswordSet()) {
       return res.status(400).json({ error: 'Password already set' });
     }
-    setInitialPassword(password);
+    await createUser(username.trim(), password, 'admin');
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Answer a login attempt with 429 while its address or the whole server has
+// to wait after failed attempts. Returns true when the request was rejected.
+function rejectThrottledLogin(req, res) {
+  const perIp = ipAttempts.check(req.ip);
+  const global = globalAttempts.check('global');
+  const wait = Math.max(perIp.wait, global.wait);
+  if (wait === 0) {
+    return false;
+  }
+  const retryAfter = Math.ceil(wait / 1000);
+  const error = perIp.locked
+    ? `Too many failed attempts. Login is locked for ${Math.ceil(retryAfter / 60)} minute(s).`
+    : `Too many failed attempts. Try again in ${retryAfter} second(s).`;
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error, retryAfter, locked: perIp.locked });
+  return true;
+}
+
 // Login
-app.post('/api/auth/login', (req, res) => {
+app.post('/api/auth/login', async (req, res) => {
   try {
-    const { password } = req.body;
-    if (!password) {
-      return res.status(400).json({ error: 'Password required' });
+    const { username, password } = req.body;
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password required' });
     }
-    if (!isPasswordSet()) {
+    if (!(await isPasswordSet())) {
       return res.status(400).json({ error: 'Password not set up yet' });
     }
-    if (verifyPassword(password)) {
-      const token = createSession();
-      res.json({ success: true, token });
+    if (rejectThrottledLogin(req, res)) {
+      return;
+    }
+    const user = await store.users.findByUsername(username.trim());
+    const passwordMatches = await verifyPassword(user || NO_USER, password);
+    if (user && passwordMatches) {
+      ipAttempts.reset(req.ip);
+      // Upgrade hashes made with fewer iterations while we know the password
+      if ((user.iterations || LEGACY_PBKDF2_ITERATIONS) < PBKDF2_ITERATIONS) {
+        await store.users.update(user.id, await hashPassword(password));
+      }
+      const token = await createSession(user.id);
+      res.json({ success: true, token, user: publicUser(user) });
     } else {
-      res.status(401).json({ error: 'Invalid password' });
+      console.warn(`Failed login for "${username}" from ${req.ip}`);
+      globalAttempts.fail('global');
+      if (ipAttempts.fail(req.ip)) {
+        console.warn(`Locked out ${req.ip} for ${LOGIN_LOCKOUT / 60000} minute(s) after ${LOGIN_MAX_ATTEMPTS} failed logins`);
+        rejectThrottledLogin(req, res);
+        return;
+      }
+      res.status(401).json({ error: 'Invalid username or password' });
     }
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -150,489 +549,1310 @@ app.post('/api/auth/login', (req, res) => {
 });
 
 // Check if session is valid
-app.get('/api/auth/check', (req, res) => {
-  const token = req.headers['x-auth-token'];
-  res.json({ authenticated: isValidSession(token) });
+app.get('/api/auth/check', async (req, res) => {
+  try {
+    const user = await getSessionUser(req.headers['x-auth-token']);
+    res.json({ authenticated: !!user, user: user ? publicUser(user) : null });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Logout
-app.post('/api/auth/logout', (req, res) => {
-  const token = req.headers['x-auth-token'];
-  if (token) {
-    sessions.delete(token);
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const token = req.headers['x-auth-token'];
+    if (token) {
+      await deleteSession(token);
+    }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  res.json({ success: true });
 });
 
-// Change password (requires current session)
-app.post('/api/auth/change-password', requireAuth, (req, res) => {
+// Change own password (requires current session)
+app.post('/api/auth/change-password', requireAuth('viewer', null), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     if (!currentPassword || !newPassword) {
       return res.status(400).json({ error: 'Current and new password required' });
     }
-    if (!verifyPassword(currentPassword)) {
+    if (!(await verifyPassword(req.user, currentPassword))) {
       return res.status(401).json({ error: 'Current password is incorrect' });
     }
     if (newPassword.length < 6) {
       return res.status(400).json({ error: 'New password must be at least 6 characters' });
     }
-    const salt = crypto.randomBytes(16).toString('hex');
-    const hash = crypto.pbkdf2Sync(newPassword, salt, 10000, 64, 'sha512').toString('hex');
-    fs.writeFileSync(AUTH_FILE, JSON.stringify({ salt, hash }, null, 2));
+    await store.users.update(req.user.id, await hashPassword(newPassword));
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Serve files from library (protected)
-app.use('/library', requireAuth, express.static(LIBRARY_PATH));
-
-// Initialize shelves.json if it doesn't exist
-function initShelvesFile() {
-  if (!fs.existsSync(SHELVES_FILE)) {
-    fs.writeFileSync(SHELVES_FILE, JSON.stringify({ shelves: [] }, null, 2));
-  }
-}
-
-function readShelves() {
-  initShelvesFile();
-  return JSON.parse(fs.readFileSync(SHELVES_FILE, 'utf8'));
-}
-
-function writeShelves(data) {
-  fs.writeFileSync(SHELVES_FILE, JSON.stringify(data, null, 2));
-}
-
-// Initialize annotations.json if it doesn't exist
-function initAnnotationsFile() {
-  if (!fs.existsSync(ANNOTATIONS_FILE)) {
-    fs.writeFileSync(ANNOTATIONS_FILE, JSON.stringify({ annotations: {} }, null, 2));
-  }
-}
-
-function readAnnotations() {
-  initAnnotationsFile();
-  return JSON.parse(fs.readFileSync(ANNOTATIONS_FILE, 'utf8'));
-}
-
-function initFavoritesFile() {
-  if (!fs.existsSync(FAVORITES_FILE)) {
-    fs.writeFileSync(FAVORITES_FILE, JSON.stringify({ favorites: [] }, null, 2));
-  }
-}
-
-function readFavorites() {
-  initFavoritesFile();
-  return JSON.parse(fs.readFileSync(FAVORITES_FILE, 'utf8'));
-}
-
-function writeFavorites(data) {
-  fs.writeFileSync(FAVORITES_FILE, JSON.stringify(data, null, 2));
-}
-
-function writeAnnotations(data) {
-  fs.writeFileSync(ANNOTATIONS_FILE, JSON.stringify(data, null, 2));
-}
-
 // ========================================
-// PROTECTED API ROUTES (require auth)
+// USERS API (admin only)
 // ========================================
 
-// Upload PDF file
-app.post('/api/upload', requireAuth, upload.single('pdf'), (req, res) => {
+// List all accounts
+app.get('/api/users', requireAuth('admin'), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-    res.json({
-      name: req.file.filename,
-      path: `/library/${encodeURIComponent(req.file.filename)}`
-    });
+    const users = await store.users.list();
+    res.json(users.map(publicUser));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get all files in library (PDFs and Regalpakete)
-app.get('/api/files', requireAuth, (req, res) => {
+// Create an account
+app.post('/api/users', requireAuth('admin'), async (req, res) => {
   try {
-    if (!fs.existsSync(LIBRARY_PATH)) {
-      fs.mkdirSync(LIBRARY_PATH, { recursive: true });
+    const { username, password, role } = req.body;
+    if (!username || !username.trim() || !password) {
+      return res.status(400).json({ error: 'Username and password required' });
     }
-    const files = fs.readdirSync(LIBRARY_PATH)
-      .filter(f => f.toLowerCase().endsWith('.pdf') || f.toLowerCase().endsWith('.regal'))
-      .map(f => {
-        const isRegal = f.toLowerCase().endsWith('.regal');
-        const stats = fs.statSync(path.join(LIBRARY_PATH, f));
-        return {
-          name: f,
-          path: `/library/${encodeURIComponent(f)}`,
-          type: isRegal ? 'regal' : 'pdf',
-          mtime: stats.mtimeMs
-        };
-      });
-    res.json(files);
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (await store.users.findByUsername(username.trim())) {
+      return res.status(400).json({ error: 'A user with that name already exists' });
+    }
+    const user = await createUser(username.trim(), password, role);
+    res.json(publicUser(user));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Rename a file
-app.put('/api/files/:fileName/rename', requireAuth, (req, res) => {
+// Change an account's role or reset its password
+app.put('/api/users/:id', requireAuth('admin'), async (req, res) => {
   try {
-    const { fileName } = req.params;
-    const { newName } = req.body;
-    const decodedFileName = decodeURIComponent(fileName);
-
-    if (!newName || !newName.trim()) {
-      return res.status(400).json({ error: 'New name is required' });
-    }
-
-    // Get file extension
-    const ext = path.extname(decodedFileName).toLowerCase();
-    // Ensure new name has same extension
-    let finalNewName = newName.trim();
-    if (!finalNewName.toLowerCase().endsWith(ext)) {
-      finalNewName = finalNewName + ext;
-    }
-
-    const oldPath = path.join(LIBRARY_PATH, decodedFileName);
-    const newPath = path.join(LIBRARY_PATH, finalNewName);
-
-    if (!fs.existsSync(oldPath)) {
-      return res.status(404).json({ error: 'File not found' });
-    }
-
-    if (fs.existsSync(newPath) && oldPath !== newPath) {
-      return res.status(400).json({ error: 'A file with that name already exists' });
+    const { id } = req.params;
+    const { role, password } = req.body;
+    const user = await store.users.get(id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
-
-    // Rename the file
-    fs.renameSync(oldPath, newPath);
-
-    // Update shelves references
-    const shelvesData = readShelves();
-    for (const shelf of shelvesData.shelves) {
-      const idx = shelf.files.indexOf(decodedFileName);
-      if (idx !== -1) {
-        shelf.files[idx] = finalNewName;
+    const changes = {};
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
       }
+      if (user.role === 'admin' && role !== 'admin' && await countAdmins() === 1) {
+        return res.status(400).json({ error: 'The last admin cannot be demoted' });
+      }
+      changes.role = role;
     }
-    writeShelves(shelvesData);
-
-    // Update annotations references (for PDFs)
-    if (ext === '.pdf') {
-      const annotationsData = readAnnotations();
-      if (annotationsData.annotations[decodedFileName]) {
-        annotationsData.annotations[finalNewName] = annotationsData.annotations[decodedFileName];
-        delete annotationsData.annotations[decodedFileName];
-        writeAnnotations(annotationsData);
+    if (password !== undefined) {
+      if (password.length < 6) {
+        return res.status(400).json({ error: 'Password must be at least 6 characters' });
       }
+      Object.assign(changes, await hashPassword(password));
     }
-
-    res.json({
-      success: true,
-      oldName: decodedFileName,
-      newName: finalNewName,
-      path: `/library/${encodeURIComponent(finalNewName)}`
-    });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// Get all shelves
-app.get('/api/shelves', requireAuth, (req, res) => {
-  try {
-    const data = readShelves();
-    res.json(data.shelves);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// Create a new shelf
-app.post('/api/shelves', requireAuth, (req, res) => {
-  try {
-    const { name } = req.body;
-    const data = readShelves();
-    const newShelf = {
-      id: `shelf-${Date.now()}`,
-      name: name || 'New Shelf',
-      files: []
-    };
-    data.shelves.push(newShelf);
-    writeShelves(data);
-    res.json(newShelf);
+    const updated = await store.users.update(id, changes);
+    // Their open event streams reconnect with the new role
+    if (changes.role && changes.role !== user.role) {
+      events.disconnect(streamUser => streamUser.id === id);
+    }
+    res.json(publicUser(updated));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Update a shelf (rename or update files)
-app.put('/api/shelves/:id', requireAuth, (req, res) => {
+// Delete an account and log it out everywhere
+app.delete('/api/users/:id', requireAuth('admin'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, files } = req.body;
-    const data = readShelves();
-    const shelf = data.shelves.find(s => s.id === id);
-    if (!shelf) {
-      return res.status(404).json({ error: 'Shelf not found' });
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
     }
-    if (name !== undefined) shelf.name = name;
-    if (files !== undefined) shelf.files = files;
-    writeShelves(data);
-    res.json(shelf);
+    await deleteUserSessions(id);
+    await store.users.remove(id);
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Delete a shelf
-app.delete('/api/shelves/:id', requireAuth, (req, res) => {
+// ========================================
+// API KEYS (own keys, sessions only)
+// ========================================
+
+// List own API keys
+app.get('/api/keys', requireAuth('viewer', null), async (req, res) => {
   try {
-    const { id } = req.params;
-    const data = readShelves();
-    data.shelves = data.shelves.filter(s => s.id !== id);
-    writeShelves(data);
-    res.json({ success: true });
+    const apiKeys = await store.apiKeys.list(req.user.id);
+    res.json(apiKeys.map(publicApiKey));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Add file to shelf
-app.post('/api/shelves/:id/files', requireAuth, (req, res) => {
+// Create an API key. The key itself is only returned here, only its hash is stored.
+app.post('/api/keys', requireAuth('viewer', null), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { fileName } = req.body;
-    const data = readShelves();
-    const shelf = data.shelves.find(s => s.id === id);
-    if (!shelf) {
-      return res.status(404).json({ error: 'Shelf not found' });
+    const { name, scopes } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Name required' });
     }
-    if (!shelf.files.includes(fileName)) {
-      shelf.files.push(fileName);
-      writeShelves(data);
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'At least one scope required' });
+    }
+    for (const scope of scopes) {
+      if (!API_KEY_SCOPES[scope]) {
+        return res.status(400).json({ error: `Scope must be one of: ${Object.keys(API_KEY_SCOPES).join(', ')}` });
+      }
+      if (!hasRole(req.user, API_KEY_SCOPES[scope])) {
+        return res.status(403).json({ error: `Your role can't grant the "${scope}" scope` });
+      }
     }
-    res.json(shelf);
+    const key = `nr_${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = await store.apiKeys.create({
+      id: `key-${Date.now()}`,
+      userId: req.user.id,
+      name: name.trim(),
+      prefix: key.slice(0, 10),
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      created: Date.now(),
+      lastUsed: null
+    });
+    res.json({ ...publicApiKey(apiKey), key });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Remove file from shelf
-app.delete('/api/shelves/:id/files/:fileName', requireAuth, (req, res) => {
+// Revoke an own API key
+app.delete('/api/keys/:id', requireAuth('viewer', null), async (req, res) => {
   try {
-    const { id, fileName } = req.params;
-    const data = readShelves();
-    const shelf = data.shelves.find(s => s.id === id);
-    if (!shelf) {
-      return res.status(404).json({ error: 'Shelf not found' });
+    const apiKeys = await store.apiKeys.list(req.user.id);
+    if (!apiKeys.some(k => k.id === req.params.id)) {
+      return res.status(404).json({ error: 'API key not found' });
     }
-    shelf.files = shelf.files.filter(f => f !== decodeURIComponent(fileName));
-    writeShelves(data);
-    res.json(shelf);
+    await store.apiKeys.remove(req.params.id);
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // ========================================
-// ANNOTATIONS API
+// SHARE LINKS
 // ========================================
 
-// Get all annotations for a specific file
-app.get('/api/annotations/:fileName', requireAuth, (req, res) => {
+// The share as listed to admins, with its link
+function publicShare(share) {
+  const target = share.type === 'file' ? registry.nameOf(share.target) : share.target;
+  return { ...share, target, url: `/share/${signShare(share)}` };
+}
+
+// List active share links
+app.get('/api/shares', requireAuth('admin'), async (req, res) => {
   try {
-    const { fileName } = req.params;
-    const decodedFileName = decodeURIComponent(fileName);
-    const data = readAnnotations();
-    const fileAnnotations = data.annotations[decodedFileName] || {};
-    res.json(fileAnnotations);
+    const now = Date.now();
+    const shares = await store.shares.list();
+    res.json(shares.filter(s => s.expires > now).map(publicShare));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Save annotations for a specific page of a file
-app.put('/api/annotations/:fileName/:pageNumber', requireAuth, (req, res) => {
+// Create a read-only share link for a file or shelf, valid for `days`
+app.post('/api/shares', requireAuth('admin'), async (req, res) => {
   try {
-    const { fileName, pageNumber } = req.params;
-    const { strokes } = req.body;
-    const decodedFileName = decodeURIComponent(fileName);
-
-    const data = readAnnotations();
-
-    // Initialize file entry if it doesn't exist
-    if (!data.annotations[decodedFileName]) {
-      data.annotations[decodedFileName] = {};
+    const { type, target } = req.body;
+    const days = Number(req.body.days) || 7;
+    if (days <= 0 || days > SHARE_MAX_DAYS) {
+      return res.status(400).json({ error: `Days must be between 1 and ${SHARE_MAX_DAYS}` });
     }
-
-    // Save or remove page annotations
-    if (strokes && strokes.length > 0) {
-      data.annotations[decodedFileName][pageNumber] = strokes;
-    } else {
-      // Remove empty page annotations
-      delete data.annotations[decodedFileName][pageNumber];
-      // Clean up empty file entries
-      if (Object.keys(data.annotations[decodedFileName]).length === 0) {
-        delete data.annotations[decodedFileName];
+    let name;
+    let targetId = target;
+    if (type === 'file') {
+      targetId = await fileIdOf(target);
+      if (!targetId) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      name = path.posix.basename(target).replace(/\.(pdf|regal)$/i, '');
+    } else if (type === 'shelf') {
+      const shelf = (await store.shelves.list()).find(s => s.id === target);
+      if (!shelf || !canSeeShelf(req.user, shelf)) {
+        return res.status(404).json({ error: 'Shelf not found' });
       }
+      name = shelf.name;
+    } else {
+      return res.status(400).json({ error: 'Type must be "file" or "shelf"' });
     }
-
-    writeAnnotations(data);
-    res.json({ success: true });
+    const now = Date.now();
+    const share = await store.shares.create({
+      id: `share-${now}`,
+      type,
+      target: targetId,
+      name,
+      createdBy: req.user.id,
+      created: now,
+      expires: now + days * 24 * 60 * 60 * 1000
+    });
+    res.json(publicShare(share));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get list of files that have annotations (for showing indicators)
-app.get('/api/annotations', requireAuth, (req, res) => {
+// Revoke a share link
+app.delete('/api/shares/:id', requireAuth('admin'), async (req, res) => {
   try {
-    const data = readAnnotations();
-    // Return list of filenames that have annotations
-    const filesWithAnnotations = Object.keys(data.annotations);
-    res.json(filesWithAnnotations);
+    await store.shares.remove(req.params.id);
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Clear all annotations for a file
-app.delete('/api/annotations/:fileName', requireAuth, (req, res) => {
+// What a share link opens (no login, the share token is the credential)
+app.get('/api/share', async (req, res) => {
   try {
-    const { fileName } = req.params;
-    const decodedFileName = decodeURIComponent(fileName);
-    const data = readAnnotations();
-    delete data.annotations[decodedFileName];
-    writeAnnotations(data);
-    res.json({ success: true });
+    const share = await getShare(req.headers['x-share-token']);
+    if (!share) {
+      return res.status(404).json({ error: 'This link is invalid or has expired' });
+    }
+    const files = (await getShareFiles(share))
+      .filter(f => libraryPath(f) && fs.existsSync(libraryPath(f)))
+      .map(getFileInfo);
+    res.json({ type: share.type, name: share.name, expires: share.expires, files });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // ========================================
-// FAVORITES API
+// LIVE UPDATES (Server-Sent Events)
 // ========================================
 
-// Get all favorites
-app.get('/api/favorites', requireAuth, (req, res) => {
-  try {
-    const data = readFavorites();
-    res.json(data.favorites);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+// Events only say what changed; clients fetch the new state themselves.
+// "files" follows the library folder, see watchLibrary() in start().
 
-// Add a favorite
-app.post('/api/favorites', requireAuth, (req, res) => {
+// Shelves changed. Private shelves only concern their owner; without a
+// shelf (a file was renamed everywhere) everybody is told.
+function notifyShelves(shelf) {
+  events.broadcast('shelves', {}, user => !shelf || canSeeShelf(user, shelf));
+}
+
+// Annotations of a file changed, in the shared layer or a private one
+function notifyAnnotations(fileName, owner = null) {
+  events.broadcast('annotations', { file: fileName }, user => !owner || user.id === owner);
+}
+
+// Favorites of `user` changed, for their other open clients. Without a
+// user (a file was renamed) everybody is told.
+function notifyFavorites(user) {
+  events.broadcast('favorites', {}, u => !user || u.id === user.id);
+}
+
+// The event stream. EventSource can't send headers, so the session token
+// comes as ?token=.
+app.get('/api/events', requireAuth(), (req, res) => {
+  const token = req.headers['x-auth-token'] || req.query.token;
+  events.connect(req, res, req.user, token ? hashToken(token) : null);
+});
+
+// ========================================
+// PROTECTED API ROUTES (require auth)
+// ========================================
+
+// The shelf of an upload's "shelf" field, to add the uploaded files to.
+// Sends the error response and returns null when the user can't change it,
+// undefined without the field.
+async function findUploadShelf(req, res) {
+  if (!req.body.shelf) {
+    return undefined;
+  }
+  const shelf = (await store.shelves.list()).find(s => s.id === req.body.shelf);
+  if (!shelf || !canSeeShelf(req.user, shelf) || !canEditShelf(req.user, shelf)) {
+    res.status(404).json({ error: 'Shelf not found' });
+    return null;
+  }
+  return shelf;
+}
+
+// Register newly added library files and put them on `shelf`, if given.
+// Returns them as sent to the uploader, each with the copies already in the
+// library so they can be merged.
+async function finishUpload(names, shelf) {
+  await updateLibraryIndexes();
+  const hashes = await registry.hashes();
+  if (shelf) {
+    for (const name of names) {
+      await store.shelves.addFile(shelf.id, registry.idOf(name));
+    }
+    notifyShelves(shelf);
+  }
+  return names.map(name => ({
+    name,
+    path: `/library/${encodeURIComponent(name)}`,
+    duplicates: hashes[name]
+      ? Object.keys(hashes).filter(fileName => !names.includes(fileName) && hashes[fileName] === hashes[name])
+      : []
+  }));
+}
+
+// What to do with an upload whose name is taken, the "conflict" field:
+// 'keep-both' adds it under a free name, "Score (2).pdf", 'replace' moves the
+// file there to the trash and 'skip' leaves the upload out
+const UPLOAD_CONFLICTS = ['keep-both', 'replace', 'skip'];
+
+// Reads the "folder" and "conflict" fields of an upload. Sends the error
+// response and returns null when one is invalid.
+function readUploadFields(req, res) {
+  const { folder = '', conflict } = req.body;
+  if (folder && !libraryPath(folder)) {
+    res.status(400).json({ error: 'Invalid folder' });
+    return null;
+  }
+  if (conflict && !UPLOAD_CONFLICTS.includes(conflict)) {
+    res.status(400).json({ error: `"conflict" has to be one of ${UPLOAD_CONFLICTS.join(', ')}` });
+    return null;
+  }
+  return { folder, conflict };
+}
+
+// Browsers send file names as UTF-8, which busboy takes for Latin-1
+function uploadedName(file) {
+  if (/[^\u0000-\u00ff]/.test(file.originalname)) {
+    return file.originalname;
+  }
+  const name = Buffer.from(file.originalname, 'latin1').toString('utf8');
+  return name.includes('\uFFFD') ? file.originalname : name;
+}
+
+// `name` with " (2)", " (3)"... before its extension, the first that's free
+function freeFileName(name) {
+  const extension = path.posix.extname(name);
+  const base = name.slice(0, name.length - extension.length);
+  for (let number = 2; ; number++) {
+    const candidate = `${base} (${number})${extension}`;
+    if (!fs.existsSync(libraryPath(candidate))) {
+      return candidate;
+    }
+  }
+}
+
+// Move a received file into the library as `name`, dealing with a file of
+// that name as `conflict` says (see UPLOAD_CONFLICTS). Returns the name it
+// was added under, null when it was skipped.
+async function addToLibrary(tempPath, name, conflict, userId) {
+  let finalName = name;
+  if (fs.existsSync(libraryPath(name))) {
+    const fileId = conflict === 'replace' && await fileIdOf(name);
+    if (fileId) {
+      await trashFile(name, fileId, userId);
+      notifyAnnotations(name);
+    } else if (conflict === 'keep-both') {
+      finalName = freeFileName(name);
+    } else {
+      return null;
+    }
+  }
+  const filePath = libraryPath(finalName);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.renameSync(tempPath, filePath);
+  return finalName;
+}
+
+// Upload PDF files, as "pdf" fields, into the library root or the "folder"
+// field's folder. Names are made safe and files that aren't PDFs are turned
+// away. Without a "conflict" field nothing is added when a name is taken:
+// the response is a 409 listing the names. With a single file its name,
+// path and duplicates are also at the top level, as before uploads took
+// several.
+app.post('/api/upload', requireAuth('admin', 'upload'), receiveUpload(upload.array('pdf', MAX_UPLOAD_FILES)), async (req, res) => {
+  const received = req.files || [];
+  try {
+    if (!received.length) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    const fields = readUploadFields(req, res);
+    if (!fields) {
+      return;
+    }
+    for (const file of received) {
+      if (!await isPdfFile(file.path)) {
+        return res.status(400).json({ error: `"${uploadedName(file)}" is not a PDF file` });
+      }
+    }
+
+    const names = received.map(file => {
+      const fileName = sanitizeFileName(path.basename(uploadedName(file)), '.pdf');
+      return fields.folder ? `${fields.folder}/${fileName}` : fileName;
+    });
+    if (!fields.conflict) {
+      const conflicts = names.filter((name, index) => fs.existsSync(libraryPath(name)) || names.indexOf(name) !== index);
+      if (conflicts.length > 0) {
+        return res.status(409).json({ error: `Already in the library: ${conflicts.join(', ')}`, conflicts });
+      }
+    }
+    const shelf = await findUploadShelf(req, res);
+    if (shelf === null) {
+      return;
+    }
+
+    const added = [];
+    const skipped = [];
+    for (const [index, file] of received.entries()) {
+      const name = await addToLibrary(file.path, names[index], fields.conflict, req.user.id);
+      if (name) {
+        added.push(name);
+      } else {
+        skipped.push(names[index]);
+      }
+    }
+    const files = await finishUpload(added, shelf);
+    res.json(files.length === 1 ? { ...files[0], files, skipped } : { files, skipped });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    received.forEach(file => fs.rmSync(file.path, { force: true }));
+  }
+});
+
+// Pass a stream's data on, failing once there's more than `limit` bytes.
+// Zip entries can claim to be smaller than they unpack to.
+function limitSize(limit) {
+  return async function* (source) {
+    let size = 0;
+    for await (const chunk of source) {
+      size += chunk.length;
+      if (size > limit) {
+        throw new Error(`A file in the zip is larger than ${UPLOAD_MAX_MB} MB`);
+      }
+      yield chunk;
+    }
+  };
+}
+
+// Unpack the PDFs of a zip file into `folder` of the library, keeping the
+// folders inside the zip. Entries that would leave the library, hidden ones
+// and macOS resource forks are left out; names are made safe. Entries that
+// aren't PDFs or are too large are rejected, taken names are dealt with as
+// `conflict` says (skipped by default).
+async function importZip(zipPath, folder, conflict = 'skip', userId) {
+  const directory = await unzipper.Open.file(zipPath);
+  const imported = [];
+  const skipped = [];
+  const rejected = [];
+  for (const entry of directory.files) {
+    const entryPath = entry.path.replace(/\\/g, '/');
+    if (entry.type !== 'File' || !entryPath.toLowerCase().endsWith('.pdf') || entryPath.startsWith('__MACOSX/') ||
+        !libraryPath(entryPath)) {
+      continue;
+    }
+    const segments = entryPath.split('/');
+    const fileName = sanitizeFileName(segments.pop(), '.pdf');
+    const name = [folder, ...segments.map(segment => sanitizeFileName(segment)), fileName].filter(Boolean).join('/');
+    if (entry.uncompressedSize > UPLOAD_MAX_BYTES) {
+      rejected.push({ name, error: `Larger than ${UPLOAD_MAX_MB} MB` });
+      continue;
+    }
+
+    fs.mkdirSync(UPLOAD_PATH, { recursive: true });
+    const tempPath = path.join(UPLOAD_PATH, crypto.randomBytes(16).toString('hex'));
+    try {
+      await pipeline(entry.stream(), limitSize(UPLOAD_MAX_BYTES), fs.createWriteStream(tempPath));
+      if (!await isPdfFile(tempPath)) {
+        rejected.push({ name, error: 'Not a PDF file' });
+        continue;
+      }
+      const addedName = await addToLibrary(tempPath, name, conflict, userId);
+      if (addedName) {
+        imported.push(addedName);
+      } else {
+        skipped.push(name);
+      }
+    } finally {
+      fs.rmSync(tempPath, { force: true });
+    }
+  }
+  return { imported, skipped, rejected };
+}
+
+// Import the PDFs in a zip file ("zip" field) into the library root or the
+// "folder" field's folder, optionally adding them all to the "shelf" field's
+// shelf. "conflict" is as for /api/upload, but files whose name is taken are
+// skipped without it.
+app.post('/api/upload/zip', requireAuth('admin', 'upload'), receiveUpload(zipUpload.single('zip')), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    const fields = readUploadFields(req, res);
+    if (!fields) {
+      return;
+    }
+    const shelf = await findUploadShelf(req, res);
+    if (shelf === null) {
+      return;
+    }
+    const { imported, skipped, rejected } = await importZip(req.file.path, fields.folder, fields.conflict, req.user.id);
+    res.json({ files: await finishUpload(imported, shelf), skipped, rejected });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (req.file) {
+      fs.rmSync(req.file.path, { force: true });
+    }
+  }
+});
+
+// A library file as listed to clients. `folder` is its folder relative to
+// the library root, '' for files at the top.
+function getFileInfo(fileName) {
+  const isRegal = fileName.toLowerCase().endsWith('.regal');
+  const stats = fs.statSync(libraryPath(fileName));
+  const folder = path.posix.dirname(fileName);
+  return {
+    name: fileName,
+    path: `/library/${encodeURIComponent(fileName)}`,
+    type: isRegal ? 'regal' : 'pdf',
+    folder: folder === '.' ? '' : folder,
+    mtime: stats.mtimeMs,
+    id: registry.idOf(fileName) || null
+  };
+}
+
+// Get all files in library and its subfolders (PDFs and Regalpakete)
+app.get('/api/files', requireAuth(), (req, res) => {
+  try {
+    if (!fs.existsSync(LIBRARY_PATH)) {
+      fs.mkdirSync(LIBRARY_PATH, { recursive: true });
+    }
+    const files = scanLibrary(LIBRARY_PATH).map(getFileInfo);
+    res.json(files);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename a file
+app.put('/api/files/:fileName/rename', requireAuth('admin'), async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    const { newName } = req.body;
+
+    if (!newName || !newName.trim()) {
+      return res.status(400).json({ error: 'New name is required' });
+    }
+    if (newName.includes('/')) {
+      return res.status(400).json({ error: 'Name must not contain "/"' });
+    }
+
+    // Get file extension
+    const ext = path.extname(fileName).toLowerCase();
+    // Ensure new name has same extension
+    let finalNewName = newName.trim();
+    if (!finalNewName.toLowerCase().endsWith(ext)) {
+      finalNewName = finalNewName + ext;
+    }
+    // The file stays in its folder
+    const folder = path.posix.dirname(fileName);
+    if (folder !== '.') {
+      finalNewName = `${folder}/${finalNewName}`;
+    }
+
+    const oldPath = libraryPath(fileName);
+    const newPath = libraryPath(finalNewName);
+
+    if (!newPath) {
+      return res.status(400).json({ error: 'Invalid file name' });
+    }
+
+    if (!oldPath || !fs.existsSync(oldPath)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (fs.existsSync(newPath) && oldPath !== newPath) {
+      return res.status(400).json({ error: 'A file with that name already exists' });
+    }
+
+    // Rename the file. Shelves, favorites, annotations and the catalog refer
+    // to its ID, which stays the same.
+    await fileIdOf(fileName);
+    fs.renameSync(oldPath, newPath);
+    await registry.rename(fileName, finalNewName);
+
+    // Clients know the file by name
+    notifyAnnotations(finalNewName);
+    events.broadcast('metadata', { file: finalNewName });
+    notifyShelves();
+    notifyFavorites();
+
+    res.json({
+      success: true,
+      oldName: fileName,
+      newName: finalNewName,
+      path: `/library/${encodeURIComponent(finalNewName)}`
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Shelves with an owner are private to that user; the others are shared
+// with everybody and managed by admins.
+function canSeeShelf(user, shelf) {
+  return !shelf.ownerId || shelf.ownerId === user.id;
+}
+
+function canEditShelf(user, shelf) {
+  return shelf.ownerId ? shelf.ownerId === user.id : hasRole(user, 'admin');
+}
+
+// A shelf as sent to clients: its files by name, leaving out those that are
+// not in the library (anymore)
+function publicShelf(shelf) {
+  return { ...shelf, files: registry.namesOf(shelf.files) };
+}
+
+// Look up the shelf of a request that the user may change. Sends the error
+// response and returns null otherwise.
+async function findEditableShelf(req, res) {
+  const shelf = (await store.shelves.list()).find(s => s.id === req.params.id);
+  if (!shelf || !canSeeShelf(req.user, shelf)) {
+    res.status(404).json({ error: 'Shelf not found' });
+    return null;
+  }
+  if (!canEditShelf(req.user, shelf)) {
+    res.status(403).json({ error: 'Not allowed for your role' });
+    return null;
+  }
+  return shelf;
+}
+
+// Get all shelves: the shared ones and the user's private ones
+app.get('/api/shelves', requireAuth(), async (req, res) => {
+  try {
+    const shelves = await store.shelves.list();
+    res.json(shelves.filter(shelf => canSeeShelf(req.user, shelf)).map(publicShelf));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a new shelf. Musicians can only create private shelves.
+app.post('/api/shelves', requireAuth('musician'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    const isPrivate = req.body.private || !hasRole(req.user, 'admin');
+    const newShelf = {
+      id: `shelf-${Date.now()}`,
+      name: name || 'New Shelf',
+      ownerId: isPrivate ? req.user.id : null,
+      files: []
+    };
+    await store.shelves.create(newShelf);
+    notifyShelves(newShelf);
+    res.json(publicShelf(newShelf));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update a shelf (rename or update files)
+app.put('/api/shelves/:id', requireAuth('musician'), async (req, res) => {
+  try {
+    const current = await findEditableShelf(req, res);
+    if (!current) {
+      return;
+    }
+    const { id } = req.params;
+    const { name } = req.body;
+    let files;
+    if (Array.isArray(req.body.files)) {
+      // Unknown names are dropped. Entries of files that are missing from
+      // the library, which clients don't see, stay for when they come back.
+      const ids = [];
+      for (const fileName of req.body.files) {
+        ids.push(await fileIdOf(fileName));
+      }
+      files = [...new Set([...ids.filter(Boolean), ...current.files.filter(fileId => !registry.nameOf(fileId))])];
+    }
+    const shelf = await store.shelves.update(id, { name, files });
+    if (!shelf) {
+      return res.status(404).json({ error: 'Shelf not found' });
+    }
+    notifyShelves(shelf);
+    res.json(publicShelf(shelf));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a shelf
+app.delete('/api/shelves/:id', requireAuth('musician'), async (req, res) => {
+  try {
+    const shelf = await findEditableShelf(req, res);
+    if (!shelf) {
+      return;
+    }
+    const { id } = req.params;
+    await store.shelves.remove(id);
+    notifyShelves(shelf);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add file to shelf
+app.post('/api/shelves/:id/files', requireAuth('musician'), async (req, res) => {
+  try {
+    if (!await findEditableShelf(req, res)) {
+      return;
+    }
+    const { id } = req.params;
+    const fileId = await fileIdOf(req.body.fileName);
+    if (!fileId) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    const shelf = await store.shelves.addFile(id, fileId);
+    if (!shelf) {
+      return res.status(404).json({ error: 'Shelf not found' });
+    }
+    notifyShelves(shelf);
+    res.json(publicShelf(shelf));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove file from shelf
+app.delete('/api/shelves/:id/files/:fileName', requireAuth('musician'), async (req, res) => {
+  try {
+    if (!await findEditableShelf(req, res)) {
+      return;
+    }
+    const { id, fileName } = req.params;
+    const fileId = registry.idOf(fileName);
+    const shelf = fileId
+      ? await store.shelves.removeFile(id, fileId)
+      : (await store.shelves.list()).find(s => s.id === id);
+    if (!shelf) {
+      return res.status(404).json({ error: 'Shelf not found' });
+    }
+    notifyShelves(shelf);
+    res.json(publicShelf(shelf));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// ANNOTATIONS API
+// ========================================
+
+// Annotations come in layers: one shared layer per file and a private layer
+// per user. `?layer=mine` selects the user's own layer, anything else the
+// shared one. Returns the layer owner, null for the shared layer.
+function layerOwner(req) {
+  return req.query.layer === 'mine' ? req.user.id : null;
+}
+
+// Get all annotations of one layer for a specific file
+app.get('/api/annotations/:fileName', requireAuthOrShare(), async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    const fileId = await fileIdOf(fileName);
+    const fileAnnotations = fileId ? await store.annotations.get(fileId, layerOwner(req)) : {};
+    res.json(fileAnnotations);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Save annotations for a specific page of a file
+app.put('/api/annotations/:fileName/:pageNumber', requireAuth('musician'), async (req, res) => {
+  try {
+    const { fileName, pageNumber } = req.params;
+    const { strokes } = req.body;
+    const fileId = await fileIdOf(fileName);
+    if (!fileId) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    await store.annotations.setPage(fileId, pageNumber, strokes, layerOwner(req));
+    notifyAnnotations(fileName, layerOwner(req));
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get list of files that have annotations (for showing indicators)
+app.get('/api/annotations', requireAuth(), async (req, res) => {
+  try {
+    // Return list of filenames that have shared or own annotations
+    const filesWithAnnotations = await store.annotations.listFiles(req.user.id);
+    res.json(registry.namesOf(filesWithAnnotations));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Clear one annotation layer of a file
+app.delete('/api/annotations/:fileName', requireAuth('musician'), async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    const fileId = registry.idOf(fileName);
+    if (fileId) {
+      await store.annotations.remove(fileId, layerOwner(req));
+    }
+    notifyAnnotations(fileName, layerOwner(req));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// FAVORITES API
+// ========================================
+
+// Get the user's favorites
+app.get('/api/favorites', requireAuth(), async (req, res) => {
+  try {
+    const favorites = await store.favorites.list(req.user.id);
+    res.json(registry.namesOf(favorites));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add a favorite
+app.post('/api/favorites', requireAuth('musician'), async (req, res) => {
   try {
     const { fileName } = req.body;
     if (!fileName) {
       return res.status(400).json({ error: 'fileName required' });
     }
-    const data = readFavorites();
-    if (!data.favorites.includes(fileName)) {
-      data.favorites.push(fileName);
-      writeFavorites(data);
+    const fileId = await fileIdOf(fileName);
+    if (!fileId) {
+      return res.status(404).json({ error: 'File not found' });
     }
-    res.json({ success: true, favorites: data.favorites });
+    const favorites = await store.favorites.add(req.user.id, fileId);
+    notifyFavorites(req.user);
+    res.json({ success: true, favorites: registry.namesOf(favorites) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // Remove a favorite
-app.delete('/api/favorites/:fileName', requireAuth, (req, res) => {
+app.delete('/api/favorites/:fileName', requireAuth('musician'), async (req, res) => {
   try {
     const { fileName } = req.params;
-    const decodedFileName = decodeURIComponent(fileName);
-    const data = readFavorites();
-    data.favorites = data.favorites.filter(f => f !== decodedFileName);
-    writeFavorites(data);
-    res.json({ success: true, favorites: data.favorites });
+    const fileId = registry.idOf(fileName);
+    const favorites = fileId
+      ? await store.favorites.remove(req.user.id, fileId)
+      : await store.favorites.list(req.user.id);
+    notifyFavorites(req.user);
+    res.json({ success: true, favorites: registry.namesOf(favorites) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // ========================================
-// REGALPAKET API
+// METADATA API
 // ========================================
 
-// Convert PDF to Regalpaket
-app.post('/api/regalpaket/convert/:fileName', requireAuth, async (req, res) => {
+// Catalog records of all files: { <fileName>: { composer, title, ... } }
+app.get('/api/metadata', requireAuth(), async (req, res) => {
+  try {
+    const records = {};
+    for (const [fileId, record] of Object.entries(await store.metadata.list())) {
+      const fileName = registry.nameOf(fileId);
+      if (fileName) {
+        records[fileName] = record;
+      }
+    }
+    res.json(records);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The record of a file. Files without one get it pre-filled from the PDF
+// info or the Regalpaket manifest, marked as `suggested`.
+app.get('/api/metadata/:fileName', requireAuth(), async (req, res) => {
   try {
     const { fileName } = req.params;
-    const decodedFileName = decodeURIComponent(fileName);
+    const filePath = libraryPath(fileName);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    const fileId = await fileIdOf(fileName);
+    const metadata = fileId && await store.metadata.get(fileId);
+    if (metadata) {
+      return res.json({ metadata, suggested: false });
+    }
+    res.json({ metadata: await suggestMetadata(filePath, fileName), suggested: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (!decodedFileName.toLowerCase().endsWith('.pdf')) {
-      return res.status(400).json({ error: 'Only PDF files can be converted' });
+// Save the record of a file
+app.put('/api/metadata/:fileName', requireAuth('admin'), async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    const fileId = await fileIdOf(fileName);
+    if (!fileId) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    const { metadata, error } = normalizeMetadata(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const record = await store.metadata.set(fileId, { ...metadata, updated: Date.now() });
+    events.broadcast('metadata', { file: fileName });
+    res.json(record);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// SEARCH API
+// ========================================
+
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const MAX_SEARCH_RESULTS = 200;
+
+// Pages whose text contains all words of ?q=, best matches first:
+// [{ file, page, snippet: [{ text, match }] }]
+app.get('/api/search', requireAuth(), async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return res.status(400).json({ error: 'Search query required' });
+    }
+    if (query.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({ error: `Search query must be at most ${MAX_SEARCH_QUERY_LENGTH} characters` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_SEARCH_RESULTS);
+    const hits = await store.pageText.search(query, limit);
+    res.json(hits
+      .map(({ fileId, page, snippet }) => ({ file: registry.nameOf(fileId), page, snippet }))
+      .filter(hit => hit.file));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// JOBS API
+// ========================================
+
+// A job as listed to clients: its file by its current name, or the name it
+// had when the job was added if it's gone
+function publicJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    file: registry.nameOf(job.params.fileId) || job.params.fileName,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    result: job.result,
+    created: job.created,
+    started: job.started,
+    finished: job.finished
+  };
+}
+
+// Queued, running and finished jobs, most recent first
+app.get('/api/jobs', requireAuth('admin'), (req, res) => {
+  res.json(jobs.list().map(publicJob));
+});
+
+app.get('/api/jobs/:id', requireAuth('admin'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(publicJob(job));
+});
+
+// Stop a queued or running job
+app.post('/api/jobs/:id/cancel', requireAuth('admin'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!jobs.cancel(job.id)) {
+    return res.status(409).json({ error: 'The job has already finished' });
+  }
+  res.json(publicJob(job));
+});
+
+// Run a failed or cancelled job again
+app.post('/api/jobs/:id/retry', requireAuth('admin'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!jobs.retry(job.id)) {
+    return res.status(409).json({ error: 'Only failed or cancelled jobs can be retried' });
+  }
+  res.json(publicJob(job));
+});
+
+// Forget the finished jobs
+app.delete('/api/jobs', requireAuth('admin'), (req, res) => {
+  const removed = jobs.clearFinished();
+  events.broadcast('jobs', {}, user => hasRole(user, 'admin'));
+  res.json({ success: true, removed });
+});
+
+// ========================================
+// THUMBNAILS
+// ========================================
+
+// First page of a PDF or Regalpaket as a small PNG. Clients add the file's
+// mtime as ?v=, so a versioned URL never changes and can be cached for good.
+app.get('/api/thumbnails/:fileName', requireAuthOrShare(), async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    const filePath = libraryPath(fileName);
+    if (!filePath || !fs.existsSync(filePath) || !isLibraryFile(fileName)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    let thumbnailPath;
+    try {
+      thumbnailPath = await thumbnails.get(fileName, filePath);
+    } catch (err) {
+      console.warn(`Could not render a thumbnail of ${fileName}: ${err.message}`);
+      return res.status(404).json({ error: 'No thumbnail available' });
+    }
+
+    res.set('Cache-Control', req.query.v ? 'private, max-age=31536000, immutable' : 'private, no-cache');
+    res.sendFile(thumbnailPath);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ========================================
+// REGALPAKET API
+// ========================================
+
+// Folder of an annotation layer inside a .regal archive: the shared layer
+// lives in annotations/, private layers in annotations/users/<userId>/
+function regalAnnotationDir(owner) {
+  return owner ? `annotations/users/${owner}` : 'annotations';
+}
+
+// Shared and private annotation pages of a Regalpaket, shaped like
+// store.annotations.getLayers(): { shared, users: { <userId>: pages } }.
+// Edits not merged into the archive yet are included.
+async function readRegalAnnotationLayers(regalName) {
+  const archive = await regalArchives.open(libraryPath(regalName));
+  const layers = { shared: {}, users: {} };
+  for (const file of archive.files) {
+    const match = file.path.match(/^annotations\/(?:users\/([^/]+)\/)?page-(\d+)\.json$/);
+    if (match) {
+      const [, owner, pageNum] = match;
+      const pages = owner ? (layers.users[owner] = layers.users[owner] || {}) : layers.shared;
+      pages[pageNum] = JSON.parse((await file.buffer()).toString());
     }
+  }
+  const fileId = registry.idOf(regalName);
+  return applyRegalEdits(layers, fileId && await regalEdits.get(fileId));
+}
+
+// The pages of one annotation layer (owner null for the shared one)
+function layerPages(layers, owner) {
+  return (owner ? layers.users[owner] : layers.shared) || {};
+}
 
-    const pdfPath = path.join(LIBRARY_PATH, decodedFileName);
-    if (!fs.existsSync(pdfPath)) {
-      return res.status(404).json({ error: 'PDF file not found' });
+// Write pending annotation edits into an extracted Regalpaket
+function writeRegalEdits(tempDir, edits) {
+  for (const [owner, pages] of [[null, edits.shared], ...Object.entries(edits.users)]) {
+    const layerDir = path.join(tempDir, regalAnnotationDir(owner));
+    for (const [pageNum, strokes] of Object.entries(pages)) {
+      const annotationPath = path.join(layerDir, `page-${pageNum}.json`);
+      if (strokes && strokes.length > 0) {
+        fs.mkdirSync(layerDir, { recursive: true });
+        fs.writeFileSync(annotationPath, JSON.stringify(strokes, null, 2));
+      } else {
+        fs.rmSync(annotationPath, { force: true });
+      }
     }
+  }
+}
 
-    // Dynamic import for ES module
-    const { pdf } = await import('pdf-to-img');
+// Change the files of a Regalpaket: they are extracted to a temp folder for
+// `edit` to change, and the repacked archive replaces the original once
+// complete. Pending annotation edits are merged in on the way. Only one
+// rewrite of the same archive runs at a time.
+function rewriteRegalpaket(regalName, edit) {
+  const regalPath = libraryPath(regalName);
+  const fileId = registry.idOf(regalName);
+  return serialize(regalPath, async () => {
+    const edits = fileId && await regalEdits.get(fileId);
 
-    const baseName = decodedFileName.replace(/\.pdf$/i, '');
-    const regalName = `${baseName}.regal`;
-    const regalPath = path.join(LIBRARY_PATH, regalName);
-    const tempDir = path.join(LIBRARY_PATH, `.temp-${Date.now()}`);
+    // Read existing archive
+    const directory = await unzipper.Open.file(regalPath);
 
-    // Create temp directory for conversion
+    // Create temp directory for reconstruction
+    const tempDir = path.join(LIBRARY_PATH, `.temp-${Date.now()}`);
     fs.mkdirSync(tempDir, { recursive: true });
     fs.mkdirSync(path.join(tempDir, 'pages'), { recursive: true });
     fs.mkdirSync(path.join(tempDir, 'annotations'), { recursive: true });
 
-    // Convert PDF pages to images at 300 DPI
-    const pdfDocument = await pdf(pdfPath, { scale: 300 / 72 }); // 300 DPI (72 is default)
+    try {
+      // Extract all existing files
+      for (const file of directory.files) {
+        if (file.type === 'File') {
+          const content = await file.buffer();
+          const filePath = path.join(tempDir, file.path);
+          const fileDir = path.dirname(filePath);
+          if (!fs.existsSync(fileDir)) {
+            fs.mkdirSync(fileDir, { recursive: true });
+          }
+          fs.writeFileSync(filePath, content);
+        }
+      }
+
+      if (edits) {
+        writeRegalEdits(tempDir, edits);
+      }
+      await edit(tempDir);
+
+      // Any change brings the manifest up to the current version
+      const manifest = await readManifest(folderSource(tempDir));
+      manifest.modified = new Date().toISOString();
+      fs.writeFileSync(path.join(tempDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+      // Recreate archive next to the original and swap it in once complete
+      const output = fs.createWriteStream(`${regalPath}.tmp`);
+      const archive = archiver('zip', { zlib: { level: 5 } });
+
+      await new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        archive.on('error', reject);
 
-    let pageNum = 0;
-    const pageData = [];
+        archive.pipe(output);
+        archive.directory(tempDir, false);
+        archive.finalize();
+      });
 
-    for await (const image of pdfDocument) {
-      pageNum++;
-      const pagePath = path.join(tempDir, 'pages', `page-${pageNum}.png`);
-      fs.writeFileSync(pagePath, image);
-      pageData.push({ page: pageNum, file: `page-${pageNum}.png` });
+      fs.renameSync(`${regalPath}.tmp`, regalPath);
+      regalArchives.forget(regalPath);
+      if (edits) {
+        await regalEdits.discard(fileId, edits);
+      }
+    } finally {
+      // Clean up temp directory
+      fs.rmSync(tempDir, { recursive: true, force: true });
     }
+  });
+}
+
+// Timers of Regalpakets with edits waiting to be merged, by file ID
+const regalMergeTimers = new Map();
+
+// Merge the pending annotation edits of a Regalpaket into its archive
+async function mergeRegalEdits(fileId) {
+  clearTimeout(regalMergeTimers.get(fileId));
+  regalMergeTimers.delete(fileId);
+  const regalName = registry.nameOf(fileId);
+  // A trashed Regalpaket keeps its edits for when it's restored
+  if (!regalName || !fs.existsSync(libraryPath(regalName)) || !(await regalEdits.get(fileId))) {
+    return;
+  }
+  await rewriteRegalpaket(regalName, () => {});
+}
+
+// Merge the edits of a Regalpaket once nobody has edited it for a while
+function scheduleRegalMerge(fileId) {
+  clearTimeout(regalMergeTimers.get(fileId));
+  regalMergeTimers.set(fileId, setTimeout(() => {
+    mergeRegalEdits(fileId).catch(err => console.error('Failed to merge Regalpaket annotations:', err));
+  }, REGAL_EDITS_MERGE_DELAY).unref());
+}
+
+// Render the PDF of a "convert" job into a Regalpaket next to it, with its
+// annotations, shelf entries, favorites and details. Reports page by page.
+async function convertToRegalpaket(job, { progress, signal }) {
+  const { fileId: pdfId, profile } = job.params;
+  const pdfName = registry.nameOf(pdfId);
+  if (!pdfName) {
+    throw new Error('The PDF is no longer in the library');
+  }
+  const pdfPath = libraryPath(pdfName);
+
+  // The Regalpaket is created next to the PDF
+  const baseName = pdfName.replace(/\.pdf$/i, '');
+  const regalName = regalNameOf(pdfName);
+  const regalPath = libraryPath(regalName);
+  const tempDir = path.join(LIBRARY_PATH, `.temp-${Date.now()}`);
 
-    // Get existing annotations for this PDF
-    const annotationsData = readAnnotations();
-    const pdfAnnotations = annotationsData.annotations[decodedFileName] || {};
+  // Create temp directory for conversion
+  fs.mkdirSync(tempDir, { recursive: true });
+  fs.mkdirSync(path.join(tempDir, 'pages'), { recursive: true });
+  fs.mkdirSync(path.join(tempDir, 'annotations'), { recursive: true });
+
+  let pageNum = 0;
+  let pdfMetadata;
+  try {
+    const pageData = await renderPages(pdfPath, path.join(tempDir, 'pages'), profile, { progress, signal });
+    pageNum = pageData.length;
+
+    // Get existing annotations for this PDF, shared and private
+    const { shared, users } = await store.annotations.getLayers(pdfId);
+    const layers = [[null, shared], ...Object.entries(users)];
 
     // Write annotation files for each page that has annotations
-    for (const [pageNumber, strokes] of Object.entries(pdfAnnotations)) {
-      const annotationPath = path.join(tempDir, 'annotations', `page-${pageNumber}.json`);
-      fs.writeFileSync(annotationPath, JSON.stringify(strokes, null, 2));
+    for (const [owner, pages] of layers) {
+      const layerDir = path.join(tempDir, regalAnnotationDir(owner));
+      fs.mkdirSync(layerDir, { recursive: true });
+      for (const [pageNumber, strokes] of Object.entries(pages)) {
+        fs.writeFileSync(path.join(layerDir, `page-${pageNumber}.json`), JSON.stringify(strokes, null, 2));
+      }
     }
 
     // Copy original PDF
     fs.copyFileSync(pdfPath, path.join(tempDir, 'original.pdf'));
 
+    // The catalog record travels with the Regalpaket
+    pdfMetadata = await store.metadata.get(pdfId);
+
     // Create manifest
-    const manifest = {
-      version: 1,
-      name: baseName,
-      created: new Date().toISOString(),
-      pageCount: pageNum,
+    const created = new Date().toISOString();
+    const { updated, ...metadata } = pdfMetadata || {};
+    const manifest = validateManifest({
+      version: MANIFEST_VERSION,
+      name: path.posix.basename(baseName),
+      created,
+      modified: created,
       originalFile: 'original.pdf',
-      pages: pageData
-    };
+      pageCount: pageNum,
+      pages: pageData,
+      render: renderRecord(profile),
+      metadata,
+      bookmarks: []
+    });
     fs.writeFileSync(path.join(tempDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
 
-    // Create .regal archive (zip)
-    const output = fs.createWriteStream(regalPath);
+    // Create .regal archive (zip), renamed into place once complete
+    const output = fs.createWriteStream(`${regalPath}.tmp`);
     const archive = archiver('zip', { zlib: { level: 5 } });
 
     await new Promise((resolve, reject) => {
@@ -644,60 +1864,218 @@ app.post('/api/regalpaket/convert/:fileName', requireAuth, async (req, res) => {
       archive.finalize();
     });
 
-    // Clean up temp directory
+    // Too late to cancel once the Regalpaket is in place
+    signal.throwIfAborted();
+    fs.renameSync(`${regalPath}.tmp`, regalPath);
+  } finally {
+    // Clean up temp files
     fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.rmSync(`${regalPath}.tmp`, { force: true });
+  }
 
-    // Remove annotations from annotations.json (now stored in .regal)
-    delete annotationsData.annotations[decodedFileName];
-    writeAnnotations(annotationsData);
+  // The Regalpaket gets an ID of its own
+  await updateLibraryIndexes();
+  const regalId = registry.idOf(regalName);
+
+  // Remove annotations from the data store (now stored in .regal)
+  await store.annotations.remove(pdfId);
+
+  // Shelves and favorites reference the new .regal file instead of .pdf
+  await store.shelves.replaceFile(pdfId, regalId);
+  await store.favorites.replaceFile(pdfId, regalId);
+  notifyAnnotations(pdfName);
+  notifyShelves();
+  notifyFavorites();
+  if (pdfMetadata) {
+    await store.metadata.set(regalId, { ...pdfMetadata, updated: Date.now() });
+    events.broadcast('metadata', { file: regalName });
+  }
 
-    // Update shelves to reference the new .regal file instead of .pdf
-    const shelvesData = readShelves();
-    for (const shelf of shelvesData.shelves) {
-      const idx = shelf.files.indexOf(decodedFileName);
-      if (idx !== -1) {
-        shelf.files[idx] = regalName;
-      }
+  // Optionally delete the original PDF (keep it for now, user can delete manually)
+  // fs.unlinkSync(pdfPath);
+
+  return { name: regalName, pageCount: pageNum };
+}
+
+// The manifest's note of how the pages were rendered
+function renderRecord(profile) {
+  return { ...profile, rendered: new Date().toISOString() };
+}
+
+// Render the pages of the Regalpaket of a "rerender" job again from the PDF
+// inside it, with the job's profile. Annotations and everything else in the
+// archive stay as they are.
+async function rerenderRegalpaket(job, { progress, signal }) {
+  const regalName = registry.nameOf(job.params.fileId);
+  if (!regalName) {
+    throw new Error('The Regalpaket is no longer in the library');
+  }
+  let pageCount = 0;
+  await rewriteRegalpaket(regalName, async (tempDir) => {
+    const manifestPath = path.join(tempDir, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const originalPath = path.join(tempDir, manifest.originalFile || 'original.pdf');
+    if (!fs.existsSync(originalPath)) {
+      throw new Error('The Regalpaket has no original PDF to render from');
     }
-    writeShelves(shelvesData);
+    const pagesDir = path.join(tempDir, 'pages');
+    fs.rmSync(pagesDir, { recursive: true, force: true });
+    manifest.pages = await renderPages(originalPath, pagesDir, job.params.profile, { progress, signal });
+    manifest.pageCount = manifest.pages.length;
+    manifest.render = renderRecord(job.params.profile);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    pageCount = manifest.pageCount;
+    // Too late to cancel once the archive is rewritten
+    signal.throwIfAborted();
+  });
+  return { name: regalName, pageCount };
+}
 
-    // Optionally delete the original PDF (keep it for now, user can delete manually)
-    // fs.unlinkSync(pdfPath);
+// Queue a job of `type` ('convert' or 'rerender') for the file with
+// `fileId`, unless one is already queued or running. Returns the job and
+// whether it's new.
+function queueRender(type, fileId, fileName, profile, userId) {
+  const queued = jobs.list().find(job => job.type === type && job.params.fileId === fileId && !FINISHED.includes(job.status));
+  if (queued) {
+    return { job: queued, added: false };
+  }
+  return { job: jobs.add(type, { fileId, fileName, profile }, userId), added: true };
+}
 
-    res.json({
-      success: true,
-      name: regalName,
-      path: `/library/${encodeURIComponent(regalName)}`,
-      pageCount: pageNum
-    });
+// The render profile a request asks for in its body, or the default. Sends
+// a 400 and returns null when it's invalid.
+function requestedRenderProfile(req, res) {
+  if (!req.body?.profile) {
+    return DEFAULT_RENDER_PROFILE;
+  }
+  try {
+    return resolveRenderProfile(req.body.profile);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+}
+
+// The render profiles to choose from, by name, and the default
+app.get('/api/regalpaket/profiles', requireAuth('admin'), (req, res) => {
+  res.json({ default: DEFAULT_RENDER_PROFILE, profiles: RENDER_PROFILES });
+});
+
+// Name of the Regalpaket made from the PDF `fileName`, next to it
+function regalNameOf(fileName) {
+  return fileName.replace(/\.pdf$/i, '.regal');
+}
+
+// Convert PDF to Regalpaket, as a background job (see /api/jobs), rendered
+// with the body's "profile" (see requestedRenderProfile). A PDF already being
+// converted gets its running job back.
+app.post('/api/regalpaket/convert/:fileName', requireAuth('admin'), async (req, res) => {
+  try {
+    const { fileName } = req.params;
+
+    if (!fileName.toLowerCase().endsWith('.pdf')) {
+      return res.status(400).json({ error: 'Only PDF files can be converted' });
+    }
+
+    const fileId = await fileIdOf(fileName);
+    if (!fileId) {
+      return res.status(404).json({ error: 'PDF file not found' });
+    }
+
+    const profile = requestedRenderProfile(req, res);
+    if (!profile) {
+      return;
+    }
+    const { job, added } = queueRender('convert', fileId, fileName, profile, req.user.id);
+    res.status(added ? 202 : 200).json(publicJob(job));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Convert every PDF on the "shelf" given in the body, or in the whole library
+// without one, with the body's "profile". PDFs with a Regalpaket next to them
+// are skipped, as are those already being converted. Returns a job per
+// queued file and the skipped files with the reason:
+// { queued: [job], skipped: [{ file, reason }] }
+app.post('/api/regalpaket/convert-batch', requireAuth('admin'), async (req, res) => {
+  try {
+    const profile = requestedRenderProfile(req, res);
+    if (!profile) {
+      return;
+    }
+    let fileNames;
+    if (req.body.shelf) {
+      const shelf = (await store.shelves.list()).find(s => s.id === req.body.shelf);
+      if (!shelf || !canSeeShelf(req.user, shelf)) {
+        return res.status(404).json({ error: 'Shelf not found' });
+      }
+      fileNames = registry.namesOf(shelf.files);
+    } else {
+      fileNames = scanLibrary(LIBRARY_PATH);
+    }
+
+    const queued = [];
+    const skipped = [];
+    for (const fileName of fileNames.filter(name => name.toLowerCase().endsWith('.pdf'))) {
+      if (fs.existsSync(libraryPath(regalNameOf(fileName)))) {
+        skipped.push({ file: fileName, reason: 'Already a Regalpaket' });
+        continue;
+      }
+      const { job, added } = queueRender('convert', await fileIdOf(fileName), fileName, profile, req.user.id);
+      if (added) {
+        queued.push(publicJob(job));
+      } else {
+        skipped.push({ file: fileName, reason: 'Already being converted' });
+      }
+    }
+    res.status(queued.length > 0 ? 202 : 200).json({ queued, skipped });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
+// Render a Regalpaket's pages again with the body's "profile", as a
+// background job like conversions
+app.post('/api/regalpaket/:fileName/rerender', requireAuth('admin'), async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    if (!fileName.toLowerCase().endsWith('.regal')) {
+      return res.status(400).json({ error: 'Only Regalpakete can be rendered again' });
+    }
+    const fileId = await fileIdOf(fileName);
+    if (!fileId) {
+      return res.status(404).json({ error: 'Regalpaket not found' });
+    }
+    const profile = requestedRenderProfile(req, res);
+    if (!profile) {
+      return;
+    }
+    const { job, added } = queueRender('rerender', fileId, fileName, profile, req.user.id);
+    res.status(added ? 202 : 200).json(publicJob(job));
   } catch (err) {
-    console.error('Conversion error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 // Get Regalpaket manifest
-app.get('/api/regalpaket/:fileName/manifest', requireAuth, async (req, res) => {
+app.get('/api/regalpaket/:fileName/manifest', requireAuthOrShare(), async (req, res) => {
   try {
     const { fileName } = req.params;
-    const decodedFileName = decodeURIComponent(fileName);
-    const regalPath = path.join(LIBRARY_PATH, decodedFileName);
+    const regalPath = libraryPath(fileName);
 
-    if (!fs.existsSync(regalPath)) {
+    if (!regalPath || !fs.existsSync(regalPath)) {
       return res.status(404).json({ error: 'Regalpaket not found' });
     }
 
-    const directory = await unzipper.Open.file(regalPath);
-    const manifestFile = directory.files.find(f => f.path === 'manifest.json');
-
-    if (!manifestFile) {
+    const archive = await regalArchives.open(regalPath);
+    if (!archive.entry('manifest.json')) {
       return res.status(400).json({ error: 'Invalid Regalpaket: no manifest found' });
     }
 
-    const content = await manifestFile.buffer();
-    const manifest = JSON.parse(content.toString());
-    res.json(manifest);
+    // Older manifests are migrated here, and written as they are now the
+    // next time the Regalpaket changes
+    res.json(await archive.memo('manifest', () => readManifest(archiveSource(archive))));
 
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -705,27 +2083,33 @@ app.get('/api/regalpaket/:fileName/manifest', requireAuth, async (req, res) => {
 });
 
 // Get page image from Regalpaket
-app.get('/api/regalpaket/:fileName/page/:pageNum', requireAuth, async (req, res) => {
+app.get('/api/regalpaket/:fileName/page/:pageNum', requireAuthOrShare(), async (req, res) => {
   try {
     const { fileName, pageNum } = req.params;
-    const decodedFileName = decodeURIComponent(fileName);
-    const regalPath = path.join(LIBRARY_PATH, decodedFileName);
+    const regalPath = libraryPath(fileName);
 
-    if (!fs.existsSync(regalPath)) {
+    if (!regalPath || !fs.existsSync(regalPath)) {
       return res.status(404).json({ error: 'Regalpaket not found' });
     }
 
-    const directory = await unzipper.Open.file(regalPath);
-    const pageFile = directory.files.find(f => f.path === `pages/page-${pageNum}.png`);
+    const archive = await regalArchives.open(regalPath);
+    // PNG, WebP or JPEG, depending on how it was rendered
+    const pageFile = PAGE_EXTENSIONS.map(extension => archive.entry(`pages/page-${pageNum}.${extension}`)).find(Boolean);
 
     if (!pageFile) {
       return res.status(404).json({ error: 'Page not found' });
     }
 
-    const content = await pageFile.buffer();
-    res.set('Content-Type', 'image/png');
-    res.set('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
-    res.send(content);
+    res.set('Content-Type', pageMimeType(pageFile.path));
+    // Pages need a login, so only the browser caches them. A versioned URL
+    // (?v=, the page's checksum) never changes; without one the browser asks
+    // again, and a page it has already is confirmed without reading it.
+    res.set('Cache-Control', req.query.v ? 'private, max-age=31536000, immutable' : 'private, no-cache');
+    res.set('ETag', entryTag(pageFile));
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.send(await archive.read(pageFile));
 
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -733,165 +2117,455 @@ app.get('/api/regalpaket/:fileName/page/:pageNum', requireAuth, async (req, res)
 });
 
 // Get annotations from Regalpaket
-app.get('/api/regalpaket/:fileName/annotations/:pageNum', requireAuth, async (req, res) => {
+app.get('/api/regalpaket/:fileName/annotations/:pageNum', requireAuthOrShare(), async (req, res) => {
   try {
     const { fileName, pageNum } = req.params;
-    const decodedFileName = decodeURIComponent(fileName);
-    const regalPath = path.join(LIBRARY_PATH, decodedFileName);
+    const regalPath = libraryPath(fileName);
 
-    if (!fs.existsSync(regalPath)) {
+    if (!regalPath || !fs.existsSync(regalPath)) {
       return res.status(404).json({ error: 'Regalpaket not found' });
     }
 
-    const directory = await unzipper.Open.file(regalPath);
-    const annotationFile = directory.files.find(f => f.path === `annotations/page-${pageNum}.json`);
+    const layers = await readRegalAnnotationLayers(fileName);
+    // No annotations for this page is []
+    res.json(layerPages(layers, layerOwner(req))[pageNum] || []);
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get all annotations of one layer from Regalpaket
+app.get('/api/regalpaket/:fileName/annotations', requireAuthOrShare(), async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    const regalPath = libraryPath(fileName);
 
-    if (!annotationFile) {
-      // No annotations for this page
-      return res.json([]);
+    if (!regalPath || !fs.existsSync(regalPath)) {
+      return res.status(404).json({ error: 'Regalpaket not found' });
     }
 
-    const content = await annotationFile.buffer();
-    const strokes = JSON.parse(content.toString());
-    res.json(strokes);
+    const layers = await readRegalAnnotationLayers(fileName);
+    res.json(layerPages(layers, layerOwner(req)));
 
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get all annotations from Regalpaket
-app.get('/api/regalpaket/:fileName/annotations', requireAuth, async (req, res) => {
+// Save annotations to Regalpaket. They're kept with the pending edits and
+// merged into the archive later, see mergeRegalEdits().
+app.put('/api/regalpaket/:fileName/annotations/:pageNum', requireAuth('musician'), async (req, res) => {
   try {
-    const { fileName } = req.params;
-    const decodedFileName = decodeURIComponent(fileName);
-    const regalPath = path.join(LIBRARY_PATH, decodedFileName);
+    const { fileName, pageNum } = req.params;
+    const { strokes } = req.body;
+    const regalPath = libraryPath(fileName);
 
-    if (!fs.existsSync(regalPath)) {
+    if (!regalPath || !fs.existsSync(regalPath)) {
       return res.status(404).json({ error: 'Regalpaket not found' });
     }
+    if (!/^\d+$/.test(pageNum)) {
+      return res.status(400).json({ error: 'Invalid page number' });
+    }
+    if (strokes !== undefined && !Array.isArray(strokes)) {
+      return res.status(400).json({ error: 'strokes has to be a list' });
+    }
 
-    const directory = await unzipper.Open.file(regalPath);
-    const annotationFiles = directory.files.filter(f => f.path.startsWith('annotations/') && f.path.endsWith('.json'));
+    const fileId = await fileIdOf(fileName);
+    await regalEdits.setPage(fileId, layerOwner(req), pageNum, strokes || []);
+    scheduleRegalMerge(fileId);
+    notifyAnnotations(fileName, layerOwner(req));
 
-    const annotations = {};
-    for (const file of annotationFiles) {
-      const pageNum = file.path.match(/page-(\d+)\.json/)?.[1];
-      if (pageNum) {
-        const content = await file.buffer();
-        annotations[pageNum] = JSON.parse(content.toString());
-      }
+    res.json({ success: true });
+
+  } catch (err) {
+    console.error('Save annotation error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Check if Regalpaket has any shared or own annotations
+app.get('/api/regalpaket/:fileName/has-annotations', requireAuthOrShare(), async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    const regalPath = libraryPath(fileName);
+
+    if (!regalPath || !fs.existsSync(regalPath)) {
+      return res.status(404).json({ error: 'Regalpaket not found' });
     }
 
-    res.json(annotations);
+    const layers = await readRegalAnnotationLayers(fileName);
+    const hasAnnotations = Object.keys(layers.shared).length > 0 ||
+      Object.keys(layerPages(layers, req.user.id)).length > 0;
+
+    res.json({ hasAnnotations });
 
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Save annotations to Regalpaket
-app.put('/api/regalpaket/:fileName/annotations/:pageNum', requireAuth, async (req, res) => {
+// The viewer closed a Regalpaket: merge its annotation edits into the archive
+// now rather than waiting
+app.post('/api/regalpaket/:fileName/close', requireAuth(), async (req, res) => {
   try {
-    const { fileName, pageNum } = req.params;
-    const { strokes } = req.body;
-    const decodedFileName = decodeURIComponent(fileName);
-    const regalPath = path.join(LIBRARY_PATH, decodedFileName);
-
-    if (!fs.existsSync(regalPath)) {
+    const fileId = registry.idOf(req.params.fileName);
+    if (!fileId) {
       return res.status(404).json({ error: 'Regalpaket not found' });
     }
+    await mergeRegalEdits(fileId);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Read existing archive
-    const directory = await unzipper.Open.file(regalPath);
+// ========================================
+// EXPORT API
+// ========================================
 
-    // Create temp directory for reconstruction
-    const tempDir = path.join(LIBRARY_PATH, `.temp-${Date.now()}`);
-    fs.mkdirSync(tempDir, { recursive: true });
-    fs.mkdirSync(path.join(tempDir, 'pages'), { recursive: true });
-    fs.mkdirSync(path.join(tempDir, 'annotations'), { recursive: true });
+// Which annotation layers an export burns in, like the viewers' layer toggle
+const EXPORT_LAYERS = ['both', 'shared', 'mine', 'none'];
 
-    // Extract all existing files
-    for (const file of directory.files) {
-      if (file.type === 'File') {
-        const content = await file.buffer();
-        const filePath = path.join(tempDir, file.path);
-        const fileDir = path.dirname(filePath);
-        if (!fs.existsSync(fileDir)) {
-          fs.mkdirSync(fileDir, { recursive: true });
-        }
-        fs.writeFileSync(filePath, content);
-      }
+// Content-Disposition of a download, with non-ASCII names spelled out for
+// browsers that understand it
+function attachmentHeader(fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+// Download a PDF or Regalpaket as a printable PDF with its annotations burned
+// in. ?pages=1-3,5 picks pages (all by default), ?layers= the annotation
+// layers (both by default), ?scale= the viewer zoom the annotations were
+// drawn at (1 by default).
+app.get('/api/export/:fileName', requireAuthOrShare(), async (req, res) => {
+  const controller = new AbortController();
+  // Stop rendering once the download is given up
+  res.on('close', () => controller.abort());
+  try {
+    const { fileName } = req.params;
+    const filePath = libraryPath(fileName);
+    if (!filePath || !isLibraryFile(fileName) || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    const layers = req.query.layers || 'both';
+    if (!EXPORT_LAYERS.includes(layers)) {
+      return res.status(400).json({ error: `layers has to be one of ${EXPORT_LAYERS.join(', ')}` });
+    }
+    const scale = Number(req.query.scale || 1);
+    if (!(scale > 0 && scale <= 10)) {
+      return res.status(400).json({ error: 'scale has to be a number above 0, up to 10' });
     }
 
-    // Update or create annotation file
-    const annotationPath = path.join(tempDir, 'annotations', `page-${pageNum}.json`);
-    if (strokes && strokes.length > 0) {
-      fs.writeFileSync(annotationPath, JSON.stringify(strokes, null, 2));
-    } else if (fs.existsSync(annotationPath)) {
-      fs.unlinkSync(annotationPath);
+    const { shared, users } = await getAnnotationLayers(fileName);
+    const mine = users[req.user.id] || {};
+    // Shared below mine, as the viewers show them
+    const annotationLayers = { both: [shared, mine], shared: [shared], mine: [mine], none: [] }[layers];
+
+    const title = path.basename(fileName).replace(/\.(pdf|regal)$/i, '');
+    const pdf = await exportFlattenedPdf(filePath, {
+      pages: req.query.pages,
+      layers: annotationLayers,
+      scale,
+      title,
+      signal: controller.signal
+    });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', attachmentHeader(`${title} (annotated).pdf`));
+    res.send(pdf);
+  } catch (err) {
+    if (controller.signal.aborted) {
+      return;
     }
+    res.status(err instanceof RangeError ? 400 : 500).json({ error: err.message });
+  }
+});
 
-    // Recreate archive
-    const output = fs.createWriteStream(regalPath);
-    const archive = archiver('zip', { zlib: { level: 5 } });
+// ========================================
+// DUPLICATES API
+// ========================================
 
-    await new Promise((resolve, reject) => {
-      output.on('close', resolve);
-      archive.on('error', reject);
+// Annotation layers of a library file: from the data store for a PDF, from
+// the archive for a Regalpaket
+function getAnnotationLayers(fileName) {
+  return fileName.toLowerCase().endsWith('.regal')
+    ? readRegalAnnotationLayers(fileName)
+    : store.annotations.getLayers(registry.idOf(fileName));
+}
 
-      archive.pipe(output);
-      archive.directory(tempDir, false);
-      archive.finalize();
+// Add annotation layers ({ shared, users }) to those of a library file, page
+// by page
+async function addAnnotationLayers(fileName, { shared, users }) {
+  const layers = [[null, shared], ...Object.entries(users)].filter(([, pages]) => Object.keys(pages).length > 0);
+  if (layers.length === 0) {
+    return;
+  }
+  if (fileName.toLowerCase().endsWith('.regal')) {
+    await rewriteRegalpaket(fileName, tempDir => {
+      for (const [owner, pages] of layers) {
+        const layerDir = path.join(tempDir, regalAnnotationDir(owner));
+        fs.mkdirSync(layerDir, { recursive: true });
+        for (const [pageNumber, strokes] of Object.entries(pages)) {
+          const pagePath = path.join(layerDir, `page-${pageNumber}.json`);
+          const existing = fs.existsSync(pagePath) ? JSON.parse(fs.readFileSync(pagePath, 'utf8')) : [];
+          fs.writeFileSync(pagePath, JSON.stringify(mergeStrokes(existing, strokes), null, 2));
+        }
+      }
     });
+    return;
+  }
+  const fileId = registry.idOf(fileName);
+  for (const [owner, pages] of layers) {
+    const existing = await store.annotations.get(fileId, owner);
+    for (const [pageNumber, strokes] of Object.entries(pages)) {
+      await store.annotations.setPage(fileId, pageNumber, mergeStrokes(existing[pageNumber] || [], strokes), owner);
+    }
+  }
+}
 
-    // Clean up temp directory
-    fs.rmSync(tempDir, { recursive: true, force: true });
+// Library files with the same content: [[fileInfo, ...], ...]. PDFs are
+// grouped with each other and with Regalpakete converted from them.
+app.get('/api/duplicates', requireAuth('admin'), async (req, res) => {
+  try {
+    await registry.sync();
+    const hashes = await registry.hashes();
+    res.json(groupDuplicates(hashes).map(files => files.map(getFileInfo)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    res.json({ success: true });
+// Merge copies into the file to keep: their shelf entries, favorites,
+// annotations and (where the kept file has none) catalog details move over,
+// then the copies are deleted.
+app.post('/api/duplicates/merge', requireAuth('admin'), async (req, res) => {
+  try {
+    const { keep, remove } = req.body;
+    if (typeof keep !== 'string' || !Array.isArray(remove) || remove.length === 0 ||
+        remove.some(fileName => typeof fileName !== 'string' || fileName === keep)) {
+      return res.status(400).json({ error: 'A file to keep and the copies to merge into it are required' });
+    }
+    const copies = [...new Set(remove)];
+
+    for (const fileName of [keep, ...copies]) {
+      if (!await fileIdOf(fileName)) {
+        return res.status(404).json({ error: `File not found: ${fileName}` });
+      }
+    }
+    const keepPath = libraryPath(keep);
+    const keepId = registry.idOf(keep);
+
+    // Checked against the files as they are now, not the index
+    const keepHash = await hashLibraryFile(keepPath);
+    for (const fileName of copies) {
+      if (!keepHash || await hashLibraryFile(libraryPath(fileName)) !== keepHash) {
+        return res.status(400).json({ error: `${fileName} is not a copy of ${keep}` });
+      }
+    }
+
+    // The copies go to the trash, so a wrong merge can be undone. They keep
+    // their annotations and details there, for when they're restored.
+    for (const fileName of copies) {
+      const fileId = registry.idOf(fileName);
+      await addAnnotationLayers(keep, await getAnnotationLayers(fileName));
+      await store.shelves.replaceFile(fileId, keepId);
+      await store.favorites.replaceFile(fileId, keepId);
+
+      const copyMetadata = await store.metadata.get(fileId);
+      if (copyMetadata && !(await store.metadata.get(keepId))) {
+        await store.metadata.set(keepId, { ...copyMetadata, updated: Date.now() });
+      }
+
+      clearTimeout(regalMergeTimers.get(fileId));
+      regalMergeTimers.delete(fileId);
+      await trashFile(fileName, fileId, req.user.id);
+    }
+    await updateLibraryIndexes();
+
+    notifyShelves();
+    notifyAnnotations(keep);
+    events.broadcast('favorites', {});
+    events.broadcast('metadata', { file: keep });
+    events.broadcast('files');
 
+    res.json({ success: true, keep, removed: copies });
   } catch (err) {
-    console.error('Save annotation error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Check if Regalpaket has any annotations
-app.get('/api/regalpaket/:fileName/has-annotations', requireAuth, async (req, res) => {
+// ========================================
+// TRASH API
+// ========================================
+
+// Deleted files wait in LIBRARY_PATH/.trash, each in a folder of its own.
+// Hidden folders aren't part of the library, so a trashed file counts as
+// missing: it keeps its ID, and its shelf entries, favorites, annotations and
+// catalog details come back when it's restored. Purging drops them.
+const TRASH_PATH = path.join(LIBRARY_PATH, '.trash');
+
+function trashItemPath(item) {
+  return path.join(TRASH_PATH, item.id, path.posix.basename(item.name));
+}
+
+// A trash item as listed to clients
+function publicTrashItem(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    type: item.name.toLowerCase().endsWith('.regal') ? 'regal' : 'pdf',
+    trashed: item.trashed,
+    expires: TRASH_RETENTION ? item.trashed + TRASH_RETENTION : null
+  };
+}
+
+// Delete a trashed file for good, with everything that refers to it. If a
+// file with its ID is back in the library (a copy was added meanwhile), that
+// one keeps them.
+async function purgeTrashItem(item) {
+  fs.rmSync(path.join(TRASH_PATH, item.id), { recursive: true, force: true });
+  await store.trash.remove(item.id);
+  if (item.fileId && !registry.nameOf(item.fileId)) {
+    await store.annotations.remove(item.fileId);
+    await regalEdits.remove(item.fileId);
+    await store.shelves.purgeFile(item.fileId);
+    await store.favorites.purgeFile(item.fileId);
+    await store.metadata.remove(item.fileId);
+    await registry.forget(item.fileId);
+  }
+}
+
+async function purgeExpiredTrash() {
+  if (!TRASH_RETENTION) {
+    return;
+  }
+  const cutoff = Date.now() - TRASH_RETENTION;
+  for (const item of await store.trash.list()) {
+    if (item.trashed < cutoff) {
+      await purgeTrashItem(item);
+    }
+  }
+}
+
+// Move the library file `fileName` with `fileId` to the trash. Everything
+// referring to the ID stays, for when it's restored.
+async function trashFile(fileName, fileId, userId) {
+  const item = {
+    id: `trash-${crypto.randomBytes(8).toString('hex')}`,
+    fileId,
+    name: fileName,
+    trashed: Date.now(),
+    trashedBy: userId
+  };
+  fs.mkdirSync(path.join(TRASH_PATH, item.id), { recursive: true });
+  fs.renameSync(libraryPath(fileName), trashItemPath(item));
+  await store.trash.add(item);
+  return item;
+}
+
+// Move a file to the trash
+app.delete('/api/files/:fileName', requireAuth('admin'), async (req, res) => {
   try {
     const { fileName } = req.params;
-    const decodedFileName = decodeURIComponent(fileName);
-    const regalPath = path.join(LIBRARY_PATH, decodedFileName);
+    const fileId = await fileIdOf(fileName);
+    if (!fileId) {
+      return res.status(404).json({ error: 'File not found' });
+    }
 
-    if (!fs.existsSync(regalPath)) {
-      return res.status(404).json({ error: 'Regalpaket not found' });
+    const item = await trashFile(fileName, fileId, req.user.id);
+    await updateLibraryIndexes();
+
+    events.broadcast('files');
+    notifyShelves();
+    notifyFavorites();
+    notifyAnnotations(fileName);
+    res.json(publicTrashItem(item));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The trash, most recently deleted first
+app.get('/api/trash', requireAuth('admin'), async (req, res) => {
+  try {
+    res.json((await store.trash.list()).map(publicTrashItem));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Put a trashed file back where it was
+app.post('/api/trash/:id/restore', requireAuth('admin'), async (req, res) => {
+  try {
+    const item = await store.trash.get(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Not in the trash' });
+    }
+    if (!fs.existsSync(trashItemPath(item))) {
+      await purgeTrashItem(item);
+      return res.status(404).json({ error: 'The file has been removed from the trash folder' });
+    }
+    const filePath = libraryPath(item.name);
+    if (fs.existsSync(filePath)) {
+      return res.status(409).json({ error: `There is a new ${item.name} in the library, rename it first` });
     }
 
-    const directory = await unzipper.Open.file(regalPath);
-    const hasAnnotations = directory.files.some(f =>
-      f.path.startsWith('annotations/') && f.path.endsWith('.json')
-    );
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.renameSync(trashItemPath(item), filePath);
+    fs.rmSync(path.join(TRASH_PATH, item.id), { recursive: true, force: true });
+    await store.trash.remove(item.id);
+    await updateLibraryIndexes();
+
+    events.broadcast('files');
+    notifyShelves();
+    notifyFavorites();
+    notifyAnnotations(item.name);
+    events.broadcast('metadata', { file: item.name });
+    res.json({ success: true, name: item.name });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    res.json({ hasAnnotations });
+// Delete one trashed file for good
+app.delete('/api/trash/:id', requireAuth('admin'), async (req, res) => {
+  try {
+    const item = await store.trash.get(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Not in the trash' });
+    }
+    await purgeTrashItem(item);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
+// Empty the trash
+app.delete('/api/trash', requireAuth('admin'), async (req, res) => {
+  try {
+    const items = await store.trash.list();
+    for (const item of items) {
+      await purgeTrashItem(item);
+    }
+    res.json({ success: true, purged: items.length });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // Serve PDF files from library with auth
-app.get('/library/:fileName', requireAuth, (req, res) => {
+app.get('/library/:fileName', requireAuthOrShare(), (req, res) => {
   try {
     const { fileName } = req.params;
-    const decodedFileName = decodeURIComponent(fileName);
-    const filePath = path.join(LIBRARY_PATH, decodedFileName);
+    const filePath = libraryPath(fileName);
 
-    if (!fs.existsSync(filePath)) {
+    if (!filePath || !fs.existsSync(filePath)) {
       return res.status(404).json({ error: 'File not found' });
     }
 
     // Only serve PDF files
-    if (!decodedFileName.toLowerCase().endsWith('.pdf')) {
+    if (!fileName.toLowerCase().endsWith('.pdf')) {
       return res.status(400).json({ error: 'Only PDF files can be accessed' });
     }
 
@@ -914,11 +2588,56 @@ if (fs.existsSync(CLIENT_BUILD_PATH)) {
   });
 }
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on http://0.0.0.0:${PORT}`);
-  console.log(`Library path: ${LIBRARY_PATH}`);
-  console.log(`Data path: ${DATA_PATH}`);
-  initShelvesFile();
-  initAnnotationsFile();
-  initFavoritesFile();
+async function start() {
+  store.init();
+  loadShareSecret();
+  await loadSessions();
+  if (!fs.existsSync(LIBRARY_PATH)) {
+    fs.mkdirSync(LIBRARY_PATH, { recursive: true });
+  }
+  // Left over from uploads cut short by a restart
+  fs.rmSync(UPLOAD_PATH, { recursive: true, force: true });
+  // Files get their IDs before any request comes in. Data from before there
+  // were IDs refers to files by name; it's changed over once.
+  await registry.load();
+  await registry.sync();
+  const idsByName = scanLibrary(LIBRARY_PATH).map(name => [name, registry.idOf(name)]).filter(([, id]) => id);
+  await store.migrateFileNames(new Map(idsByName));
+  await purgeExpiredTrash();
+  const pruneThumbnails = () => {
+    try {
+      thumbnails.prune(scanLibrary(LIBRARY_PATH));
+    } catch (err) {
+      console.error('Failed to prune thumbnails:', err);
+    }
+  };
+  watchLibrary(LIBRARY_PATH, () => {
+    events.broadcast('files');
+    updateLibraryIndexes();
+    pruneThumbnails();
+  }, { pollInterval: LIBRARY_POLL_INTERVAL });
+  updateLibraryIndexes();
+  pruneThumbnails();
+  // Annotation edits that were still pending when the server stopped
+  for (const fileId of regalEdits.list()) {
+    mergeRegalEdits(fileId).catch(err => console.error('Failed to merge Regalpaket annotations:', err));
+  }
+  setInterval(() => {
+    pruneSessions().catch(err => console.error('Failed to prune sessions:', err));
+    store.shares.removeExpired(Date.now()).catch(err => console.error('Failed to prune share links:', err));
+    purgeExpiredTrash().catch(err => console.error('Failed to purge the trash:', err));
+    ipAttempts.prune();
+  }, SESSION_PRUNE_INTERVAL).unref();
+
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`Server running on http://0.0.0.0:${PORT}`);
+    console.log(`Library path: ${LIBRARY_PATH}`);
+    console.log(`Data path: ${DATA_PATH}`);
+    console.log(`Storage: ${store.type}`);
+  });
+}
+
+start().catch(err => {
+  console.error('Failed to start server:', err);
+  process.exit(1);
 });
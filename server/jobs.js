@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+const FINISHED = ['done', 'failed', 'cancelled'];
+
+// Background jobs, for work that takes too long for a request, like
+// rendering a Regalpaket. Jobs run one at a time, in the order they were
+// added. `handlers` has a function per job type, `run(job, { progress,
+// signal })`, which reports how far it got with progress(done, total), stops
+// with an error once `signal` is aborted and resolves with the job's result.
+// `onChange(job)` is called whenever a job changes.
+//
+// Jobs are kept in memory: finished ones until there are more than
+// `keepFinished` of them, none across restarts.
+function createJobQueue({ handlers, onChange = () => {}, keepFinished = 100 }) {
+  const jobs = new Map(); // id -> job, in the order they run
+  let running = null; // { job, controller }
+
+  const update = (job, changes) => {
+    Object.assign(job, changes);
+    onChange(job);
+  };
+
+  const pruneFinished = () => {
+    const finished = [...jobs.values()].filter(job => FINISHED.includes(job.status));
+    for (const job of finished.slice(0, Math.max(finished.length - keepFinished, 0))) {
+      jobs.delete(job.id);
+    }
+  };
+
+  const runNext = async () => {
+    const job = !running && [...jobs.values()].find(j => j.status === 'queued');
+    if (!job) {
+      return;
+    }
+    const controller = new AbortController();
+    running = { job, controller };
+    update(job, { status: 'running', started: Date.now() });
+    try {
+      const result = await handlers[job.type](job, {
+        progress: (done, total) => update(job, { progress: { done, total } }),
+        signal: controller.signal
+      });
+      update(job, { status: 'done', result, finished: Date.now() });
+    } catch (err) {
+      if (controller.signal.aborted) {
+        update(job, { status: 'cancelled', finished: Date.now() });
+      } else {
+        console.error(`Job ${job.id} (${job.type}) failed:`, err);
+        update(job, { status: 'failed', error: err.message, finished: Date.now() });
+      }
+    } finally {
+      running = null;
+      pruneFinished();
+      runNext();
+    }
+  };
+
+  // Queue `job` again at the end, as new
+  const enqueue = (job) => {
+    jobs.delete(job.id);
+    jobs.set(job.id, job);
+    update(job, { status: 'queued', progress: null, error: null, result: null, started: null, finished: null });
+    runNext();
+    return job;
+  };
+
+  return {
+    // Queue a job of `type` with its `params`
+    add(type, params, userId) {
+      if (!handlers[type]) {
+        throw new Error(`Unknown job type: ${type}`);
+      }
+      const job = { id: `job-${crypto.randomBytes(8).toString('hex')}`, type, params, createdBy: userId, created: Date.now() };
+      return enqueue(job);
+    },
+
+    // All jobs, most recently added first
+    list() {
+      return [...jobs.values()].reverse();
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    // Stop a job: a queued one doesn't run, a running one is aborted. False
+    // for jobs that are already finished.
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job || FINISHED.includes(job.status)) {
+        return false;
+      }
+      if (running?.job === job) {
+        running.controller.abort();
+      } else {
+        update(job, { status: 'cancelled', finished: Date.now() });
+      }
+      return true;
+    },
+
+    // Run a failed or cancelled job again. False for other jobs.
+    retry(id) {
+      const job = jobs.get(id);
+      if (!job || !['failed', 'cancelled'].includes(job.status)) {
+        return false;
+      }
+      enqueue(job);
+      return true;
+    },
+
+    // Forget the finished jobs. Returns their IDs.
+    clearFinished() {
+      const finished = [...jobs.values()].filter(job => FINISHED.includes(job.status));
+      finished.forEach(job => jobs.delete(job.id));
+      return finished.map(job => job.id);
+    }
+  };
+}
+
+module.exports = { createJobQueue, FINISHED };
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+// Library files are identified by their path relative to LIBRARY_PATH with
+// forward slashes, e.g. "Bach/Matthäus-Passion/Chorus 1.pdf".
+
+const LIBRARY_EXTENSIONS = ['.pdf', '.regal'];
+
+function isLibraryFile(fileName) {
+  return LIBRARY_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+// Absolute path of a library file or folder name, or null when the name is
+// not a plain relative path inside the library: absolute paths, empty, "."
+// and ".." segments and hidden entries (like conversion temp folders) are
+// rejected.
+function resolveLibraryPath(root, name) {
+  if (typeof name !== 'string' || !name || name.includes('\0')) {
+    return null;
+  }
+  const segments = name.split('/');
+  if (segments.some(segment => !segment || segment.startsWith('.'))) {
+    return null;
+  }
+  return path.join(root, ...segments);
+}
+
+// Windows can't store files under these names, whatever their extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])$/i;
+
+// Longest name in bytes most filesystems take is 255, some room is left for
+// " (2)" and temp suffixes
+const MAX_NAME_BYTES = 200;
+
+// A file or folder name from elsewhere (an upload, a zip entry) made safe for
+// the library: Unicode composed (NFC) so the same name is always the same
+// bytes, control characters and ones that aren't allowed in names on some
+// systems replaced, no leading dot (hidden) or surrounding spaces and dots,
+// and short enough. `extension` (e.g. ".pdf") is kept or added.
+function sanitizeFileName(name, extension = '') {
+  let base = String(name).normalize('NFC');
+  if (extension && base.toLowerCase().endsWith(extension)) {
+    base = base.slice(0, -extension.length);
+  }
+  base = base
+    .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+  if (RESERVED_NAMES.test(base)) {
+    base = `_${base}`;
+  }
+  // Cut by characters, so a multi-byte one isn't split
+  const characters = Array.from(base);
+  while (Buffer.byteLength(characters.join('')) > MAX_NAME_BYTES) {
+    characters.pop();
+  }
+  base = characters.join('').replace(/[\s.]+$/, '') || 'Untitled';
+  return base + extension;
+}
+
+// Names of all PDFs and Regalpakete in `root` and its subfolders. Hidden
+// entries are skipped, symlinked files are listed but symlinked folders are
+// not followed so a link back up the tree can't loop.
+function scanLibrary(root, folder = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(root, folder), { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) {
+      continue;
+    }
+    const name = folder ? `${folder}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...scanLibrary(root, name));
+    } else if (isLibraryFile(entry.name) && (entry.isFile() || fs.statSync(path.join(root, name), { throwIfNoEntry: false })?.isFile())) {
+      files.push(name);
+    }
+  }
+  return files;
+}
+
+// Names, sizes and modification times of all library files, to tell
+// whether anything changed
+function librarySignature(root) {
+  return scanLibrary(root)
+    .map(name => {
+      const stats = fs.statSync(path.join(root, name), { throwIfNoEntry: false });
+      return stats ? `${name}:${stats.size}:${stats.mtimeMs}` : name;
+    })
+    .join('\n');
+}
+
+// Call `onChange` whenever PDFs or Regalpakete are added, removed or changed
+// anywhere in the library. Filesystem events are collected for `debounce` ms
+// and only reported when the library listing really changed, so temp files
+// of a conversion don't count. Mounts that don't report changes (like some
+// network shares) can be scanned every `pollInterval` ms instead; watching
+// falls back to that when it isn't available at all.
+function watchLibrary(root, onChange, { debounce = 500, pollInterval = 0, fallbackPollInterval = 10 * 1000 } = {}) {
+  let signature = librarySignature(root);
+  let timer = null;
+  let poller = null;
+
+  const check = () => {
+    timer = null;
+    try {
+      const current = librarySignature(root);
+      if (current !== signature) {
+        signature = current;
+        onChange();
+      }
+    } catch (err) {
+      console.error('Failed to scan the library:', err);
+    }
+  };
+
+  const schedule = () => {
+    if (!timer) {
+      timer = setTimeout(check, debounce);
+    }
+  };
+
+  const startPolling = (interval) => {
+    if (!poller) {
+      poller = setInterval(check, interval);
+      poller.unref();
+    }
+  };
+
+  if (pollInterval) {
+    startPolling(pollInterval);
+  }
+
+  try {
+    const watcher = fs.watch(root, { recursive: true }, schedule);
+    watcher.on('error', err => {
+      console.warn(`Stopped watching the library (${err.message}), scanning it every ${fallbackPollInterval / 1000}s instead`);
+      watcher.close();
+      startPolling(fallbackPollInterval);
+    });
+    watcher.unref();
+  } catch (err) {
+    console.warn(`Can't watch the library (${err.message}), scanning it every ${fallbackPollInterval / 1000}s instead`);
+    startPolling(fallbackPollInterval);
+  }
+}
+
+// Keeps an index of derived data in step with the library. Files are known
+// to the index by `keyOf(fileName)` (the name itself by default); files
+// without a key yet are left for a later run. `index(fileName, filePath,
+// mtime, key)` is called for files that are new or changed since `indexed()`
+// last saw them (a map of key to mtime), `remove(key)` for files that are
+// gone. Runs one at a time; asking while a run is going queues one more run
+// after it.
+function createLibraryIndexer(root, { description, indexed, index, remove, keyOf = fileName => fileName }) {
+  let running = null;
+  let queued = false;
+
+  const update = async () => {
+    const known = await indexed();
+    const files = new Map();
+    for (const fileName of scanLibrary(root)) {
+      const key = keyOf(fileName);
+      if (key) {
+        files.set(key, fileName);
+      }
+    }
+
+    for (const key of Object.keys(known)) {
+      if (!files.has(key)) {
+        await remove(key);
+      }
+    }
+    for (const [key, fileName] of files) {
+      const filePath = path.join(root, ...fileName.split('/'));
+      const stats = fs.statSync(filePath, { throwIfNoEntry: false });
+      if (stats && known[key] !== stats.mtimeMs) {
+        await index(fileName, filePath, stats.mtimeMs, key);
+      }
+    }
+  };
+
+  const run = () => {
+    if (running) {
+      queued = true;
+      return running;
+    }
+    running = update()
+      .catch(err => console.error(`Failed to update the ${description}:`, err))
+      .finally(() => {
+        running = null;
+        if (queued) {
+          queued = false;
+          run();
+        }
+      });
+    return running;
+  };
+
+  return { run };
+}
+
+module.exports = { isLibraryFile, resolveLibraryPath, sanitizeFileName, scanLibrary, watchLibrary, createLibraryIndexer };
@@ -0,0 +1,74 @@
+// Counts failed logins per key (an IP address, or one shared key for the
+// whole server). After `freeAttempts` failures every further attempt has to
+// wait twice as long as the previous one, and after `lockoutAfter` failures
+// the key is locked out for `lockoutDuration`. Counts are forgotten once no
+// failure happened for `resetAfter`, and with `decayAfter` one failure is
+// forgiven every `decayAfter`, so only failures coming in faster than that
+// add up.
+function createAttemptCounter({ freeAttempts, baseDelay, maxDelay, lockoutAfter = Infinity, lockoutDuration = 0, resetAfter, decayAfter = Infinity }) {
+  const records = new Map();
+
+  function current(key, now) {
+    const record = records.get(key);
+    if (!record) {
+      return null;
+    }
+    if (now - record.lastFailure > resetAfter && now >= record.lockedUntil) {
+      records.delete(key);
+      return null;
+    }
+    const forgiven = Math.floor((now - record.decayedAt) / decayAfter);
+    if (forgiven > 0) {
+      record.failures = Math.max(record.failures - forgiven, 0);
+      record.decayedAt += forgiven * decayAfter;
+    }
+    return record;
+  }
+
+  return {
+    // How long `key` has to wait before it may try again: { wait, locked },
+    // wait in ms and 0 when an attempt is allowed right now
+    check(key, now = Date.now()) {
+      const record = current(key, now);
+      if (!record) {
+        return { wait: 0, locked: false };
+      }
+      if (now < record.lockedUntil) {
+        return { wait: record.lockedUntil - now, locked: true };
+      }
+      const excess = record.failures - freeAttempts;
+      if (excess <= 0) {
+        return { wait: 0, locked: false };
+      }
+      const delay = Math.min(baseDelay * 2 ** (excess - 1), maxDelay);
+      return { wait: Math.max(record.lastFailure + delay - now, 0), locked: false };
+    },
+
+    // Record a failure; returns true when it started a lockout
+    fail(key, now = Date.now()) {
+      const record = current(key, now) || { failures: 0, lastFailure: 0, lockedUntil: 0, decayedAt: now };
+      record.failures++;
+      record.lastFailure = now;
+      records.set(key, record);
+      if (record.failures >= lockoutAfter) {
+        record.lockedUntil = now + lockoutDuration;
+        record.failures = 0;
+        return true;
+      }
+      return false;
+    },
+
+    reset(key) {
+      records.delete(key);
+    },
+
+    // Forget stale records so the map doesn't grow with every address seen
+    prune(now = Date.now()) {
+      for (const key of records.keys()) {
+        current(key, now);
+      }
+    }
+  };
+}
+
+module.exports = { createAttemptCounter };
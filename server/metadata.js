@@ -0,0 +1,102 @@
+const path = require('path');
+const unzipper = require('unzipper');
+const { openPdf, readLibraryPdf } = require('./pdf');
+
+// Catalog fields of a piece. All are text except difficulty (1-5) and tags.
+const METADATA_TEXT_FIELDS = ['composer', 'title', 'arranger', 'instrumentation', 'key', 'duration', 'tempo', 'notes'];
+const MAX_TEXT_LENGTH = 200;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_TAGS = 50;
+
+// A clean metadata record from request input: { metadata } or { error }.
+// Empty fields are left out.
+function normalizeMetadata(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Metadata required' };
+  }
+  const metadata = {};
+  for (const field of METADATA_TEXT_FIELDS) {
+    const value = input[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (typeof value !== 'string') {
+      return { error: `${field} must be text` };
+    }
+    const maxLength = field === 'notes' ? MAX_NOTES_LENGTH : MAX_TEXT_LENGTH;
+    if (value.length > maxLength) {
+      return { error: `${field} must be at most ${maxLength} characters` };
+    }
+    if (value.trim()) {
+      metadata[field] = value.trim();
+    }
+  }
+  if (input.difficulty !== undefined && input.difficulty !== null && input.difficulty !== '') {
+    const difficulty = Number(input.difficulty);
+    if (!Number.isInteger(difficulty) || difficulty < 1 || difficulty > 5) {
+      return { error: 'Difficulty must be between 1 and 5' };
+    }
+    metadata.difficulty = difficulty;
+  }
+  if (input.tags !== undefined && input.tags !== null) {
+    if (!Array.isArray(input.tags) || input.tags.some(t => typeof t !== 'string' || t.length > MAX_TEXT_LENGTH)) {
+      return { error: 'Tags must be a list of words' };
+    }
+    const tags = [...new Set(input.tags.map(t => t.trim()).filter(Boolean))];
+    if (tags.length > MAX_TAGS) {
+      return { error: `At most ${MAX_TAGS} tags` };
+    }
+    if (tags.length > 0) {
+      metadata.tags = tags;
+    }
+  }
+  return { metadata };
+}
+
+// Metadata from the document info dictionary of a PDF: Title, Author as the
+// composer, Subject as notes and Keywords as tags
+async function readPdfInfo(data) {
+  const document = await openPdf(data);
+  try {
+    const { info } = await document.getMetadata();
+    const text = value => (typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_TEXT_LENGTH) : undefined);
+    return normalizeMetadata({
+      title: text(info?.Title),
+      composer: text(info?.Author),
+      notes: text(info?.Subject),
+      tags: text(info?.Keywords)?.split(/[,;]/)
+    }).metadata || {};
+  } finally {
+    await document.destroy();
+  }
+}
+
+// Pre-filled metadata for a library file without a catalog record. A
+// Regalpaket keeps the metadata it was converted with in its manifest and the
+// original PDF inside; the title falls back to the file name.
+async function suggestMetadata(filePath, fileName) {
+  let suggested = {};
+  try {
+    const pdfData = await readLibraryPdf(filePath);
+    if (pdfData) {
+      suggested = await readPdfInfo(pdfData);
+    }
+    if (fileName.toLowerCase().endsWith('.regal')) {
+      const directory = await unzipper.Open.file(filePath);
+      const manifestFile = directory.files.find(f => f.path === 'manifest.json');
+      const manifest = manifestFile ? JSON.parse((await manifestFile.buffer()).toString()) : {};
+      suggested = { ...suggested, ...normalizeMetadata(manifest.metadata || {}).metadata };
+      if (!suggested.title && manifest.name) {
+        suggested.title = manifest.name;
+      }
+    }
+  } catch (err) {
+    console.warn(`Could not read metadata of ${fileName}: ${err.message}`);
+  }
+  if (!suggested.title) {
+    suggested.title = path.posix.basename(fileName).replace(/\.(pdf|regal)$/i, '');
+  }
+  return suggested;
+}
+
+module.exports = { normalizeMetadata, suggestMetadata };
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const unzipper = require('unzipper');
+
+// pdf.js is an ES module, loaded on first use
+let pdfjs = null;
+
+// Open PDF data with pdf.js. The caller destroys the document when done.
+async function openPdf(data) {
+  pdfjs = pdfjs || await import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjs.getDocument({ data: new Uint8Array(data), isEvalSupported: false, verbosity: 0 }).promise;
+}
+
+// The PDF of a library file: the file itself, or the original PDF inside a
+// Regalpaket (null when it has none)
+async function readLibraryPdf(filePath) {
+  if (!filePath.toLowerCase().endsWith('.regal')) {
+    return fs.promises.readFile(filePath);
+  }
+  const directory = await unzipper.Open.file(filePath);
+  const manifestFile = directory.files.find(f => f.path === 'manifest.json');
+  const manifest = manifestFile ? JSON.parse((await manifestFile.buffer()).toString()) : {};
+  const originalFile = directory.files.find(f => f.path === (manifest.originalFile || 'original.pdf'));
+  return originalFile ? originalFile.buffer() : null;
+}
+
+// Whether a file is a PDF, going by its content rather than its name. The
+// "%PDF-" header has to be within the first kilobyte, as readers allow.
+async function isPdfFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(1024), 0, 1024, 0);
+    return buffer.subarray(0, bytesRead).includes('%PDF-');
+  } finally {
+    await handle.close();
+  }
+}
+
+// The text layer of every page, in page order ('' for pages without one)
+async function extractPageText(data) {
+  const document = await openPdf(data);
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+      const page = await document.getPage(pageNumber);
+      const content = await page.getTextContent();
+      // Joined like pdf.js' own find bar does: items carry their spaces
+      const text = content.items.map(item => (item.str || '') + (item.hasEOL ? ' ' : '')).join('');
+      pages.push(text.replace(/\s+/g, ' ').trim());
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await document.destroy();
+  }
+}
+
+module.exports = { openPdf, readLibraryPdf, isPdfFile, extractPageText };
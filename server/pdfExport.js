@@ -0,0 +1,220 @@
+const unzipper = require('unzipper');
+
+// Pages of a PDF are rendered at this resolution for a flattened copy, enough
+// for a sharp print
+const EXPORT_DPI = 200;
+
+// The stamps of the annotation toolbar, drawn as shapes: the fonts on a
+// server rarely have the musical symbols the browser draws them with. Each
+// is drawn around 0,0 at a size of 1, as big as the symbol at that font size.
+const STAMP_SHAPES = {
+  fermata: (context) => {
+    context.lineWidth = 0.07;
+    context.beginPath();
+    context.arc(0, 0.15, 0.35, Math.PI, 2 * Math.PI);
+    context.stroke();
+    context.beginPath();
+    context.arc(0, 0.08, 0.06, 0, 2 * Math.PI);
+    context.fill();
+  },
+  breath: (context) => {
+    context.beginPath();
+    context.arc(0, -0.12, 0.1, 0, 2 * Math.PI);
+    context.fill();
+    context.lineWidth = 0.06;
+    context.beginPath();
+    context.moveTo(0.08, -0.08);
+    context.quadraticCurveTo(0.08, 0.15, -0.1, 0.25);
+    context.stroke();
+  },
+  accent: (context) => {
+    context.lineWidth = 0.07;
+    context.beginPath();
+    context.moveTo(-0.3, -0.2);
+    context.lineTo(0.3, 0);
+    context.lineTo(-0.3, 0.2);
+    context.stroke();
+  },
+  staccato: (context) => {
+    context.beginPath();
+    context.arc(0, 0, 0.12, 0, 2 * Math.PI);
+    context.fill();
+  },
+  check: (context) => {
+    context.lineWidth = 0.08;
+    context.beginPath();
+    context.moveTo(-0.3, 0);
+    context.lineTo(-0.1, 0.25);
+    context.lineTo(0.32, -0.3);
+    context.stroke();
+  },
+  x: (context) => {
+    context.lineWidth = 0.08;
+    context.beginPath();
+    context.moveTo(-0.25, -0.3);
+    context.lineTo(0.25, 0.3);
+    context.moveTo(0.25, -0.3);
+    context.lineTo(-0.25, 0.3);
+    context.stroke();
+  },
+  star: (context) => {
+    context.beginPath();
+    for (let i = 0; i < 10; i++) {
+      const radius = i % 2 === 0 ? 0.38 : 0.15;
+      const angle = -Math.PI / 2 + i * Math.PI / 5;
+      context.lineTo(radius * Math.cos(angle), radius * Math.sin(angle));
+    }
+    context.closePath();
+    context.fill();
+  },
+  circle: (context) => {
+    context.lineWidth = 0.06;
+    context.beginPath();
+    context.arc(0, 0, 0.33, 0, 2 * Math.PI);
+    context.stroke();
+  }
+};
+
+// Draw the strokes of one annotation layer the way the viewers'
+// StaticAnnotationLayer does. `context` is a layer of its own, so the
+// eraser only takes away annotations.
+function drawStrokes(context, strokes) {
+  context.lineCap = 'round';
+  context.lineJoin = 'round';
+
+  for (const stroke of strokes) {
+    if (stroke.tool === 'stamp') {
+      const drawStamp = STAMP_SHAPES[stroke.stampId];
+      if (!drawStamp) continue;
+      const size = stroke.size || 24;
+      context.save();
+      context.globalCompositeOperation = 'source-over';
+      context.globalAlpha = 1;
+      context.fillStyle = stroke.color;
+      context.strokeStyle = stroke.color;
+      context.translate(stroke.x, stroke.y);
+      context.scale(size, size);
+      drawStamp(context);
+      context.restore();
+      continue;
+    }
+
+    if (!stroke.points || stroke.points.length < 2) continue;
+
+    if (stroke.tool === 'eraser') {
+      context.globalCompositeOperation = 'destination-out';
+      context.globalAlpha = 1;
+      context.strokeStyle = 'rgba(0,0,0,1)';
+    } else {
+      context.globalCompositeOperation = stroke.tool === 'highlighter' ? 'multiply' : 'source-over';
+      context.globalAlpha = stroke.tool === 'highlighter' ? 0.35 : 1;
+      context.strokeStyle = stroke.color;
+    }
+
+    context.lineWidth = stroke.lineWidth;
+    context.beginPath();
+    context.moveTo(stroke.points[0].x, stroke.points[0].y);
+
+    for (let i = 1; i < stroke.points.length - 1; i++) {
+      const xc = (stroke.points[i].x + stroke.points[i + 1].x) / 2;
+      const yc = (stroke.points[i].y + stroke.points[i + 1].y) / 2;
+      context.quadraticCurveTo(stroke.points[i].x, stroke.points[i].y, xc, yc);
+    }
+
+    const last = stroke.points[stroke.points.length - 1];
+    context.lineTo(last.x, last.y);
+    context.stroke();
+  }
+
+  context.globalAlpha = 1;
+  context.globalCompositeOperation = 'source-over';
+}
+
+// Page numbers from a selection like "1-3, 5, 8-" (empty for all pages), in
+// the order given. Throws a RangeError for pages the file doesn't have.
+function parsePageRanges(selection, pageCount) {
+  if (!selection || !String(selection).trim()) {
+    return Array.from({ length: pageCount }, (_, i) => i + 1);
+  }
+  const pages = [];
+  for (const part of String(selection).split(',')) {
+    const match = part.trim().match(/^(\d+)?\s*(-)?\s*(\d+)?$/);
+    if (!match || (!match[1] && !match[3])) {
+      throw new RangeError(`"${part.trim()}" is not a page or a range of pages`);
+    }
+    const first = Number(match[1] || 1);
+    const last = match[2] ? Number(match[3] || pageCount) : first;
+    if (first < 1 || last > pageCount || first > last) {
+      throw new RangeError(`Pages ${part.trim()} are not within 1-${pageCount}`);
+    }
+    for (let page = first; page <= last; page++) {
+      pages.push(page);
+    }
+  }
+  return pages;
+}
+
+// The page images of a library file: a Regalpaket's pre-rendered ones, a
+// PDF's rendered at EXPORT_DPI. { pageCount, dpi, getPage(page) -> image }
+async function openPageImages(filePath) {
+  if (filePath.toLowerCase().endsWith('.regal')) {
+    const directory = await unzipper.Open.file(filePath);
+    const manifestFile = directory.files.find(f => f.path === 'manifest.json');
+    const manifest = manifestFile ? JSON.parse((await manifestFile.buffer()).toString()) : {};
+    return {
+      pageCount: manifest.pageCount,
+      // Rendered at 300 DPI before Regalpakets recorded it
+      dpi: manifest.render?.dpi || 300,
+      getPage: async (page) => {
+        const fileName = manifest.pages?.find(p => p.page === page)?.file || `page-${page}.png`;
+        const pageFile = directory.files.find(f => f.path === `pages/${fileName}`);
+        if (!pageFile) {
+          throw new Error(`Regalpaket has no page ${page}`);
+        }
+        return pageFile.buffer();
+      }
+    };
+  }
+  const { pdf } = await import('pdf-to-img');
+  const document = await pdf(filePath, { scale: EXPORT_DPI / 72 }); // 72 DPI is scale 1
+  return { pageCount: document.length, dpi: EXPORT_DPI, getPage: page => document.getPage(page) };
+}
+
+// A printable PDF of a library file with annotations burned in. `layers` are
+// annotation layers ({ <page>: strokes }) drawn bottom to top, `pages` a
+// selection for parsePageRanges. Strokes are in the viewer's pixels at
+// `scale`: its zoom when they were drawn, where 1 shows a PDF page at its
+// size in points and a Regalpaket page at its size in pixels.
+async function exportFlattenedPdf(filePath, { pages, layers = [], scale = 1, title, signal } = {}) {
+  const { PDFDocument, createCanvas, loadImage } = require('@napi-rs/canvas');
+  const images = await openPageImages(filePath);
+  const pageNumbers = parsePageRanges(pages, images.pageCount);
+  const isRegal = filePath.toLowerCase().endsWith('.regal');
+
+  const document = new PDFDocument({ title, creator: 'Notenregal' });
+  for (const page of pageNumbers) {
+    signal?.throwIfAborted();
+    const image = await loadImage(await images.getPage(page));
+    // Page size in points
+    const width = image.width * 72 / images.dpi;
+    const height = image.height * 72 / images.dpi;
+    const context = document.beginPage(width, height);
+    context.drawImage(image, 0, 0, width, height);
+
+    // Pixels of the page image per pixel of the viewer
+    const strokeScale = image.width / ((isRegal ? image.width : width) * scale);
+    for (const layer of layers) {
+      const strokes = layer[page];
+      if (!strokes || strokes.length === 0) continue;
+      const canvas = createCanvas(image.width, image.height);
+      const layerContext = canvas.getContext('2d');
+      layerContext.scale(strokeScale, strokeScale);
+      drawStrokes(layerContext, strokes);
+      context.drawImage(canvas, 0, 0, width, height);
+    }
+    document.endPage();
+  }
+  return document.close();
+}
+
+module.exports = { parsePageRanges, exportFlattenedPdf };
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const unzipper = require('unzipper');
+
+// Opened Regalpaket archives, so serving a page doesn't parse the zip's
+// central directory again. An archive is opened again once its file changes
+// (mtime or size), and only the `maxArchives` used most recently are kept.
+// Page images read through read() are kept in memory too, up to
+// `maxPageBytes` (0 keeps none).
+function createArchiveCache({ maxArchives = 32, maxPageBytes = 0 } = {}) {
+  const archives = new Map(); // path -> { version, ready, memos }, least recently used first
+  const pages = new Map(); // path + version + entry -> content, least recently used first
+  let pageBytes = 0;
+
+  const dropPages = (filePath) => {
+    for (const [key, content] of pages) {
+      if (key.startsWith(`${filePath}\n`)) {
+        pages.delete(key);
+        pageBytes -= content.length;
+      }
+    }
+  };
+
+  const cachePage = (key, content) => {
+    if (content.length > maxPageBytes) {
+      return;
+    }
+    pages.set(key, content);
+    pageBytes += content.length;
+    for (const [oldKey, oldContent] of pages) {
+      if (pageBytes <= maxPageBytes) break;
+      pages.delete(oldKey);
+      pageBytes -= oldContent.length;
+    }
+  };
+
+  // The archive at `filePath`: { version, files, entry(path), read(file),
+  // memo(key, compute) }
+  const open = async (filePath) => {
+    const { mtimeMs, size } = await fs.promises.stat(filePath);
+    const version = `${mtimeMs}-${size}`;
+    let archive = archives.get(filePath);
+    if (!archive || archive.version !== version) {
+      dropPages(filePath);
+      // Requests for an archive that is being opened wait for it
+      archive = {
+        version,
+        ready: unzipper.Open.file(filePath).then(directory => ({
+          files: directory.files,
+          entries: new Map(directory.files.map(file => [file.path, file]))
+        })),
+        memos: new Map()
+      };
+      archive.ready.catch(() => {
+        if (archives.get(filePath) === archive) {
+          archives.delete(filePath);
+        }
+      });
+    }
+    archives.delete(filePath);
+    archives.set(filePath, archive);
+    for (const oldPath of archives.keys()) {
+      if (archives.size <= maxArchives) break;
+      archives.delete(oldPath);
+      dropPages(oldPath);
+    }
+
+    const { files, entries } = await archive.ready;
+    return {
+      version,
+      files,
+      entry: entryPath => entries.get(entryPath) || null,
+      // Content of a page image, from memory when it was read before
+      read: async (file) => {
+        if (!maxPageBytes) {
+          return file.buffer();
+        }
+        const key = `${filePath}\n${version}\n${file.path}`;
+        const cached = pages.get(key);
+        if (cached) {
+          pages.delete(key);
+          pages.set(key, cached);
+          return cached;
+        }
+        const content = await file.buffer();
+        cachePage(key, content);
+        return content;
+      },
+      // What `compute` resolves with, worked out once per version of the
+      // archive (like its migrated manifest)
+      memo: (key, compute) => {
+        if (!archive.memos.has(key)) {
+          const result = compute();
+          archive.memos.set(key, result);
+          result.catch(() => archive.memos.delete(key));
+        }
+        return archive.memos.get(key);
+      }
+    };
+  };
+
+  // Forget an archive that was changed or removed
+  const forget = (filePath) => {
+    archives.delete(filePath);
+    dropPages(filePath);
+  };
+
+  return { open, forget };
+}
+
+// ETag of a file in an archive, from its checksum and size in the zip's
+// directory, so it's known without reading the file
+function entryTag(file) {
+  return `"${file.crc32.toString(16)}-${file.uncompressedSize}"`;
+}
+
+module.exports = { createArchiveCache, entryTag };
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { serialize, writeFileAtomic } = require('./storage');
+
+// Annotation edits of Regalpakets that aren't in their archives yet, so
+// saving a page writes a small JSON file instead of repacking the archive.
+// The edits of a file are kept in `dir` as <file ID>.json, shaped like
+// annotation layers: { shared: { <page>: strokes }, users: { <userId>:
+// { <page>: strokes } } }, where an empty page had its strokes removed. They
+// are merged into the archive later, all in one rewrite.
+function createRegalEditStore(dir) {
+  const editsPath = fileId => path.join(dir, `${fileId}.json`);
+
+  const read = (fileId) => {
+    const filePath = editsPath(fileId);
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      if (err instanceof SyntaxError) {
+        const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+        fs.renameSync(filePath, corruptPath);
+        console.error(`${path.basename(filePath)} is corrupt, moved it to ${path.basename(corruptPath)}`);
+        return null;
+      }
+      throw err;
+    }
+  };
+
+  const write = async (fileId, edits) => {
+    const empty = Object.keys(edits.shared).length === 0 && Object.keys(edits.users).length === 0;
+    if (empty) {
+      fs.rmSync(editsPath(fileId), { force: true });
+      return;
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    await writeFileAtomic(editsPath(fileId), JSON.stringify(edits));
+  };
+
+  return {
+    // Pending edits of a file, null when there are none
+    get(fileId) {
+      return serialize(editsPath(fileId), async () => read(fileId));
+    },
+
+    // Record the strokes of a page of one layer (owner null for the shared
+    // one), [] when they were all removed
+    setPage(fileId, owner, pageNumber, strokes) {
+      return serialize(editsPath(fileId), async () => {
+        const edits = read(fileId) || { shared: {}, users: {} };
+        const pages = owner ? (edits.users[owner] = edits.users[owner] || {}) : edits.shared;
+        pages[pageNumber] = strokes;
+        await write(fileId, edits);
+      });
+    },
+
+    // Forget the edits that were merged into the archive. Pages edited again
+    // since `merged` was read stay.
+    discard(fileId, merged) {
+      return serialize(editsPath(fileId), async () => {
+        const edits = read(fileId);
+        if (!edits) {
+          return;
+        }
+        const forget = (pages, mergedPages = {}) => {
+          for (const pageNumber of Object.keys(pages)) {
+            if (JSON.stringify(pages[pageNumber]) === JSON.stringify(mergedPages[pageNumber])) {
+              delete pages[pageNumber];
+            }
+          }
+        };
+        forget(edits.shared, merged.shared);
+        for (const [owner, pages] of Object.entries(edits.users)) {
+          forget(pages, merged.users[owner]);
+          if (Object.keys(pages).length === 0) {
+            delete edits.users[owner];
+          }
+        }
+        await write(fileId, edits);
+      });
+    },
+
+    remove(fileId) {
+      return serialize(editsPath(fileId), async () => {
+        fs.rmSync(editsPath(fileId), { force: true });
+      });
+    },
+
+    // IDs of the files with pending edits
+    list() {
+      if (!fs.existsSync(dir)) {
+        return [];
+      }
+      return fs.readdirSync(dir).filter(entry => entry.endsWith('.json')).map(entry => entry.slice(0, -'.json'.length));
+    }
+  };
+}
+
+// Annotation layers ({ shared, users }) with pending `edits` applied
+function applyRegalEdits(layers, edits) {
+  if (!edits) {
+    return layers;
+  }
+  const apply = (pages = {}, changes) => {
+    const result = { ...pages };
+    for (const [pageNumber, strokes] of Object.entries(changes)) {
+      if (strokes && strokes.length > 0) {
+        result[pageNumber] = strokes;
+      } else {
+        delete result[pageNumber];
+      }
+    }
+    return result;
+  };
+  const users = { ...layers.users };
+  for (const [owner, changes] of Object.entries(edits.users)) {
+    users[owner] = apply(users[owner], changes);
+    if (Object.keys(users[owner]).length === 0) {
+      delete users[owner];
+    }
+  }
+  return { shared: apply(layers.shared, edits.shared), users };
+}
+
+module.exports = { createRegalEditStore, applyRegalEdits };
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// manifest.json of a Regalpaket, version 2:
+//
+//   version       2
+//   name          the piece's name
+//   created       when the Regalpaket was made (ISO date)
+//   modified      when it was last changed (ISO date)
+//   originalFile  the PDF it was rendered from, in the archive, or null
+//   pageCount     the number of pages
+//   pages         [{ page, file, width, height, sha256 }]: each page image in
+//                 pages/, its size in pixels and the SHA-256 of its content
+//   render        how the pages were rendered ({ dpi, format, color, ... },
+//                 see regalRender.js), null when that wasn't recorded
+//   metadata      the catalog details it was made with
+//   bookmarks     [{ page, title }]
+//
+// Older manifests are brought up to date by MIGRATIONS when they are read.
+const MANIFEST_VERSION = 2;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Width and height of a PNG, JPEG or WebP image from its header, null for
+// anything else
+function imageSize(content) {
+  if (content.length >= 24 && content.readUInt32BE(0) === 0x89504e47) {
+    return { width: content.readUInt32BE(16), height: content.readUInt32BE(20) };
+  }
+  if (content.length >= 30 && content.toString('ascii', 0, 4) === 'RIFF' && content.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = content.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { width: content.readUInt16LE(26) & 0x3fff, height: content.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = content.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { width: content.readUIntLE(24, 3) + 1, height: content.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+  if (content.length >= 4 && content.readUInt16BE(0) === 0xffd8) {
+    // The frame header (SOF0-SOF15, but not DHT, JPG or DAC) has the size
+    let offset = 2;
+    while (offset + 9 <= content.length && content[offset] === 0xff) {
+      const marker = content[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: content.readUInt16BE(offset + 7), height: content.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + content.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+// The manifest's entry for a page image
+function describePage(page, file, content) {
+  const size = imageSize(content);
+  if (!size) {
+    throw new Error(`Page ${page} (${file}) is not a PNG, JPEG or WebP image`);
+  }
+  return { page, file, ...size, sha256: crypto.createHash('sha256').update(content).digest('hex') };
+}
+
+// Each step brings a manifest from its version to the next. `source`
+// reads the files of the Regalpaket, see archiveSource() and folderSource().
+const MIGRATIONS = {
+  // Page sizes and checksums, a modified date and bookmarks
+  1: async (manifest, source) => {
+    const pages = manifest.pages?.length > 0
+      ? manifest.pages
+      : Array.from({ length: manifest.pageCount || 0 }, (_, i) => ({ page: i + 1, file: `page-${i + 1}.png` }));
+    const described = [];
+    for (const { page, file } of pages) {
+      const content = await source.read(`pages/${file}`);
+      if (!content) {
+        throw new Error(`Invalid Regalpaket: page ${page} (${file}) is missing`);
+      }
+      described.push(describePage(page, file, content));
+    }
+    const originalFile = manifest.originalFile || 'original.pdf';
+    return {
+      ...manifest,
+      version: 2,
+      name: manifest.name || '',
+      created: manifest.created || new Date(0).toISOString(),
+      modified: manifest.created || new Date(0).toISOString(),
+      originalFile: source.has(originalFile) ? originalFile : null,
+      pageCount: described.length,
+      pages: described,
+      render: manifest.render || null,
+      metadata: manifest.metadata || {},
+      bookmarks: []
+    };
+  }
+};
+
+// Check a manifest of the current version. Throws with everything that's
+// wrong with it.
+function validateManifest(manifest) {
+  const problems = [];
+  const check = (ok, problem) => {
+    if (!ok) problems.push(problem);
+  };
+  const isCount = value => Number.isInteger(value) && value > 0;
+
+  check(manifest && typeof manifest === 'object', 'it is not an object');
+  if (problems.length === 0) {
+    check(manifest.version === MANIFEST_VERSION, `version has to be ${MANIFEST_VERSION}`);
+    check(typeof manifest.name === 'string', 'name has to be text');
+    check(ISO_DATE.test(manifest.created), 'created has to be an ISO date');
+    check(ISO_DATE.test(manifest.modified), 'modified has to be an ISO date');
+    check(manifest.originalFile === null || typeof manifest.originalFile === 'string', 'originalFile has to be a file name or null');
+    if (Array.isArray(manifest.pages)) {
+      check(manifest.pageCount === manifest.pages.length, 'pageCount has to be the number of pages');
+      manifest.pages.forEach((entry, i) => {
+        check(entry?.page === i + 1, `pages[${i}].page has to be ${i + 1}`);
+        check(typeof entry?.file === 'string' && !entry.file.includes('/'), `pages[${i}].file has to be a file name`);
+        check(isCount(entry?.width) && isCount(entry?.height), `pages[${i}] has to have a width and height in pixels`);
+        check(/^[0-9a-f]{64}$/.test(entry?.sha256), `pages[${i}].sha256 has to be a SHA-256 checksum`);
+      });
+    } else {
+      check(false, 'pages has to be a list');
+    }
+    const { render } = manifest;
+    check(render === null || (typeof render === 'object' && isCount(render.dpi) &&
+      typeof render.format === 'string' && typeof render.color === 'string'), 'render has to be a render profile or null');
+    check(manifest.metadata && typeof manifest.metadata === 'object' && !Array.isArray(manifest.metadata), 'metadata has to be an object');
+    if (Array.isArray(manifest.bookmarks)) {
+      manifest.bookmarks.forEach((bookmark, i) => {
+        check(Number.isInteger(bookmark?.page) && bookmark.page >= 1 && bookmark.page <= manifest.pageCount,
+          `bookmarks[${i}].page has to be a page of the Regalpaket`);
+        check(typeof bookmark?.title === 'string', `bookmarks[${i}].title has to be text`);
+      });
+    } else {
+      check(false, 'bookmarks has to be a list');
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid Regalpaket manifest: ${problems.join('; ')}`);
+  }
+  return manifest;
+}
+
+// The manifest of a Regalpaket, brought up to the current version and
+// checked. Throws for a Regalpaket without one or with a broken one.
+async function readManifest(source) {
+  const content = await source.read('manifest.json');
+  if (!content) {
+    throw new Error('Invalid Regalpaket: no manifest found');
+  }
+  let manifest = JSON.parse(content.toString());
+  let version = manifest.version || 1;
+  if (version > MANIFEST_VERSION) {
+    throw new Error(`The Regalpaket's manifest version ${version} is newer than this server understands`);
+  }
+  while (version < MANIFEST_VERSION) {
+    manifest = await MIGRATIONS[version](manifest, source);
+    version = manifest.version;
+  }
+  return validateManifest(manifest);
+}
+
+// The files of an archive opened with the archive cache, for readManifest()
+function archiveSource(archive) {
+  return {
+    has: filePath => !!archive.entry(filePath),
+    read: async (filePath) => {
+      const file = archive.entry(filePath);
+      return file ? file.buffer() : null;
+    }
+  };
+}
+
+// The files of a Regalpaket extracted to `folder`, for readManifest()
+function folderSource(folder) {
+  return {
+    has: filePath => fs.existsSync(path.join(folder, filePath)),
+    read: async (filePath) => {
+      const fullPath = path.join(folder, filePath);
+      return fs.existsSync(fullPath) ? fs.promises.readFile(fullPath) : null;
+    }
+  };
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  describePage,
+  validateManifest,
+  readManifest,
+  archiveSource,
+  folderSource
+};
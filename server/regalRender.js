@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { describePage } = require('./regalManifest');
+
+// How the pages of a Regalpaket are rendered: resolution, image format
+// ('png', 'webp' or 'jpeg', the last two with a quality from 1 to 100) and
+// colors ('color', 'gray', or 'mono' for black and white, which suits clean
+// engravings). PNGs in gray are 8-bit grayscale images, in black and white
+// 1-bit ones, which compress best.
+const RENDER_PROFILES = {
+  standard: { dpi: 300, format: 'png', color: 'color' },
+  compact: { dpi: 200, format: 'webp', quality: 80, color: 'color' },
+  grayscale: { dpi: 200, format: 'webp', quality: 80, color: 'gray' },
+  engraving: { dpi: 200, format: 'png', color: 'mono' }
+};
+
+const FORMATS = { png: 'png', webp: 'webp', jpeg: 'jpg' };
+// File extensions of page images
+const PAGE_EXTENSIONS = Object.values(FORMATS);
+const COLORS = ['color', 'gray', 'mono'];
+
+const MIME_TYPES = { png: 'image/png', webp: 'image/webp', jpg: 'image/jpeg' };
+
+// A render profile from a request: the name of one of RENDER_PROFILES or the
+// settings of a custom one. Throws for anything else.
+function resolveRenderProfile(profile) {
+  if (typeof profile === 'string') {
+    if (!RENDER_PROFILES[profile]) {
+      throw new Error(`Unknown render profile "${profile}", use one of ${Object.keys(RENDER_PROFILES).join(', ')}`);
+    }
+    return { name: profile, ...RENDER_PROFILES[profile] };
+  }
+  if (!profile || typeof profile !== 'object') {
+    throw new Error('A render profile is a profile name or { dpi, format, quality, color }');
+  }
+  const dpi = Number(profile.dpi);
+  if (!Number.isInteger(dpi) || dpi < 72 || dpi > 600) {
+    throw new Error('dpi has to be a whole number from 72 to 600');
+  }
+  if (!FORMATS[profile.format]) {
+    throw new Error(`format has to be one of ${Object.keys(FORMATS).join(', ')}`);
+  }
+  const color = profile.color || 'color';
+  if (!COLORS.includes(color)) {
+    throw new Error(`color has to be one of ${COLORS.join(', ')}`);
+  }
+  const resolved = { name: 'custom', dpi, format: profile.format, color };
+  if (profile.format !== 'png') {
+    const quality = Number(profile.quality ?? 80);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new Error('quality has to be a whole number from 1 to 100');
+    }
+    resolved.quality = quality;
+  }
+  return resolved;
+}
+
+// Content type of a page image by its file name
+function pageMimeType(fileName) {
+  return MIME_TYPES[path.extname(fileName).slice(1).toLowerCase()] || 'application/octet-stream';
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let c = 0xffffffff;
+  for (const byte of buffer) {
+    c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'ascii');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+// A grayscale PNG of `gray` (one byte per pixel, row by row) with 8 bits per
+// pixel, or 1 bit (black below 128, white from there) when `bitDepth` is 1
+function encodeGrayPng(gray, width, height, bitDepth) {
+  const rowBytes = Math.ceil((width * bitDepth) / 8);
+  const raw = Buffer.alloc((rowBytes + 1) * height); // each row starts with filter type 0
+  for (let y = 0; y < height; y++) {
+    const row = y * (rowBytes + 1) + 1;
+    for (let x = 0; x < width; x++) {
+      const value = gray[y * width + x];
+      if (bitDepth === 8) {
+        raw[row + x] = value;
+      } else if (value >= 128) {
+        raw[row + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = 0; // grayscale; compression, filter and interlace stay 0
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Bring a page rendered as PNG into the profile's colors and format
+async function encodePage(png, profile) {
+  if (profile.format === 'png' && profile.color === 'color') {
+    return png;
+  }
+  const { createCanvas, loadImage } = require('@napi-rs/canvas');
+  const image = await loadImage(png);
+  const canvas = createCanvas(image.width, image.height);
+  const context = canvas.getContext('2d');
+  // On white, as JPEG has no transparency
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, image.width, image.height);
+  context.drawImage(image, 0, 0);
+
+  if (profile.color !== 'color') {
+    const imageData = context.getImageData(0, 0, image.width, image.height);
+    const { data } = imageData;
+    const gray = Buffer.alloc(image.width * image.height);
+    for (let i = 0; i < gray.length; i++) {
+      const luminance = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+      gray[i] = profile.color === 'mono' ? (luminance < 160 ? 0 : 255) : Math.round(luminance);
+    }
+    if (profile.format === 'png') {
+      return encodeGrayPng(gray, image.width, image.height, profile.color === 'mono' ? 1 : 8);
+    }
+    // WebP and JPEG have no grayscale mode here; the color channels are equal
+    for (let i = 0; i < gray.length; i++) {
+      data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = gray[i];
+    }
+    context.putImageData(imageData, 0, 0);
+  }
+  return profile.format === 'png' ? canvas.encode('png') : canvas.encode(profile.format, profile.quality);
+}
+
+// Render every page of the PDF at `pdfPath` into `pagesDir` as the profile
+// says, reporting progress(done, total) and stopping once `signal` is
+// aborted. Returns the manifest's page list: [{ page, file, width, height,
+// sha256 }]
+async function renderPages(pdfPath, pagesDir, profile, { progress = () => {}, signal } = {}) {
+  // Dynamic import for ES module
+  const { pdf } = await import('pdf-to-img');
+  const pdfDocument = await pdf(pdfPath, { scale: profile.dpi / 72 }); // 72 DPI is scale 1
+  progress(0, pdfDocument.length);
+
+  fs.mkdirSync(pagesDir, { recursive: true });
+  const pages = [];
+  for await (const png of pdfDocument) {
+    signal?.throwIfAborted();
+    const page = pages.length + 1;
+    const file = `page-${page}.${FORMATS[profile.format]}`;
+    const content = await encodePage(png, profile);
+    fs.writeFileSync(path.join(pagesDir, file), content);
+    pages.push(describePage(page, file, content));
+    progress(page, pdfDocument.length);
+  }
+  return pages;
+}
+
+module.exports = { RENDER_PROFILES, PAGE_EXTENSIONS, resolveRenderProfile, pageMimeType, renderPages };
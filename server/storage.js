@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pending work per file path. Every mutation of a file is chained onto the
+// previous one, so two requests touching the same file never interleave.
+const queues = new Map();
+
+function serialize(key, task) {
+  const previous = queues.get(key) || Promise.resolve();
+  const run = previous.then(() => task());
+  const settled = run.catch(() => {});
+  queues.set(key, settled);
+  settled.then(() => {
+    if (queues.get(key) === settled) {
+      queues.delete(key);
+    }
+  });
+  return run;
+}
+
+// Write through a temp file and rename it over the target, so a crash
+// mid-write leaves either the old or the new content, never a truncated file.
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  const handle = await fs.promises.open(tempPath, 'w');
+  try {
+    await handle.writeFile(content);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tempPath, filePath);
+}
+
+function parseJsonFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function tryParseJsonFile(filePath) {
+  try {
+    return parseJsonFile(filePath);
+  } catch (err) {
+    return null;
+  }
+}
+
+// A JSON document on disk (shelves.json, annotations.json, ...).
+// The previous good version is kept next to it as <file>.bak.
+function createJsonStore(filePath, defaults) {
+  const backupPath = `${filePath}.bak`;
+
+  // Restore from the backup when the file is missing or does not parse.
+  // Called on startup and whenever a read hits a corrupt file.
+  function recover() {
+    if (fs.existsSync(filePath)) {
+      if (tryParseJsonFile(filePath) !== null) {
+        return;
+      }
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(filePath, corruptPath);
+      console.error(`${path.basename(filePath)} is corrupt, moved it to ${path.basename(corruptPath)}`);
+    }
+
+    const backup = fs.existsSync(backupPath) ? tryParseJsonFile(backupPath) : null;
+    if (backup !== null) {
+      fs.copyFileSync(backupPath, filePath);
+      console.error(`Restored ${path.basename(filePath)} from ${path.basename(backupPath)}`);
+    } else {
+      fs.writeFileSync(filePath, JSON.stringify(defaults, null, 2));
+    }
+  }
+
+  function load() {
+    try {
+      return parseJsonFile(filePath);
+    } catch (err) {
+      recover();
+      return parseJsonFile(filePath);
+    }
+  }
+
+  async function persist(data) {
+    if (fs.existsSync(filePath)) {
+      await fs.promises.copyFile(filePath, backupPath);
+    }
+    await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+  }
+
+  return {
+    init: recover,
+
+    read() {
+      return serialize(filePath, load);
+    },
+
+    // Run `mutator` on the current data and write the result back. The
+    // mutator may change the data in place; its return value is passed on.
+    update(mutator) {
+      return serialize(filePath, async () => {
+        const data = load();
+        const result = await mutator(data);
+        await persist(data);
+        return result;
+      });
+    }
+  };
+}
+
+module.exports = {
+  createJsonStore,
+  serialize,
+  writeFileAtomic
+};
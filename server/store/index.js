@@ -0,0 +1,16 @@
+const { createJsonBackend } = require('./json');
+const { createSqliteBackend } = require('./sqlite');
+
+// Pick the data store backend: 'json' (default) or 'sqlite'
+function createStore(type, dataPath) {
+  switch (type) {
+    case 'json':
+      return createJsonBackend(dataPath);
+    case 'sqlite':
+      return createSqliteBackend(dataPath);
+    default:
+      throw new Error(`Unknown STORAGE backend "${type}" (expected "json" or "sqlite")`);
+  }
+}
+
+module.exports = { createStore };
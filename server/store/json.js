@@ -0,0 +1,669 @@
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore, serialize, writeFileAtomic } = require('../storage');
+const { queryWords, textWords, makeSnippet } = require('./snippets');
+
+// The original file-based store: shelves.json, annotations.json,
+// favorites.json, sessions.json, users.json, api-keys.json, shares.json,
+// metadata.json, library-files.json and trash.json, and the text index in
+// text-index/, in DATA_PATH.
+// Shelves, favorites, annotations, the catalog and file share links refer to
+// library files by ID, see library-files.json.
+function createJsonBackend(dataPath) {
+  const authFile = path.join(dataPath, 'auth.json');
+  const usersFile = path.join(dataPath, 'users.json');
+  const favoritesFile = path.join(dataPath, 'favorites.json');
+  const usersStore = createJsonStore(usersFile, { users: [] });
+  const shelvesStore = createJsonStore(path.join(dataPath, 'shelves.json'), { shelves: [] });
+  const annotationsStore = createJsonStore(path.join(dataPath, 'annotations.json'), { annotations: {} });
+  const favoritesStore = createJsonStore(favoritesFile, { favorites: {} });
+  const sessionsStore = createJsonStore(path.join(dataPath, 'sessions.json'), { sessions: {} });
+  const apiKeysStore = createJsonStore(path.join(dataPath, 'api-keys.json'), { keys: [] });
+  const sharesStore = createJsonStore(path.join(dataPath, 'shares.json'), { shares: [] });
+  const metadataStore = createJsonStore(path.join(dataPath, 'metadata.json'), { metadata: {} });
+  const textIndexDir = path.join(dataPath, 'text-index');
+  const libraryFilesStore = createJsonStore(path.join(dataPath, 'library-files.json'), { files: [] });
+  const trashStore = createJsonStore(path.join(dataPath, 'trash.json'), { items: [] });
+
+  // Before user accounts, auth.json held a single shared password. It
+  // becomes the first admin account; auth.json itself is left untouched.
+  function migrateSharedPassword() {
+    if (!fs.existsSync(authFile)) {
+      return;
+    }
+    if (JSON.parse(fs.readFileSync(usersFile, 'utf8')).users.length > 0) {
+      return;
+    }
+    const { salt, hash } = JSON.parse(fs.readFileSync(authFile, 'utf8'));
+    const admin = { id: `user-${Date.now()}`, username: 'admin', role: 'admin', salt, hash, created: Date.now() };
+    fs.writeFileSync(usersFile, JSON.stringify({ users: [admin] }, null, 2));
+    console.log('Migrated the shared password to the user account "admin"');
+  }
+
+  // favorites.json used to hold one list for everybody. Every existing
+  // account keeps those favorites as its own.
+  function migrateSharedFavorites() {
+    const data = JSON.parse(fs.readFileSync(favoritesFile, 'utf8'));
+    if (!Array.isArray(data.favorites)) {
+      return;
+    }
+    const accounts = JSON.parse(fs.readFileSync(usersFile, 'utf8')).users;
+    const perUser = {};
+    for (const account of accounts) {
+      perUser[account.id] = [...data.favorites];
+    }
+    fs.writeFileSync(favoritesFile, JSON.stringify({ favorites: perUser }, null, 2));
+    console.log(`Migrated the shared favorites to ${accounts.length} user account(s)`);
+  }
+
+  const users = {
+    async list() {
+      const data = await usersStore.read();
+      return data.users;
+    },
+
+    async get(id) {
+      const data = await usersStore.read();
+      return data.users.find(u => u.id === id) || null;
+    },
+
+    async findByUsername(username) {
+      const data = await usersStore.read();
+      const wanted = username.toLowerCase();
+      return data.users.find(u => u.username.toLowerCase() === wanted) || null;
+    },
+
+    async create(user) {
+      await usersStore.update(data => {
+        data.users.push(user);
+      });
+      return user;
+    },
+
+    update(id, changes) {
+      return usersStore.update(data => {
+        const user = data.users.find(u => u.id === id);
+        if (user) {
+          Object.assign(user, changes);
+        }
+        return user || null;
+      });
+    },
+
+    // Also drops the user's favorites, private shelves, annotations, API keys
+    // and the share links they created
+    async remove(id) {
+      await usersStore.update(data => {
+        data.users = data.users.filter(u => u.id !== id);
+      });
+      await favoritesStore.update(data => {
+        delete data.favorites[id];
+      });
+      await shelvesStore.update(data => {
+        data.shelves = data.shelves.filter(s => s.ownerId !== id);
+      });
+      await annotationsStore.update(data => {
+        if (data.private) {
+          delete data.private[id];
+        }
+      });
+      await apiKeysStore.update(data => {
+        data.keys = data.keys.filter(k => k.userId !== id);
+      });
+      await sharesStore.update(data => {
+        data.shares = data.shares.filter(s => s.createdBy !== id);
+      });
+    }
+  };
+
+  const shelves = {
+    async list() {
+      const data = await shelvesStore.read();
+      return data.shelves;
+    },
+
+    async create(shelf) {
+      await shelvesStore.update(data => {
+        data.shelves.push(shelf);
+      });
+      return shelf;
+    },
+
+    update(id, { name, files }) {
+      return shelvesStore.update(data => {
+        const shelf = data.shelves.find(s => s.id === id);
+        if (shelf) {
+          if (name !== undefined) shelf.name = name;
+          if (files !== undefined) shelf.files = files;
+        }
+        return shelf || null;
+      });
+    },
+
+    async remove(id) {
+      await shelvesStore.update(data => {
+        data.shelves = data.shelves.filter(s => s.id !== id);
+      });
+    },
+
+    addFile(id, fileId) {
+      return shelvesStore.update(data => {
+        const shelf = data.shelves.find(s => s.id === id);
+        if (shelf && !shelf.files.includes(fileId)) {
+          shelf.files.push(fileId);
+        }
+        return shelf || null;
+      });
+    },
+
+    removeFile(id, fileId) {
+      return shelvesStore.update(data => {
+        const shelf = data.shelves.find(s => s.id === id);
+        if (shelf) {
+          shelf.files = shelf.files.filter(f => f !== fileId);
+        }
+        return shelf || null;
+      });
+    },
+
+    // Point every shelf entry for file `oldId` at file `newId`. Shelves that
+    // hold both keep the entry of `newId`.
+    async replaceFile(oldId, newId) {
+      await shelvesStore.update(data => {
+        for (const shelf of data.shelves) {
+          const idx = shelf.files.indexOf(oldId);
+          if (idx !== -1 && shelf.files.includes(newId)) {
+            shelf.files.splice(idx, 1);
+          } else if (idx !== -1) {
+            shelf.files[idx] = newId;
+          }
+        }
+      });
+    },
+
+    // Take file `fileId` off every shelf
+    async purgeFile(fileId) {
+      await shelvesStore.update(data => {
+        for (const shelf of data.shelves) {
+          shelf.files = shelf.files.filter(f => f !== fileId);
+        }
+      });
+    }
+  };
+
+  // favorites.json: { favorites: { <userId>: [fileId, ...] } }
+  const favorites = {
+    async list(userId) {
+      const data = await favoritesStore.read();
+      return data.favorites[userId] || [];
+    },
+
+    add(userId, fileId) {
+      return favoritesStore.update(data => {
+        const list = data.favorites[userId] || (data.favorites[userId] = []);
+        if (!list.includes(fileId)) {
+          list.push(fileId);
+        }
+        return list;
+      });
+    },
+
+    remove(userId, fileId) {
+      return favoritesStore.update(data => {
+        data.favorites[userId] = (data.favorites[userId] || []).filter(f => f !== fileId);
+        return data.favorites[userId];
+      });
+    },
+
+    // Everybody who favorited file `oldId` gets file `newId` as a favorite instead
+    async replaceFile(oldId, newId) {
+      await favoritesStore.update(data => {
+        for (const [userId, list] of Object.entries(data.favorites)) {
+          if (list.includes(oldId)) {
+            data.favorites[userId] = [...new Set(list.map(f => (f === oldId ? newId : f)))];
+          }
+        }
+      });
+    },
+
+    async purgeFile(fileId) {
+      await favoritesStore.update(data => {
+        for (const [userId, list] of Object.entries(data.favorites)) {
+          data.favorites[userId] = list.filter(f => f !== fileId);
+        }
+      });
+    }
+  };
+
+  // annotations.json keeps the shared layer under "annotations" and each
+  // user's private layer under "private.<userId>", both keyed by file ID.
+  function layerOf(data, owner) {
+    if (!owner) {
+      return data.annotations;
+    }
+    data.private = data.private || {};
+    return data.private[owner] || (data.private[owner] = {});
+  }
+
+  // Every layer of the data: [owner, layer], owner null for the shared one
+  function allLayers(data) {
+    return [[null, data.annotations], ...Object.entries(data.private || {})];
+  }
+
+  const annotations = {
+    async get(fileId, owner = null) {
+      const data = await annotationsStore.read();
+      return layerOf(data, owner)[fileId] || {};
+    },
+
+    async setPage(fileId, pageNumber, strokes, owner = null) {
+      await annotationsStore.update(data => {
+        const layer = layerOf(data, owner);
+
+        // Initialize file entry if it doesn't exist
+        if (!layer[fileId]) {
+          layer[fileId] = {};
+        }
+
+        // Save or remove page annotations
+        if (strokes && strokes.length > 0) {
+          layer[fileId][pageNumber] = strokes;
+        } else {
+          // Remove empty page annotations
+          delete layer[fileId][pageNumber];
+          // Clean up empty file entries
+          if (Object.keys(layer[fileId]).length === 0) {
+            delete layer[fileId];
+          }
+          if (owner && Object.keys(layer).length === 0) {
+            delete data.private[owner];
+          }
+        }
+      });
+    },
+
+    // IDs of all files with shared annotations or private ones of `owner`
+    async listFiles(owner = null) {
+      const data = await annotationsStore.read();
+      const files = new Set(Object.keys(data.annotations));
+      if (owner) {
+        Object.keys(data.private?.[owner] || {}).forEach(f => files.add(f));
+      }
+      return [...files];
+    },
+
+    // Shared and private pages of a file: { shared, users: { <userId>: pages } }
+    async getLayers(fileId) {
+      const data = await annotationsStore.read();
+      const result = { shared: data.annotations[fileId] || {}, users: {} };
+      for (const [owner, layer] of Object.entries(data.private || {})) {
+        if (layer[fileId]) {
+          result.users[owner] = layer[fileId];
+        }
+      }
+      return result;
+    },
+
+    // Drop one layer of a file, or every layer when `owner` is undefined
+    async remove(fileId, owner) {
+      await annotationsStore.update(data => {
+        for (const [layerOwner, layer] of allLayers(data)) {
+          if (owner === undefined || owner === layerOwner) {
+            delete layer[fileId];
+          }
+        }
+      });
+    }
+  };
+
+  const sessions = {
+    async list() {
+      const data = await sessionsStore.read();
+      return Object.values(data.sessions);
+    },
+
+    async save(session) {
+      await sessionsStore.update(data => {
+        data.sessions[session.tokenHash] = session;
+      });
+    },
+
+    async remove(tokenHash) {
+      await sessionsStore.update(data => {
+        delete data.sessions[tokenHash];
+      });
+    },
+
+    async removeForUser(userId) {
+      await sessionsStore.update(data => {
+        for (const [tokenHash, session] of Object.entries(data.sessions)) {
+          if (session.userId === userId) {
+            delete data.sessions[tokenHash];
+          }
+        }
+      });
+    },
+
+    // Drop sessions not used since `cutoff`
+    async removeIdle(cutoff) {
+      await sessionsStore.update(data => {
+        for (const [tokenHash, session] of Object.entries(data.sessions)) {
+          if (session.lastSeen < cutoff) {
+            delete data.sessions[tokenHash];
+          }
+        }
+      });
+    }
+  };
+
+  // Keys are stored by the hash of their secret: { id, userId, name, prefix,
+  // keyHash, scopes, created, lastUsed }
+  const apiKeys = {
+    async list(userId) {
+      const data = await apiKeysStore.read();
+      return data.keys.filter(k => k.userId === userId);
+    },
+
+    async findByHash(keyHash) {
+      const data = await apiKeysStore.read();
+      return data.keys.find(k => k.keyHash === keyHash) || null;
+    },
+
+    async create(key) {
+      await apiKeysStore.update(data => {
+        data.keys.push(key);
+      });
+      return key;
+    },
+
+    async touch(id, lastUsed) {
+      await apiKeysStore.update(data => {
+        const key = data.keys.find(k => k.id === id);
+        if (key) {
+          key.lastUsed = lastUsed;
+        }
+      });
+    },
+
+    async remove(id) {
+      await apiKeysStore.update(data => {
+        data.keys = data.keys.filter(k => k.id !== id);
+      });
+    }
+  };
+
+  // Share links: { id, type: 'file' | 'shelf', target, name, createdBy, created, expires }
+  const shares = {
+    async list() {
+      const data = await sharesStore.read();
+      return data.shares;
+    },
+
+    async get(id) {
+      const data = await sharesStore.read();
+      return data.shares.find(s => s.id === id) || null;
+    },
+
+    async create(share) {
+      await sharesStore.update(data => {
+        data.shares.push(share);
+      });
+      return share;
+    },
+
+    async remove(id) {
+      await sharesStore.update(data => {
+        data.shares = data.shares.filter(s => s.id !== id);
+      });
+    },
+
+    async removeExpired(now) {
+      await sharesStore.update(data => {
+        data.shares = data.shares.filter(s => s.expires > now);
+      });
+    }
+  };
+
+  // metadata.json: { metadata: { <fileId>: { composer, title, ..., updated } } }
+  const metadata = {
+    async list() {
+      const data = await metadataStore.read();
+      return data.metadata;
+    },
+
+    async get(fileId) {
+      const data = await metadataStore.read();
+      return data.metadata[fileId] || null;
+    },
+
+    async set(fileId, record) {
+      await metadataStore.update(data => {
+        data.metadata[fileId] = record;
+      });
+      return record;
+    },
+
+    async remove(fileId) {
+      await metadataStore.update(data => {
+        delete data.metadata[fileId];
+      });
+    }
+  };
+
+  // text-index/<fileId>.json: { mtime, pages: [text, ...] }, the text layer
+  // of a library file as of its modification time. One file each, so
+  // indexing a file writes only its own text. They're read once and kept in
+  // memory, with the words of each page once it was searched.
+  let textIndex = null; // fileId -> { mtime, pages, words }
+
+  function loadTextIndex() {
+    if (textIndex) {
+      return textIndex;
+    }
+    textIndex = new Map();
+    // The whole index used to be one file; it's made again from the library
+    for (const oldFile of ['text-index.json', 'text-index.json.bak']) {
+      fs.rmSync(path.join(dataPath, oldFile), { force: true });
+    }
+    if (!fs.existsSync(textIndexDir)) {
+      return textIndex;
+    }
+    for (const entry of fs.readdirSync(textIndexDir)) {
+      if (!entry.endsWith('.json')) {
+        continue;
+      }
+      try {
+        const { mtime, pages } = JSON.parse(fs.readFileSync(path.join(textIndexDir, entry), 'utf8'));
+        textIndex.set(entry.slice(0, -'.json'.length), { mtime, pages });
+      } catch (err) {
+        // Left out, so the file is indexed again
+        console.warn(`Could not read ${entry} of the text index: ${err.message}`);
+      }
+    }
+    return textIndex;
+  }
+
+  const textIndexPath = fileId => path.join(textIndexDir, `${fileId}.json`);
+
+  const pageText = {
+    async listFiles() {
+      return Object.fromEntries([...loadTextIndex()].map(([fileId, entry]) => [fileId, entry.mtime]));
+    },
+
+    async setFile(fileId, mtime, pages) {
+      loadTextIndex().set(fileId, { mtime, pages });
+      await serialize(textIndexPath(fileId), async () => {
+        fs.mkdirSync(textIndexDir, { recursive: true });
+        await writeFileAtomic(textIndexPath(fileId), JSON.stringify({ mtime, pages }));
+      });
+    },
+
+    async removeFile(fileId) {
+      loadTextIndex().delete(fileId);
+      await serialize(textIndexPath(fileId), async () => {
+        fs.rmSync(textIndexPath(fileId), { force: true });
+      });
+    },
+
+    // Pages containing every word of `query` (as word prefixes, like the
+    // SQLite search), those with the most matches first
+    async search(query, limit) {
+      const words = queryWords(query);
+      if (words.length === 0) {
+        return [];
+      }
+      const hits = [];
+      for (const [fileId, entry] of loadTextIndex()) {
+        entry.words = entry.words || entry.pages.map(text => (text ? textWords(text) : []));
+        entry.words.forEach((pageWords, i) => {
+          const pageMatches = pageWords.filter(t => words.some(w => t.word.startsWith(w)));
+          if (words.every(w => pageMatches.some(t => t.word.startsWith(w)))) {
+            hits.push({ fileId, page: i + 1, text: entry.pages[i], matches: pageMatches });
+          }
+        });
+      }
+      return hits
+        .sort((a, b) => b.matches.length - a.matches.length)
+        .slice(0, limit)
+        .map(hit => ({ fileId: hit.fileId, page: hit.page, snippet: makeSnippet(hit.text, hit.matches) }));
+    }
+  };
+
+  // library-files.json: { files: [{ id, name, inode, size, mtime, hash, missing }] },
+  // every file the library has had, see fileRegistry.js
+  const libraryFiles = {
+    async list() {
+      const data = await libraryFilesStore.read();
+      return data.files;
+    },
+
+    async save(file) {
+      await libraryFilesStore.update(data => {
+        const idx = data.files.findIndex(f => f.id === file.id);
+        if (idx === -1) {
+          data.files.push(file);
+        } else {
+          data.files[idx] = file;
+        }
+      });
+    },
+
+    async remove(id) {
+      await libraryFilesStore.update(data => {
+        data.files = data.files.filter(f => f.id !== id);
+      });
+    }
+  };
+
+  // trash.json: { items: [{ id, fileId, name, trashed, trashedBy }] }, the
+  // deleted files waiting in the library's .trash folder
+  const trash = {
+    async list() {
+      const data = await trashStore.read();
+      return [...data.items].sort((a, b) => b.trashed - a.trashed);
+    },
+
+    async get(id) {
+      const data = await trashStore.read();
+      return data.items.find(item => item.id === id) || null;
+    },
+
+    async add(item) {
+      await trashStore.update(data => {
+        data.items.push(item);
+      });
+      return item;
+    },
+
+    async remove(id) {
+      await trashStore.update(data => {
+        data.items = data.items.filter(item => item.id !== id);
+      });
+    }
+  };
+
+  // References to files by name, from before files had IDs, changed to the
+  // IDs in `idsByName` (a Map). Data files without any are left alone.
+  async function migrateFileNames(idsByName) {
+    const toId = name => idsByName.get(name) || name;
+    const renameKeys = object => {
+      for (const key of Object.keys(object)) {
+        if (idsByName.has(key)) {
+          object[toId(key)] = object[toId(key)] || object[key];
+          delete object[key];
+        }
+      }
+    };
+    const hasNames = keys => keys.some(key => idsByName.has(key));
+
+    const shelvesData = await shelvesStore.read();
+    if (hasNames(shelvesData.shelves.flatMap(s => s.files))) {
+      await shelvesStore.update(data => {
+        for (const shelf of data.shelves) {
+          shelf.files = [...new Set(shelf.files.map(toId))];
+        }
+      });
+    }
+    const favoritesData = await favoritesStore.read();
+    if (hasNames(Object.values(favoritesData.favorites).flat())) {
+      await favoritesStore.update(data => {
+        for (const [userId, list] of Object.entries(data.favorites)) {
+          data.favorites[userId] = [...new Set(list.map(toId))];
+        }
+      });
+    }
+    const annotationsData = await annotationsStore.read();
+    if (allLayers(annotationsData).some(([, layer]) => hasNames(Object.keys(layer)))) {
+      await annotationsStore.update(data => {
+        allLayers(data).forEach(([, layer]) => renameKeys(layer));
+      });
+    }
+    const metadataData = await metadataStore.read();
+    if (hasNames(Object.keys(metadataData.metadata))) {
+      await metadataStore.update(data => renameKeys(data.metadata));
+    }
+    const sharesData = await sharesStore.read();
+    if (hasNames(sharesData.shares.filter(s => s.type === 'file').map(s => s.target))) {
+      await sharesStore.update(data => {
+        for (const share of data.shares) {
+          if (share.type === 'file') share.target = toId(share.target);
+        }
+      });
+    }
+  }
+
+  return {
+    type: 'json',
+
+    // Create missing data files and recover corrupt ones from their backups
+    init() {
+      usersStore.init();
+      shelvesStore.init();
+      annotationsStore.init();
+      favoritesStore.init();
+      sessionsStore.init();
+      apiKeysStore.init();
+      sharesStore.init();
+      metadataStore.init();
+      libraryFilesStore.init();
+      trashStore.init();
+      migrateSharedPassword();
+      migrateSharedFavorites();
+    },
+
+    users,
+    shelves,
+    favorites,
+    annotations,
+    sessions,
+    apiKeys,
+    shares,
+    metadata,
+    pageText,
+    libraryFiles,
+    trash,
+    migrateFileNames
+  };
+}
+
+module.exports = { createJsonBackend };
@@ -0,0 +1,60 @@
+// Search hit snippets are lists of parts, { text, match }, so clients can
+// highlight the matched words without parsing markup.
+
+const SNIPPET_CONTEXT = 60;
+const ELLIPSIS = '…';
+
+// A word as the SQLite full-text index compares it (FTS5's unicode61
+// tokenizer with remove_diacritics): lowercased and without accents
+function foldWord(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+// The words of a search query, folded and without punctuation
+function queryWords(query) {
+  return query.split(/[^\p{L}\p{N}]+/u).filter(Boolean).map(foldWord);
+}
+
+// The words of `text` as { start, end, word }, `word` folded, split like
+// FTS5 splits them: at everything that isn't a letter or a digit
+function textWords(text) {
+  return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(m => ({ start: m.index, end: m.index + m[0].length, word: foldWord(m[0]) }));
+}
+
+// Parts of a snippet whose matches are wrapped in `start` and `end` markers
+function splitMarked(marked, start, end) {
+  const parts = [];
+  for (const chunk of marked.split(start)) {
+    const [inside, after] = chunk.includes(end) ? chunk.split(end) : [null, chunk];
+    if (inside) parts.push({ text: inside, match: true });
+    if (after) parts.push({ text: after, match: false });
+  }
+  return parts;
+}
+
+// Parts of the text around the first of `matches` (words from textWords(),
+// in order), every match in that stretch marked
+function makeSnippet(text, matches) {
+  const first = matches[0].start;
+  let from = Math.max(first - SNIPPET_CONTEXT, 0);
+  let to = Math.min(first + SNIPPET_CONTEXT * 2, text.length);
+  // Don't cut words in half
+  if (from > 0) from = text.indexOf(' ', from) + 1 || from;
+  if (to < text.length) to = text.lastIndexOf(' ', to) > first ? text.lastIndexOf(' ', to) : to;
+
+  const parts = [];
+  let position = from;
+  for (const { start, end } of matches) {
+    if (start < position) continue;
+    if (start >= to) break;
+    if (start > position) parts.push({ text: text.slice(position, start), match: false });
+    position = Math.min(end, to);
+    parts.push({ text: text.slice(start, position), match: true });
+  }
+  if (position < to) parts.push({ text: text.slice(position, to), match: false });
+  if (from > 0) parts.unshift({ text: ELLIPSIS, match: false });
+  if (to < text.length) parts.push({ text: ELLIPSIS, match: false });
+  return parts;
+}
+
+module.exports = { queryWords, textWords, splitMarked, makeSnippet };
@@ -0,0 +1,824 @@
+const fs = require('fs');
+const path = require('path');
+const { queryWords, splitMarked } = require('./snippets');
+
+// Schema migrations, applied in order. PRAGMA user_version records how many
+// have run, so only append to this list.
+const MIGRATIONS = [
+  `
+  CREATE TABLE auth (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    salt TEXT NOT NULL,
+    hash TEXT NOT NULL
+  );
+  CREATE TABLE shelves (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL
+  );
+  CREATE TABLE shelf_files (
+    shelf_id TEXT NOT NULL REFERENCES shelves(id) ON DELETE CASCADE,
+    file_name TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    PRIMARY KEY (shelf_id, file_name)
+  );
+  CREATE INDEX shelf_files_file_name ON shelf_files(file_name);
+  CREATE TABLE favorites (
+    file_name TEXT PRIMARY KEY
+  );
+  CREATE TABLE annotations (
+    file_name TEXT NOT NULL,
+    page TEXT NOT NULL,
+    strokes TEXT NOT NULL,
+    PRIMARY KEY (file_name, page)
+  );
+  `,
+  `
+  CREATE TABLE sessions (
+    token_hash TEXT PRIMARY KEY,
+    created INTEGER NOT NULL,
+    last_seen INTEGER NOT NULL
+  );
+  `,
+  // User accounts; the shared password becomes the "admin" account
+  `
+  CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    role TEXT NOT NULL,
+    salt TEXT NOT NULL,
+    hash TEXT NOT NULL,
+    created INTEGER NOT NULL
+  );
+  INSERT INTO users (id, username, role, salt, hash, created)
+    SELECT 'user-' || (unixepoch() * 1000), 'admin', 'admin', salt, hash, unixepoch() * 1000 FROM auth;
+  DROP TABLE auth;
+  DROP TABLE sessions;
+  CREATE TABLE sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created INTEGER NOT NULL,
+    last_seen INTEGER NOT NULL
+  );
+  `,
+  // Per-user favorites, private shelves and private annotation layers.
+  // An empty annotation owner is the shared layer.
+  `
+  ALTER TABLE shelves ADD COLUMN owner_id TEXT REFERENCES users(id) ON DELETE CASCADE;
+  CREATE TABLE user_favorites (
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    file_name TEXT NOT NULL,
+    PRIMARY KEY (user_id, file_name)
+  );
+  INSERT INTO user_favorites (user_id, file_name)
+    SELECT users.id, favorites.file_name FROM users CROSS JOIN favorites ORDER BY users.id, favorites.rowid;
+  DROP TABLE favorites;
+  ALTER TABLE user_favorites RENAME TO favorites;
+  CREATE TABLE layered_annotations (
+    file_name TEXT NOT NULL,
+    owner TEXT NOT NULL DEFAULT '',
+    page TEXT NOT NULL,
+    strokes TEXT NOT NULL,
+    PRIMARY KEY (file_name, owner, page)
+  );
+  INSERT INTO layered_annotations (file_name, page, strokes) SELECT file_name, page, strokes FROM annotations;
+  DROP TABLE annotations;
+  ALTER TABLE layered_annotations RENAME TO annotations;
+  `,
+  // PBKDF2 iteration count per password hash; older hashes used 10000
+  `
+  ALTER TABLE users ADD COLUMN iterations INTEGER NOT NULL DEFAULT 10000;
+  `,
+  `
+  CREATE TABLE api_keys (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT NOT NULL,
+    created INTEGER NOT NULL,
+    last_used INTEGER
+  );
+  `,
+  `
+  CREATE TABLE shares (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    target TEXT NOT NULL,
+    name TEXT NOT NULL,
+    created_by TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created INTEGER NOT NULL,
+    expires INTEGER NOT NULL
+  );
+  `,
+  // Catalog record per library file; tags are a JSON array
+  `
+  CREATE TABLE metadata (
+    file_name TEXT PRIMARY KEY,
+    composer TEXT,
+    title TEXT,
+    arranger TEXT,
+    instrumentation TEXT,
+    musical_key TEXT,
+    difficulty INTEGER,
+    duration TEXT,
+    tempo TEXT,
+    notes TEXT,
+    tags TEXT,
+    updated INTEGER NOT NULL
+  );
+  `,
+  // Full-text index of the library files' text layers, one row per page.
+  // text_files records the modification time each file was indexed at.
+  `
+  CREATE TABLE text_files (
+    file_name TEXT PRIMARY KEY,
+    mtime REAL NOT NULL
+  );
+  CREATE VIRTUAL TABLE page_text USING fts5(
+    file_name UNINDEXED,
+    page UNINDEXED,
+    text,
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+  `,
+  // SHA-256 of each library file's PDF, to find duplicates
+  `
+  CREATE TABLE content_hashes (
+    file_name TEXT PRIMARY KEY,
+    mtime REAL NOT NULL,
+    hash TEXT
+  );
+  CREATE INDEX content_hashes_hash ON content_hashes (hash);
+  `,
+  // Library files get IDs that shelves, favorites, annotations and the
+  // catalog refer to instead of file names. library_files tracks each file's
+  // current name, inode and content hash; files that are gone stay as
+  // missing. The content hashes live there now.
+  `
+  CREATE TABLE library_files (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    inode INTEGER,
+    size INTEGER,
+    mtime REAL,
+    hash TEXT,
+    missing INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX library_files_name ON library_files (name);
+  CREATE INDEX library_files_hash ON library_files (hash);
+  DROP TABLE content_hashes;
+  ALTER TABLE shelf_files RENAME COLUMN file_name TO file_id;
+  ALTER TABLE favorites RENAME COLUMN file_name TO file_id;
+  ALTER TABLE annotations RENAME COLUMN file_name TO file_id;
+  ALTER TABLE metadata RENAME COLUMN file_name TO file_id;
+  `,
+  `
+  CREATE TABLE trash (
+    id TEXT PRIMARY KEY,
+    file_id TEXT,
+    name TEXT NOT NULL,
+    trashed INTEGER NOT NULL,
+    trashed_by TEXT
+  );
+  `,
+  // The text index refers to files by ID too. It's made again from the files.
+  `
+  DROP TABLE text_files;
+  DROP TABLE page_text;
+  CREATE TABLE text_files (
+    file_id TEXT PRIMARY KEY,
+    mtime REAL NOT NULL
+  );
+  CREATE VIRTUAL TABLE page_text USING fts5(
+    file_id UNINDEXED,
+    page UNINDEXED,
+    text,
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+  `
+];
+
+function readJsonIfExists(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Embedded SQLite store in DATA_PATH/notenregal.db. Each change touches only
+// its own rows, so saving one page of strokes stays cheap however large the
+// library gets.
+function createSqliteBackend(dataPath) {
+  // Loaded lazily so the JSON store works without the native module
+  const Database = require('better-sqlite3');
+
+  const dbFile = path.join(dataPath, 'notenregal.db');
+  let db;
+
+  function migrate() {
+    const version = db.pragma('user_version', { simple: true });
+    for (let i = version; i < MIGRATIONS.length; i++) {
+      db.transaction(() => {
+        db.exec(MIGRATIONS[i]);
+        db.pragma(`user_version = ${i + 1}`);
+      })();
+    }
+    return version;
+  }
+
+  // Copy the data of an existing JSON install into a fresh database
+  function importJsonFiles() {
+    const usersData = readJsonIfExists(path.join(dataPath, 'users.json'));
+    const auth = readJsonIfExists(path.join(dataPath, 'auth.json'));
+    const shelvesData = readJsonIfExists(path.join(dataPath, 'shelves.json'));
+    const favoritesData = readJsonIfExists(path.join(dataPath, 'favorites.json'));
+    const annotationsData = readJsonIfExists(path.join(dataPath, 'annotations.json'));
+    const apiKeysData = readJsonIfExists(path.join(dataPath, 'api-keys.json'));
+    const sharesData = readJsonIfExists(path.join(dataPath, 'shares.json'));
+    const metadataData = readJsonIfExists(path.join(dataPath, 'metadata.json'));
+    const libraryFilesData = readJsonIfExists(path.join(dataPath, 'library-files.json'));
+    const trashData = readJsonIfExists(path.join(dataPath, 'trash.json'));
+    const sessionsData = readJsonIfExists(path.join(dataPath, 'sessions.json'));
+
+    if (!usersData && !auth && !shelvesData && !favoritesData && !annotationsData && !apiKeysData && !sharesData && !metadataData && !libraryFilesData && !trashData && !sessionsData) {
+      return;
+    }
+
+    db.transaction(() => {
+      if (usersData) {
+        for (const user of usersData.users) {
+          insertUser(user);
+        }
+      } else if (auth) {
+        const now = Date.now();
+        insertUser({ id: `user-${now}`, username: 'admin', role: 'admin', salt: auth.salt, hash: auth.hash, created: now });
+      }
+      for (const shelf of shelvesData?.shelves || []) {
+        insertShelf(shelf);
+        setShelfFiles(shelf.id, shelf.files || []);
+      }
+
+      // Favorites from before user accounts belong to every account
+      let favoriteLists = favoritesData?.favorites || {};
+      if (Array.isArray(favoriteLists)) {
+        const ids = db.prepare('SELECT id FROM users').pluck().all();
+        favoriteLists = Object.fromEntries(ids.map(id => [id, favoritesData.favorites]));
+      }
+      for (const [userId, files] of Object.entries(favoriteLists)) {
+        for (const fileId of files) {
+          db.prepare('INSERT OR IGNORE INTO favorites (user_id, file_id) VALUES (?, ?)').run(userId, fileId);
+        }
+      }
+
+      const layers = [['', annotationsData?.annotations || {}], ...Object.entries(annotationsData?.private || {})];
+      for (const [owner, layer] of layers) {
+        for (const [fileId, pages] of Object.entries(layer)) {
+          for (const [page, strokes] of Object.entries(pages)) {
+            db.prepare('INSERT INTO annotations (file_id, owner, page, strokes) VALUES (?, ?, ?, ?)')
+              .run(fileId, owner, page, JSON.stringify(strokes));
+          }
+        }
+      }
+      for (const key of apiKeysData?.keys || []) {
+        insertApiKey(key);
+      }
+      for (const share of sharesData?.shares || []) {
+        insertShare(share);
+      }
+      for (const [fileId, record] of Object.entries(metadataData?.metadata || {})) {
+        setMetadata(fileId, record);
+      }
+      for (const file of libraryFilesData?.files || []) {
+        saveLibraryFile(file);
+      }
+      for (const item of trashData?.items || []) {
+        addTrashItem(item);
+      }
+
+      // Devices stay logged in. Sessions from before user accounts belong to
+      // nobody and are left out.
+      const userIds = new Set(db.prepare('SELECT id FROM users').pluck().all());
+      for (const { tokenHash, userId, created, lastSeen } of Object.values(sessionsData?.sessions || {})) {
+        if (userIds.has(userId)) {
+          db.prepare('INSERT OR IGNORE INTO sessions (token_hash, user_id, created, last_seen) VALUES (?, ?, ?, ?)')
+            .run(tokenHash, userId, created, lastSeen);
+        }
+      }
+    })();
+
+    console.log('Imported existing JSON data files into notenregal.db');
+  }
+
+  function insertUser({ id, username, role, salt, hash, iterations = 10000, created }) {
+    db.prepare('INSERT INTO users (id, username, role, salt, hash, iterations, created) VALUES (?, ?, ?, ?, ?, ?, ?)')
+      .run(id, username, role, salt, hash, iterations, created);
+  }
+
+  function insertShelf({ id, name, ownerId }) {
+    db.prepare('INSERT INTO shelves (id, name, owner_id) VALUES (?, ?, ?)').run(id, name, ownerId || null);
+  }
+
+  function insertApiKey({ id, userId, name, prefix, keyHash, scopes, created, lastUsed }) {
+    db.prepare(`
+      INSERT INTO api_keys (id, user_id, name, prefix, key_hash, scopes, created, last_used)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, userId, name, prefix, keyHash, JSON.stringify(scopes), created, lastUsed || null);
+  }
+
+  function apiKeyFromRow(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      prefix: row.prefix,
+      keyHash: row.key_hash,
+      scopes: JSON.parse(row.scopes),
+      created: row.created,
+      lastUsed: row.last_used
+    };
+  }
+
+  function insertShare({ id, type, target, name, createdBy, created, expires }) {
+    db.prepare(`
+      INSERT INTO shares (id, type, target, name, created_by, created, expires) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, type, target, name, createdBy, created, expires);
+  }
+
+  const SHARE_COLUMNS = 'id, type, target, name, created_by AS createdBy, created, expires';
+
+  // Metadata record fields and their columns ("key" is a keyword)
+  const METADATA_COLUMNS = {
+    composer: 'composer',
+    title: 'title',
+    arranger: 'arranger',
+    instrumentation: 'instrumentation',
+    key: 'musical_key',
+    difficulty: 'difficulty',
+    duration: 'duration',
+    tempo: 'tempo',
+    notes: 'notes',
+    tags: 'tags',
+    updated: 'updated'
+  };
+
+  function setMetadata(fileId, record) {
+    const columns = Object.values(METADATA_COLUMNS);
+    const values = Object.keys(METADATA_COLUMNS).map(field => {
+      const value = record[field];
+      if (value === undefined) return null;
+      return field === 'tags' ? JSON.stringify(value) : value;
+    });
+    db.prepare(`
+      INSERT OR REPLACE INTO metadata (file_id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})
+    `).run(fileId, ...values);
+  }
+
+  // The record of a row, without the fields that are empty
+  function metadataFromRow(row) {
+    const record = {};
+    for (const [field, column] of Object.entries(METADATA_COLUMNS)) {
+      if (row[column] !== null) {
+        record[field] = field === 'tags' ? JSON.parse(row[column]) : row[column];
+      }
+    }
+    return record;
+  }
+
+  function setShelfFiles(shelfId, files) {
+    db.prepare('DELETE FROM shelf_files WHERE shelf_id = ?').run(shelfId);
+    const insert = db.prepare('INSERT OR IGNORE INTO shelf_files (shelf_id, file_id, position) VALUES (?, ?, ?)');
+    files.forEach((fileId, position) => insert.run(shelfId, fileId, position));
+  }
+
+  function getShelf(id) {
+    const row = db.prepare('SELECT id, name, owner_id FROM shelves WHERE id = ?').get(id);
+    if (!row) {
+      return null;
+    }
+    const files = db.prepare('SELECT file_id FROM shelf_files WHERE shelf_id = ? ORDER BY position')
+      .pluck().all(id);
+    return { id: row.id, name: row.name, ownerId: row.owner_id, files };
+  }
+
+  function listFavorites(userId) {
+    return db.prepare('SELECT file_id FROM favorites WHERE user_id = ? ORDER BY rowid').pluck().all(userId);
+  }
+
+  function addTrashItem({ id, fileId, name, trashed, trashedBy }) {
+    db.prepare('INSERT INTO trash (id, file_id, name, trashed, trashed_by) VALUES (?, ?, ?, ?, ?)')
+      .run(id, fileId ?? null, name, trashed, trashedBy ?? null);
+  }
+
+  function trashItemFromRow(row) {
+    return { id: row.id, fileId: row.file_id, name: row.name, trashed: row.trashed, trashedBy: row.trashed_by };
+  }
+
+  function saveLibraryFile({ id, name, inode, size, mtime, hash, missing }) {
+    db.prepare(`
+      INSERT OR REPLACE INTO library_files (id, name, inode, size, mtime, hash, missing) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, name, inode ?? null, size ?? null, mtime ?? null, hash ?? null, missing ? 1 : 0);
+  }
+
+  const USER_COLUMNS = ['username', 'role', 'salt', 'hash', 'iterations'];
+
+  const users = {
+    async list() {
+      return db.prepare('SELECT * FROM users ORDER BY created').all();
+    },
+
+    async get(id) {
+      return db.prepare('SELECT * FROM users WHERE id = ?').get(id) || null;
+    },
+
+    async findByUsername(username) {
+      return db.prepare('SELECT * FROM users WHERE username = ?').get(username) || null;
+    },
+
+    async create(user) {
+      insertUser(user);
+      return user;
+    },
+
+    async update(id, changes) {
+      for (const column of USER_COLUMNS) {
+        if (changes[column] !== undefined) {
+          db.prepare(`UPDATE users SET ${column} = ? WHERE id = ?`).run(changes[column], id);
+        }
+      }
+      return users.get(id);
+    },
+
+    // Favorites, private shelves, API keys and share links go with the user
+    // through ON DELETE CASCADE
+    async remove(id) {
+      db.transaction(() => {
+        db.prepare('DELETE FROM users WHERE id = ?').run(id);
+        db.prepare('DELETE FROM annotations WHERE owner = ?').run(id);
+      })();
+    }
+  };
+
+  const shelves = {
+    async list() {
+      const ids = db.prepare('SELECT id FROM shelves ORDER BY rowid').pluck().all();
+      return ids.map(getShelf);
+    },
+
+    async create(shelf) {
+      db.transaction(() => {
+        insertShelf(shelf);
+        setShelfFiles(shelf.id, shelf.files);
+      })();
+      return shelf;
+    },
+
+    async update(id, { name, files }) {
+      return db.transaction(() => {
+        if (!getShelf(id)) {
+          return null;
+        }
+        if (name !== undefined) {
+          db.prepare('UPDATE shelves SET name = ? WHERE id = ?').run(name, id);
+        }
+        if (files !== undefined) {
+          setShelfFiles(id, files);
+        }
+        return getShelf(id);
+      })();
+    },
+
+    async remove(id) {
+      db.prepare('DELETE FROM shelves WHERE id = ?').run(id);
+    },
+
+    async addFile(id, fileId) {
+      return db.transaction(() => {
+        if (!getShelf(id)) {
+          return null;
+        }
+        db.prepare(`
+          INSERT OR IGNORE INTO shelf_files (shelf_id, file_id, position)
+          SELECT ?, ?, COALESCE(MAX(position) + 1, 0) FROM shelf_files WHERE shelf_id = ?
+        `).run(id, fileId, id);
+        return getShelf(id);
+      })();
+    },
+
+    async removeFile(id, fileId) {
+      return db.transaction(() => {
+        db.prepare('DELETE FROM shelf_files WHERE shelf_id = ? AND file_id = ?').run(id, fileId);
+        return getShelf(id);
+      })();
+    },
+
+    async replaceFile(oldId, newId) {
+      db.prepare('UPDATE OR IGNORE shelf_files SET file_id = ? WHERE file_id = ?').run(newId, oldId);
+      db.prepare('DELETE FROM shelf_files WHERE file_id = ?').run(oldId);
+    },
+
+    async purgeFile(fileId) {
+      db.prepare('DELETE FROM shelf_files WHERE file_id = ?').run(fileId);
+    }
+  };
+
+  const favorites = {
+    async list(userId) {
+      return listFavorites(userId);
+    },
+
+    async add(userId, fileId) {
+      db.prepare('INSERT OR IGNORE INTO favorites (user_id, file_id) VALUES (?, ?)').run(userId, fileId);
+      return listFavorites(userId);
+    },
+
+    async remove(userId, fileId) {
+      db.prepare('DELETE FROM favorites WHERE user_id = ? AND file_id = ?').run(userId, fileId);
+      return listFavorites(userId);
+    },
+
+    async replaceFile(oldId, newId) {
+      db.prepare('UPDATE OR IGNORE favorites SET file_id = ? WHERE file_id = ?').run(newId, oldId);
+      db.prepare('DELETE FROM favorites WHERE file_id = ?').run(oldId);
+    },
+
+    async purgeFile(fileId) {
+      db.prepare('DELETE FROM favorites WHERE file_id = ?').run(fileId);
+    }
+  };
+
+  // `owner` is a user id for a private layer, null for the shared layer
+  const annotations = {
+    async get(fileId, owner = null) {
+      const rows = db.prepare('SELECT page, strokes FROM annotations WHERE file_id = ? AND owner = ?')
+        .all(fileId, owner || '');
+      const pages = {};
+      for (const row of rows) {
+        pages[row.page] = JSON.parse(row.strokes);
+      }
+      return pages;
+    },
+
+    async setPage(fileId, pageNumber, strokes, owner = null) {
+      if (strokes && strokes.length > 0) {
+        db.prepare('INSERT OR REPLACE INTO annotations (file_id, owner, page, strokes) VALUES (?, ?, ?, ?)')
+          .run(fileId, owner || '', String(pageNumber), JSON.stringify(strokes));
+      } else {
+        db.prepare('DELETE FROM annotations WHERE file_id = ? AND owner = ? AND page = ?')
+          .run(fileId, owner || '', String(pageNumber));
+      }
+    },
+
+    async listFiles(owner = null) {
+      return db.prepare(`
+        SELECT DISTINCT file_id FROM annotations WHERE owner IN ('', ?) ORDER BY file_id
+      `).pluck().all(owner || '');
+    },
+
+    async getLayers(fileId) {
+      const rows = db.prepare('SELECT owner, page, strokes FROM annotations WHERE file_id = ?').all(fileId);
+      const result = { shared: {}, users: {} };
+      for (const row of rows) {
+        const pages = row.owner ? (result.users[row.owner] = result.users[row.owner] || {}) : result.shared;
+        pages[row.page] = JSON.parse(row.strokes);
+      }
+      return result;
+    },
+
+    async remove(fileId, owner) {
+      if (owner === undefined) {
+        db.prepare('DELETE FROM annotations WHERE file_id = ?').run(fileId);
+      } else {
+        db.prepare('DELETE FROM annotations WHERE file_id = ? AND owner = ?').run(fileId, owner || '');
+      }
+    }
+  };
+
+  const sessions = {
+    async list() {
+      return db.prepare(`
+        SELECT token_hash AS tokenHash, user_id AS userId, created, last_seen AS lastSeen FROM sessions
+      `).all();
+    },
+
+    async save({ tokenHash, userId, created, lastSeen }) {
+      db.prepare('INSERT OR REPLACE INTO sessions (token_hash, user_id, created, last_seen) VALUES (?, ?, ?, ?)')
+        .run(tokenHash, userId, created, lastSeen);
+    },
+
+    async remove(tokenHash) {
+      db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
+    },
+
+    async removeForUser(userId) {
+      db.prepare('DELETE FROM sessions WHERE user_id = ?').run(userId);
+    },
+
+    async removeIdle(cutoff) {
+      db.prepare('DELETE FROM sessions WHERE last_seen < ?').run(cutoff);
+    }
+  };
+
+  const apiKeys = {
+    async list(userId) {
+      return db.prepare('SELECT * FROM api_keys WHERE user_id = ? ORDER BY created').all(userId).map(apiKeyFromRow);
+    },
+
+    async findByHash(keyHash) {
+      const row = db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(keyHash);
+      return row ? apiKeyFromRow(row) : null;
+    },
+
+    async create(key) {
+      insertApiKey(key);
+      return key;
+    },
+
+    async touch(id, lastUsed) {
+      db.prepare('UPDATE api_keys SET last_used = ? WHERE id = ?').run(lastUsed, id);
+    },
+
+    async remove(id) {
+      db.prepare('DELETE FROM api_keys WHERE id = ?').run(id);
+    }
+  };
+
+  const shares = {
+    async list() {
+      return db.prepare(`SELECT ${SHARE_COLUMNS} FROM shares ORDER BY created`).all();
+    },
+
+    async get(id) {
+      return db.prepare(`SELECT ${SHARE_COLUMNS} FROM shares WHERE id = ?`).get(id) || null;
+    },
+
+    async create(share) {
+      insertShare(share);
+      return share;
+    },
+
+    async remove(id) {
+      db.prepare('DELETE FROM shares WHERE id = ?').run(id);
+    },
+
+    async removeExpired(now) {
+      db.prepare('DELETE FROM shares WHERE expires <= ?').run(now);
+    }
+  };
+
+  const metadata = {
+    async list() {
+      const rows = db.prepare('SELECT * FROM metadata').all();
+      return Object.fromEntries(rows.map(row => [row.file_id, metadataFromRow(row)]));
+    },
+
+    async get(fileId) {
+      const row = db.prepare('SELECT * FROM metadata WHERE file_id = ?').get(fileId);
+      return row ? metadataFromRow(row) : null;
+    },
+
+    async set(fileId, record) {
+      setMetadata(fileId, record);
+      return record;
+    },
+
+    async remove(fileId) {
+      db.prepare('DELETE FROM metadata WHERE file_id = ?').run(fileId);
+    }
+  };
+
+  // Markers around matches in FTS snippets, split into parts afterwards
+  const MATCH_START = '\u0001';
+  const MATCH_END = '\u0002';
+
+  const pageText = {
+    async listFiles() {
+      const rows = db.prepare('SELECT file_id, mtime FROM text_files').all();
+      return Object.fromEntries(rows.map(row => [row.file_id, row.mtime]));
+    },
+
+    async setFile(fileId, mtime, pages) {
+      db.transaction(() => {
+        db.prepare('DELETE FROM page_text WHERE file_id = ?').run(fileId);
+        const insert = db.prepare('INSERT INTO page_text (file_id, page, text) VALUES (?, ?, ?)');
+        pages.forEach((text, i) => {
+          if (text) insert.run(fileId, i + 1, text);
+        });
+        db.prepare('INSERT OR REPLACE INTO text_files (file_id, mtime) VALUES (?, ?)').run(fileId, mtime);
+      })();
+    },
+
+    async removeFile(fileId) {
+      db.transaction(() => {
+        db.prepare('DELETE FROM page_text WHERE file_id = ?').run(fileId);
+        db.prepare('DELETE FROM text_files WHERE file_id = ?').run(fileId);
+      })();
+    },
+
+    // Pages containing every word of `query` (as word prefixes), best first
+    async search(query, limit) {
+      const words = queryWords(query);
+      if (words.length === 0) {
+        return [];
+      }
+      const match = words.map(w => `"${w.replace(/"/g, '""')}"*`).join(' ');
+      const rows = db.prepare(`
+        SELECT file_id, page, snippet(page_text, 2, ?, ?, '…', 24) AS snippet
+        FROM page_text WHERE page_text MATCH ? ORDER BY rank LIMIT ?
+      `).all(MATCH_START, MATCH_END, match, limit);
+      return rows.map(row => ({ fileId: row.file_id, page: row.page, snippet: splitMarked(row.snippet, MATCH_START, MATCH_END) }));
+    }
+  };
+
+  const libraryFiles = {
+    async list() {
+      return db.prepare('SELECT * FROM library_files').all()
+        .map(row => ({ ...row, missing: row.missing === 1 }));
+    },
+
+    async save(file) {
+      saveLibraryFile(file);
+    },
+
+    async remove(id) {
+      db.prepare('DELETE FROM library_files WHERE id = ?').run(id);
+    }
+  };
+
+  const trash = {
+    async list() {
+      return db.prepare('SELECT * FROM trash ORDER BY trashed DESC').all().map(trashItemFromRow);
+    },
+
+    async get(id) {
+      const row = db.prepare('SELECT * FROM trash WHERE id = ?').get(id);
+      return row ? trashItemFromRow(row) : null;
+    },
+
+    async add(item) {
+      addTrashItem(item);
+      return item;
+    },
+
+    async remove(id) {
+      db.prepare('DELETE FROM trash WHERE id = ?').run(id);
+    }
+  };
+
+  // References to files by name, from before files had IDs, changed to the
+  // IDs in `idsByName` (a Map)
+  function migrateFileNames(idsByName) {
+    db.transaction(() => {
+      db.exec('CREATE TEMP TABLE IF NOT EXISTS file_ids (name TEXT PRIMARY KEY, id TEXT NOT NULL)');
+      db.exec('DELETE FROM temp.file_ids');
+      const insert = db.prepare('INSERT INTO temp.file_ids (name, id) VALUES (?, ?)');
+      for (const [name, id] of idsByName) {
+        insert.run(name, id);
+      }
+      for (const table of ['shelf_files', 'favorites', 'annotations', 'metadata']) {
+        db.exec(`
+          UPDATE OR IGNORE ${table} SET file_id = (SELECT id FROM temp.file_ids WHERE name = file_id)
+          WHERE file_id IN (SELECT name FROM temp.file_ids)
+        `);
+        // Left over where the file already had the row under its ID
+        db.exec(`DELETE FROM ${table} WHERE file_id IN (SELECT name FROM temp.file_ids)`);
+      }
+      db.exec(`
+        UPDATE shares SET target = (SELECT id FROM temp.file_ids WHERE name = target)
+        WHERE type = 'file' AND target IN (SELECT name FROM temp.file_ids)
+      `);
+      db.exec('DROP TABLE temp.file_ids');
+    })();
+  }
+
+  return {
+    type: 'sqlite',
+
+    init() {
+      db = new Database(dbFile);
+      db.pragma('journal_mode = WAL');
+      db.pragma('foreign_keys = ON');
+      if (migrate() === 0) {
+        importJsonFiles();
+      }
+    },
+
+    users,
+    shelves,
+    favorites,
+    annotations,
+    sessions,
+    apiKeys,
+    shares,
+    metadata,
+    pageText,
+    libraryFiles,
+    trash,
+
+    async migrateFileNames(idsByName) {
+      migrateFileNames(idsByName);
+    }
+  };
+}
+
+module.exports = { createSqliteBackend };
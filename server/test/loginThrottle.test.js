@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAttemptCounter } = require('../loginThrottle');
+
+const MINUTE = 60 * 1000;
+
+// Like the per-address counter in index.js
+function ipCounter() {
+  return createAttemptCounter({
+    freeAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: MINUTE,
+    lockoutAfter: 10,
+    lockoutDuration: 15 * MINUTE,
+    resetAfter: 15 * MINUTE
+  });
+}
+
+// Like the global counter in index.js
+function globalCounter() {
+  return createAttemptCounter({
+    freeAttempts: 20,
+    baseDelay: 500,
+    maxDelay: 30 * 1000,
+    resetAfter: 15 * MINUTE,
+    decayAfter: 30 * 1000
+  });
+}
+
+function failTimes(counter, times, { from = 0, every = 10 } = {}) {
+  let now = from;
+  for (let i = 0; i < times; i++) {
+    now += every;
+    counter.fail('key', now);
+  }
+  return now;
+}
+
+test('free attempts need no waiting, later ones wait twice as long each time', () => {
+  const counter = ipCounter();
+  let now = failTimes(counter, 3);
+  assert.deepEqual(counter.check('key', now), { wait: 0, locked: false });
+
+  now = failTimes(counter, 1, { from: now });
+  assert.deepEqual(counter.check('key', now), { wait: 1000, locked: false });
+  assert.deepEqual(counter.check('key', now + 1000), { wait: 0, locked: false });
+
+  now = failTimes(counter, 1, { from: now + 1000 });
+  assert.deepEqual(counter.check('key', now), { wait: 2000, locked: false });
+});
+
+test('backoff is capped at maxDelay', () => {
+  const counter = createAttemptCounter({ freeAttempts: 0, baseDelay: 1000, maxDelay: 5000, resetAfter: MINUTE });
+  const now = failTimes(counter, 8);
+  assert.equal(counter.check('key', now).wait, 5000);
+});
+
+test('locks out after the maximum number of failures', () => {
+  const counter = ipCounter();
+  let now = failTimes(counter, 9);
+  assert.equal(counter.check('key', now).locked, false);
+
+  now += 10;
+  assert.equal(counter.fail('key', now), true, 'the tenth failure starts the lockout');
+  assert.deepEqual(counter.check('key', now), { wait: 15 * MINUTE, locked: true });
+  assert.deepEqual(counter.check('key', now + 14 * MINUTE), { wait: MINUTE, locked: true });
+});
+
+test('a lockout expires after its duration, and counting starts over', () => {
+  const counter = ipCounter();
+  const lockedAt = failTimes(counter, 10);
+  const after = lockedAt + 15 * MINUTE;
+  assert.deepEqual(counter.check('key', after), { wait: 0, locked: false });
+
+  // The failures before the lockout don't count any more
+  failTimes(counter, 3, { from: after });
+  assert.deepEqual(counter.check('key', after + 30), { wait: 0, locked: false });
+});
+
+test('reset forgets the failures, as after a successful login', () => {
+  const counter = ipCounter();
+  const now = failTimes(counter, 8);
+  assert.ok(counter.check('key', now).wait > 0);
+
+  counter.reset('key');
+  assert.deepEqual(counter.check('key', now), { wait: 0, locked: false });
+  failTimes(counter, 3, { from: now });
+  assert.deepEqual(counter.check('key', now + 30), { wait: 0, locked: false });
+});
+
+test('failures are forgotten after resetAfter without a new one', () => {
+  const counter = ipCounter();
+  const now = failTimes(counter, 8);
+  assert.deepEqual(counter.check('key', now + 15 * MINUTE + 1), { wait: 0, locked: false });
+  counter.fail('key', now + 15 * MINUTE + 1);
+  assert.deepEqual(counter.check('key', now + 15 * MINUTE + 1), { wait: 0, locked: false });
+});
+
+test('keys are counted separately', () => {
+  const counter = ipCounter();
+  const now = failTimes(counter, 10);
+  assert.equal(counter.check('key', now).locked, true);
+  assert.deepEqual(counter.check('other', now), { wait: 0, locked: false });
+});
+
+test('the global counter forgets a failure every decayAfter', () => {
+  const counter = globalCounter();
+  const now = failTimes(counter, 25, { every: 100 });
+  assert.ok(counter.check('key', now).wait > 0);
+
+  // Five failures forgiven in two and a half minutes brings it back to the free ones
+  assert.deepEqual(counter.check('key', now + 150 * 1000), { wait: 0, locked: false });
+});
+
+test('slow failures after a burst don\'t keep the global counter throttled', () => {
+  const counter = globalCounter();
+  let now = failTimes(counter, 25, { every: 10 });
+  now = failTimes(counter, 200, { from: now, every: 40 * 1000 });
+  assert.deepEqual(counter.check('key', now), { wait: 0, locked: false });
+});
+
+test('failures faster than the decay still add up', () => {
+  const counter = globalCounter();
+  const now = failTimes(counter, 360, { every: 20 * 1000 });
+  assert.ok(counter.check('key', now).wait > 0);
+});
+
+test('prune drops stale records', () => {
+  const counter = ipCounter();
+  const now = failTimes(counter, 5);
+  counter.prune(now + 16 * MINUTE);
+  assert.deepEqual(counter.check('key', now + 16 * MINUTE), { wait: 0, locked: false });
+});
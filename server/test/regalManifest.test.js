@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MANIFEST_VERSION, describePage, validateManifest, readManifest } = require('../regalManifest');
+
+// Just enough of an image for its header to be read
+function png(width, height) {
+  const content = Buffer.alloc(33);
+  content.writeUInt32BE(0x89504e47, 0);
+  content.writeUInt32BE(0x0d0a1a0a, 4);
+  content.writeUInt32BE(13, 8);
+  content.write('IHDR', 12, 'ascii');
+  content.writeUInt32BE(width, 16);
+  content.writeUInt32BE(height, 20);
+  return content;
+}
+
+function jpeg(width, height) {
+  // SOI, an APP0 segment to skip, then the SOF0 frame header
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x04, 0x00, 0x00]);
+  const sof = Buffer.alloc(11);
+  sof.writeUInt16BE(0xffc0, 0);
+  sof.writeUInt16BE(9, 2);
+  sof[4] = 8;
+  sof.writeUInt16BE(height, 5);
+  sof.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof]);
+}
+
+function webpLossless(width, height) {
+  const content = Buffer.alloc(30);
+  content.write('RIFF', 0, 'ascii');
+  content.write('WEBP', 8, 'ascii');
+  content.write('VP8L', 12, 'ascii');
+  content[20] = 0x2f;
+  content.writeUInt32LE((width - 1) | ((height - 1) << 14), 21);
+  return content;
+}
+
+// A Regalpaket's files for readManifest(), from { <path>: content }
+function memorySource(files) {
+  return {
+    has: filePath => filePath in files,
+    read: async filePath => (filePath in files ? Buffer.from(files[filePath]) : null)
+  };
+}
+
+function v2Manifest(changes = {}) {
+  return {
+    version: MANIFEST_VERSION,
+    name: 'Messe',
+    created: '2025-01-02T03:04:05.000Z',
+    modified: '2025-01-02T03:04:05.000Z',
+    originalFile: 'original.pdf',
+    pageCount: 1,
+    pages: [describePage(1, 'page-1.png', png(100, 200))],
+    render: { dpi: 300, format: 'png', color: 'color' },
+    metadata: {},
+    bookmarks: [],
+    ...changes
+  };
+}
+
+test('describePage reads the size of PNG, JPEG and WebP pages', () => {
+  const content = png(1240, 1754);
+  assert.deepEqual(
+    describePage(1, 'page-1.png', content),
+    { page: 1, file: 'page-1.png', width: 1240, height: 1754, sha256: crypto.createHash('sha256').update(content).digest('hex') }
+  );
+  const { width, height } = describePage(2, 'page-2.jpg', jpeg(555, 277));
+  assert.deepEqual({ width, height }, { width: 555, height: 277 });
+  const webp = describePage(3, 'page-3.webp', webpLossless(1111, 555));
+  assert.deepEqual({ width: webp.width, height: webp.height }, { width: 1111, height: 555 });
+  assert.match(webp.sha256, /^[0-9a-f]{64}$/);
+});
+
+test('describePage rejects anything that is not an image', () => {
+  assert.throws(() => describePage(1, 'page-1.png', Buffer.from('not an image')), /Page 1 \(page-1.png\) is not a PNG, JPEG or WebP image/);
+});
+
+test('a version 1 manifest is migrated when read', async () => {
+  const manifest = await readManifest(memorySource({
+    'manifest.json': JSON.stringify({
+      name: 'Messe',
+      created: '2024-05-06T07:08:09.000Z',
+      pageCount: 2,
+      pages: [{ page: 1, file: 'page-1.png' }, { page: 2, file: 'page-2.png' }],
+      render: { dpi: 200, format: 'png', color: 'mono', name: 'engraving' },
+      publisher: 'kept as it is'
+    }),
+    'original.pdf': '%PDF',
+    'pages/page-1.png': png(100, 200),
+    'pages/page-2.png': png(300, 400)
+  }));
+
+  assert.equal(manifest.version, 2);
+  assert.equal(manifest.modified, '2024-05-06T07:08:09.000Z');
+  assert.equal(manifest.originalFile, 'original.pdf');
+  assert.deepEqual(manifest.pages.map(({ width, height }) => [width, height]), [[100, 200], [300, 400]]);
+  assert.deepEqual(manifest.pages[0], describePage(1, 'page-1.png', png(100, 200)));
+  assert.deepEqual(manifest.metadata, {});
+  assert.deepEqual(manifest.bookmarks, []);
+  assert.equal(manifest.publisher, 'kept as it is');
+});
+
+test('migration finds the pages of a version 1 manifest without a page list', async () => {
+  const manifest = await readManifest(memorySource({
+    'manifest.json': JSON.stringify({ name: 'Old', created: '2024-05-06T07:08:09.000Z', pageCount: 2 }),
+    'pages/page-1.png': png(10, 20),
+    'pages/page-2.png': png(10, 20)
+  }));
+  assert.deepEqual(manifest.pages.map(p => p.file), ['page-1.png', 'page-2.png']);
+  assert.equal(manifest.originalFile, null, 'no original PDF in the archive');
+  assert.equal(manifest.render, null);
+});
+
+test('migration fails for a missing page image', async () => {
+  await assert.rejects(readManifest(memorySource({
+    'manifest.json': JSON.stringify({ name: 'Broken', created: '2024-05-06T07:08:09.000Z', pageCount: 2 }),
+    'pages/page-1.png': png(10, 20)
+  })), /page 2 \(page-2.png\) is missing/);
+});
+
+test('a current manifest is read as it is', async () => {
+  const manifest = v2Manifest({ bookmarks: [{ page: 1, title: 'Kyrie' }] });
+  assert.deepEqual(await readManifest(memorySource({ 'manifest.json': JSON.stringify(manifest) })), manifest);
+});
+
+test('a Regalpaket without a manifest is rejected', async () => {
+  await assert.rejects(readManifest(memorySource({})), /no manifest found/);
+});
+
+test('a manifest newer than the server is rejected', async () => {
+  await assert.rejects(
+    readManifest(memorySource({ 'manifest.json': JSON.stringify(v2Manifest({ version: MANIFEST_VERSION + 1 })) })),
+    /manifest version 3 is newer than this server understands/
+  );
+});
+
+test('validateManifest accepts a valid manifest', () => {
+  const manifest = v2Manifest();
+  assert.equal(validateManifest(manifest), manifest);
+  assert.doesNotThrow(() => validateManifest(v2Manifest({ originalFile: null, render: null })));
+});
+
+test('validateManifest lists everything that is wrong', () => {
+  const manifest = v2Manifest({
+    created: 'yesterday',
+    pageCount: 3,
+    bookmarks: [{ page: 5, title: 'Gloria' }]
+  });
+  manifest.pages[0] = { ...manifest.pages[0], file: '../page-1.png', sha256: 'abc' };
+  assert.throws(() => validateManifest(manifest), (err) => {
+    assert.match(err.message, /^Invalid Regalpaket manifest: /);
+    for (const problem of [
+      'created has to be an ISO date',
+      'pageCount has to be the number of pages',
+      'pages[0].file has to be a file name',
+      'pages[0].sha256 has to be a SHA-256 checksum',
+      'bookmarks[0].page has to be a page of the Regalpaket'
+    ]) {
+      assert.ok(err.message.includes(problem), `mentions "${problem}"`);
+    }
+    return true;
+  });
+});
+
+test('validateManifest checks the render profile, metadata and lists', () => {
+  assert.throws(() => validateManifest(v2Manifest({ render: { dpi: 'high' } })), /render has to be a render profile or null/);
+  assert.throws(() => validateManifest(v2Manifest({ metadata: [] })), /metadata has to be an object/);
+  assert.throws(() => validateManifest(v2Manifest({ pages: {} })), /pages has to be a list/);
+  assert.throws(() => validateManifest(v2Manifest({ bookmarks: null })), /bookmarks has to be a list/);
+  assert.throws(() => validateManifest(null), /it is not an object/);
+});
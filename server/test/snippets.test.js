@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { queryWords, textWords, splitMarked, makeSnippet } = require('../store/snippets');
+
+// The words of `text` starting with one of the query's words, as the JSON
+// store's search finds them
+function matchesOf(text, query) {
+  const words = queryWords(query);
+  return textWords(text).filter(t => words.some(w => t.word.startsWith(w)));
+}
+
+const joined = parts => parts.map(part => (part.match ? `[${part.text}]` : part.text)).join('');
+
+test('queryWords splits at punctuation and folds case and accents', () => {
+  assert.deepEqual(queryWords('  Müller-Lüdenscheidt, CAFÉ!  '), ['muller', 'ludenscheidt', 'cafe']);
+  assert.deepEqual(queryWords('BWV 232'), ['bwv', '232']);
+  assert.deepEqual(queryWords('...'), []);
+});
+
+test('textWords gives each word with its place in the text', () => {
+  assert.deepEqual(textWords('Kyrie, eleison!'), [
+    { start: 0, end: 5, word: 'kyrie' },
+    { start: 7, end: 14, word: 'eleison' }
+  ]);
+  const [word] = textWords('Crème');
+  assert.deepEqual(word, { start: 0, end: 5, word: 'creme' });
+});
+
+test('makeSnippet marks every match as it is written in the text', () => {
+  const text = 'Kyrie eleison, Christe eleison';
+  assert.equal(joined(makeSnippet(text, matchesOf(text, 'ele'))), 'Kyrie [eleison], Christe [eleison]');
+  assert.equal(joined(makeSnippet('Text by Müller', matchesOf('Text by Müller', 'muller'))), 'Text by [Müller]');
+});
+
+test('makeSnippet marks whole words, like the SQLite search', () => {
+  const text = 'Gloria in excelsis Deo';
+  assert.equal(joined(makeSnippet(text, matchesOf(text, 'excel deo'))), 'Gloria in [excelsis] [Deo]');
+});
+
+test('makeSnippet shows the text around the first match of a long page', () => {
+  const before = Array.from({ length: 30 }, (_, i) => `word${i}`).join(' ');
+  const after = Array.from({ length: 40 }, (_, i) => `more${i}`).join(' ');
+  const text = `${before} Sanctus ${after}`;
+  const parts = makeSnippet(text, matchesOf(text, 'sanctus'));
+
+  assert.deepEqual(parts[0], { text: '…', match: false });
+  assert.deepEqual(parts[parts.length - 1], { text: '…', match: false });
+  assert.deepEqual(parts.filter(part => part.match), [{ text: 'Sanctus', match: true }]);
+  // Cut between words, not in them
+  const shown = joined(parts.slice(1, -1));
+  assert.match(shown, /^word\d+ /);
+  assert.match(shown, / more\d+$/);
+});
+
+test('makeSnippet keeps a short page whole', () => {
+  const text = 'Agnus Dei';
+  assert.deepEqual(makeSnippet(text, matchesOf(text, 'dei')), [
+    { text: 'Agnus ', match: false },
+    { text: 'Dei', match: true }
+  ]);
+});
+
+test('splitMarked turns marked snippets into parts', () => {
+  assert.deepEqual(splitMarked('…in \u0001excelsis\u0002 Deo', '\u0001', '\u0002'), [
+    { text: '…in ', match: false },
+    { text: 'excelsis', match: true },
+    { text: ' Deo', match: false }
+  ]);
+  assert.deepEqual(splitMarked('no match', '\u0001', '\u0002'), [{ text: 'no match', match: false }]);
+});
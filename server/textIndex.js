@@ -0,0 +1,29 @@
+const { createLibraryIndexer } = require('./library');
+const { readLibraryPdf, extractPageText } = require('./pdf');
+
+// Keeps store.pageText in step with the library: the text of new and changed
+// files is extracted, files that are gone are dropped. The index refers to
+// files by their ID, so a renamed or moved file keeps its text.
+function createTextIndexer({ root, store, registry }) {
+  return createLibraryIndexer(root, {
+    description: 'text index',
+    indexed: () => store.pageText.listFiles(),
+    keyOf: fileName => registry.idOf(fileName),
+    async index(fileName, filePath, mtime, fileId) {
+      let pages = [];
+      try {
+        const pdfData = await readLibraryPdf(filePath);
+        if (pdfData) {
+          pages = await extractPageText(pdfData);
+        }
+      } catch (err) {
+        // Recorded without text, so it's only tried again once the file changes
+        console.warn(`Could not extract the text of ${fileName}: ${err.message}`);
+      }
+      await store.pageText.setFile(fileId, mtime, pages);
+    },
+    remove: fileId => store.pageText.removeFile(fileId)
+  });
+}
+
+module.exports = { createTextIndexer };
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const unzipper = require('unzipper');
+const { writeFileAtomic } = require('./storage');
+
+// Twice the size of a book cover, for sharp covers on high-DPI screens
+const THUMBNAIL_WIDTH = 200;
+
+// PNG of the first page of a library file, at whatever size it comes: a
+// Regalpaket has it pre-rendered, a PDF is rendered small
+async function renderFirstPage(filePath) {
+  if (filePath.toLowerCase().endsWith('.regal')) {
+    const directory = await unzipper.Open.file(filePath);
+    const manifestFile = directory.files.find(f => f.path === 'manifest.json');
+    const manifest = manifestFile ? JSON.parse((await manifestFile.buffer()).toString()) : {};
+    const pageFile = directory.files.find(f => f.path === `pages/${manifest.pages?.[0]?.file || 'page-1.png'}`);
+    if (!pageFile) {
+      throw new Error('Regalpaket has no pages');
+    }
+    return pageFile.buffer();
+  }
+  const { pdf } = await import('pdf-to-img');
+  const document = await pdf(filePath, { scale: 0.5 });
+  return document.getPage(1);
+}
+
+async function scaleToThumbnail(png) {
+  const { createCanvas, loadImage } = require('@napi-rs/canvas');
+  const image = await loadImage(png);
+  const height = Math.round(image.height * THUMBNAIL_WIDTH / image.width);
+  const canvas = createCanvas(THUMBNAIL_WIDTH, height);
+  canvas.getContext('2d').drawImage(image, 0, 0, THUMBNAIL_WIDTH, height);
+  return canvas.encode('png');
+}
+
+// First-page thumbnails of library files, cached in `cacheDir` as
+// <hash of the name>-<file mtime>.png so a changed file gets a new one.
+// Thumbnails are rendered one at a time.
+function createThumbnailCache(cacheDir) {
+  const pending = new Map();
+  let queue = Promise.resolve();
+
+  const nameHash = fileName => crypto.createHash('sha1').update(fileName).digest('hex');
+
+  const generate = async (fileName, filePath, thumbnailPath) => {
+    const png = await scaleToThumbnail(await renderFirstPage(filePath));
+    fs.mkdirSync(cacheDir, { recursive: true });
+    await writeFileAtomic(thumbnailPath, png);
+    // Thumbnails of earlier versions of the file
+    const prefix = `${nameHash(fileName)}-`;
+    for (const entry of fs.readdirSync(cacheDir)) {
+      if (entry.startsWith(prefix) && entry !== path.basename(thumbnailPath)) {
+        fs.rmSync(path.join(cacheDir, entry), { force: true });
+      }
+    }
+  };
+
+  // Path of the up-to-date thumbnail of a library file, generated if needed
+  const get = async (fileName, filePath) => {
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    const thumbnailPath = path.join(cacheDir, `${nameHash(fileName)}-${Math.round(mtimeMs)}.png`);
+    if (fs.existsSync(thumbnailPath)) {
+      return thumbnailPath;
+    }
+    if (!pending.has(thumbnailPath)) {
+      const job = queue.then(() => generate(fileName, filePath, thumbnailPath));
+      queue = job.catch(() => {});
+      pending.set(thumbnailPath, job.finally(() => pending.delete(thumbnailPath)));
+    }
+    await pending.get(thumbnailPath);
+    return thumbnailPath;
+  };
+
+  // Drop the thumbnails of files that are no longer in the library
+  const prune = (fileNames) => {
+    if (!fs.existsSync(cacheDir)) {
+      return;
+    }
+    const hashes = new Set(fileNames.map(nameHash));
+    for (const entry of fs.readdirSync(cacheDir)) {
+      if (!hashes.has(entry.split('-')[0])) {
+        fs.rmSync(path.join(cacheDir, entry), { force: true });
+      }
+    }
+  };
+
+  return { get, prune };
+}
+
+module.exports = { createThumbnailCache };